@@ -0,0 +1,55 @@
+import { listBackups, restoreMaster } from "../index.js";
+import { checkBearer, clientAddress, isAuthConfigured } from "../lib/auth.js";
+import { findBranch, loadBranches } from "../lib/branches.js";
+import { applyBusinessTimezone } from "../lib/calendar.js";
+
+applyBusinessTimezone();
+
+// GET /api/backups?branch=ikeja lists the Master snapshots, oldest first.
+// POST /api/backups?snapshot=<name>&branch=ikeja puts one back on the Master.
+// Both need the sync secret as a bearer token, like /api/sync.
+export default async function handler(req, res) {
+  console.log(`\n🔔 BACKUPS ENDPOINT CALLED (${new Date().toISOString()}, ${req.method})`);
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.status(405).json({ error: "Method not allowed" });
+    return;
+  }
+  if (!isAuthConfigured()) {
+    res.status(503).json({ ok: false, error: "Backups endpoint is not configured" });
+    return;
+  }
+  const authProblem = checkBearer(req);
+  if (authProblem) {
+    console.log(`❌ Rejected backups request from ${clientAddress(req)}: ${authProblem}`);
+    res.status(401).json({ ok: false, error: "Unauthorized" });
+    return;
+  }
+
+  const params = new URL(req.url, "http://localhost").searchParams;
+  const branch = findBranch(loadBranches(), params.get("branch") || "");
+  if (!branch) {
+    res.status(404).json({ ok: false, error: `Unknown branch "${params.get("branch")}"` });
+    return;
+  }
+
+  try {
+    if (req.method === "GET") {
+      res.status(200).json({ ok: true, branch: branch.id, snapshots: await listBackups(undefined, { branch }) });
+      return;
+    }
+
+    const snapshot = params.get("snapshot") || "";
+    if (!snapshot) {
+      res.status(400).json({ ok: false, error: "snapshot is required" });
+      return;
+    }
+    const result = await restoreMaster(undefined, snapshot, { branch });
+    if (!result.ok) console.log(`⚠️  Restore refused: ${result.error}`);
+    const status = result.ok ? 200 : result.error.startsWith("No snapshot") ? 404 : 409;
+    res.status(status).json({ branch: branch.id, ...result });
+  } catch (e) {
+    console.error("❌ ERROR OCCURRED:", e.message);
+    res.status(500).json({ ok: false, error: "Backup request failed - see the function logs" });
+  }
+}
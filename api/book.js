@@ -0,0 +1,105 @@
+import { DateTime } from "luxon";
+import { bookAppointment, getBookingOptions } from "../index.js";
+import { createBranchStorage, findBranch, loadBranches } from "../lib/branches.js";
+import { escapeHtml } from "../lib/templates.js";
+import { verifyToken } from "../lib/links.js";
+import { parseSlot } from "../lib/booking.js";
+import { readForm, sendPage } from "../lib/pages.js";
+import { applyBusinessTimezone } from "../lib/calendar.js";
+
+applyBusinessTimezone();
+
+// GET lists the free slots for the customer in the signed link; POST books one.
+export default async function handler(req, res) {
+  const timestamp = new Date().toISOString();
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`🔔 BOOKING ENDPOINT CALLED`);
+  console.log(`   Time: ${timestamp}`);
+  console.log(`   Method: ${req.method}`);
+  console.log(`${'='.repeat(60)}\n`);
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    console.log("❌ Wrong method - returning 405");
+    res.status(405).json({ error: "Method not allowed" });
+    return;
+  }
+
+  const params = new URL(req.url, "http://localhost").searchParams;
+  const key = params.get("c") || "";
+  const token = params.get("t") || "";
+  const branchId = params.get("b") || "";
+  const branch = findBranch(loadBranches(), branchId);
+
+  if (!branch || !verifyToken("book", key, token, process.env, branchId)) {
+    console.log("❌ Invalid booking token");
+    sendPage(res, 400, "Link not valid", "This booking link is invalid. Please call us to book your service.");
+    return;
+  }
+
+  try {
+    const storage = createBranchStorage(branch);
+    if (req.method === "POST") {
+      const { slot } = await readForm(req);
+      const result = await bookAppointment(storage, key, slot);
+      if (result.busy) {
+        console.log(`⚠️  Booking deferred: ${result.error}`);
+        sendPage(res, 503, "Booking not completed", `${result.error}, or call us.`);
+        return;
+      }
+      if (!result.ok) {
+        console.log(`⚠️  Booking refused: ${result.error}`);
+        sendPage(res, result.error === "Customer not found" ? 404 : 409, "Booking not completed",
+          `${result.error}. Please go back and pick another time, or call us.`);
+        return;
+      }
+      console.log(`✅ Booked ${key} for ${result.slot}`);
+      sendPage(res, 200, "Your service is booked",
+        `See you on ${formatSlot(result.slot)}. Please bring your vehicle to ${branch.name} at that time.`);
+      return;
+    }
+
+    const options = await getBookingOptions(storage, key);
+    if (!options) {
+      console.log(`⚠️  No Master row for ${key}`);
+      sendPage(res, 404, "Customer not found", "We couldn't find your record. Please call us to book your service.");
+      return;
+    }
+    sendPage(res, 200, `Book a service for ${options.vehicle}`, slotPicker(req.url, options), { raw: true });
+
+  } catch (e) {
+    console.error("❌ ERROR OCCURRED:", e.message);
+    sendPage(res, 500, "Something went wrong", "We couldn't process your request. Please try again later or call us.");
+  }
+}
+
+function slotPicker(action, { name, bookedFor, slots }) {
+  const current = parseSlot(bookedFor);
+  const notice = current && current > DateTime.now()
+    ? `<p>You are currently booked for <strong>${escapeHtml(formatSlot(bookedFor))}</strong>. Choosing a new time replaces it.</p>`
+    : "";
+
+  if (slots.length === 0) {
+    return `${notice}<p>Sorry ${escapeHtml(name)}, there are no free slots online right now. Please call us to book.</p>`;
+  }
+
+  const byDay = {};
+  for (const slot of slots) (byDay[slot.slice(0, 10)] ||= []).push(slot);
+
+  const days = Object.entries(byDay).map(([day, daySlots]) =>
+    `<fieldset><legend>${escapeHtml(DateTime.fromISO(day).toFormat("cccc d LLLL"))}</legend>` +
+    daySlots.map(slot =>
+      `<label style="display: inline-block; margin: 4px 12px 4px 0;">` +
+      `<input type="radio" name="slot" value="${escapeHtml(slot)}" required> ${escapeHtml(slot.slice(11))}</label>`
+    ).join("") +
+    `</fieldset>`
+  ).join("");
+
+  return `${notice}<p>Dear ${escapeHtml(name || "Customer")}, pick a time that suits you:</p>` +
+    `<form method="POST" action="${escapeHtml(action)}">${days}` +
+    `<p><button type="submit">Book this time</button></p></form>`;
+}
+
+function formatSlot(slot) {
+  const dt = parseSlot(slot);
+  return dt ? dt.toFormat("cccc d LLLL yyyy 'at' HH:mm") : slot;
+}
@@ -0,0 +1,40 @@
+import { getDueCustomers } from "../../index.js";
+import { requireReportAuth } from "../../lib/auth.js";
+import { createBranchStorage, findBranch, loadBranches } from "../../lib/branches.js";
+import { applyBusinessTimezone } from "../../lib/calendar.js";
+
+applyBusinessTimezone();
+
+// GET /api/customers/due?days=14&overdue=0&branch=ikeja - vehicles due in the next
+// `days` days, overdue ones included unless overdue=0, for one branch (the first
+// one without ?branch=)
+export default async function handler(req, res) {
+  console.log(`\n🔔 DUE CUSTOMERS ENDPOINT CALLED (${new Date().toISOString()})`);
+
+  if (req.method !== "GET") {
+    res.status(405).json({ error: "Method not allowed" });
+    return;
+  }
+  if (!requireReportAuth(req, res)) return;
+
+  const params = new URL(req.url, "http://localhost").searchParams;
+  const days = Number(params.get("days") || 14);
+  if (!Number.isInteger(days) || days < 0 || days > 366) {
+    res.status(400).json({ error: "days must be a whole number from 0 to 366" });
+    return;
+  }
+  const includeOverdue = !["0", "false", "no"].includes((params.get("overdue") || "").toLowerCase());
+  const branch = findBranch(loadBranches(), params.get("branch") || "");
+  if (!branch) {
+    res.status(404).json({ error: `Unknown branch "${params.get("branch")}"` });
+    return;
+  }
+
+  try {
+    const customers = await getDueCustomers(createBranchStorage(branch), { days, includeOverdue });
+    res.status(200).json({ branch: branch.id, days, count: customers.length, customers });
+  } catch (e) {
+    console.error("❌ ERROR OCCURRED:", e.message);
+    res.status(500).json({ error: "Could not list due customers - see the function logs" });
+  }
+}
@@ -0,0 +1,38 @@
+import { getDueCustomers, getStats } from "../index.js";
+import { requireReportAuth } from "../lib/auth.js";
+import { createBranchStorage, findBranch, loadBranches } from "../lib/branches.js";
+import { renderDashboard } from "../lib/dashboard.js";
+import { sendPage } from "../lib/pages.js";
+import { applyBusinessTimezone } from "../lib/calendar.js";
+
+applyBusinessTimezone();
+
+// GET /api/dashboard?branch=ikeja - the stats and the next two weeks' due list as one
+// HTML page, for one branch (the first one without ?branch=)
+export default async function handler(req, res) {
+  console.log(`\n🔔 DASHBOARD ENDPOINT CALLED (${new Date().toISOString()})`);
+
+  if (req.method !== "GET") {
+    res.status(405).json({ error: "Method not allowed" });
+    return;
+  }
+  if (!requireReportAuth(req, res)) return;
+
+  const branchId = new URL(req.url, "http://localhost").searchParams.get("branch") || "";
+  const branch = findBranch(loadBranches(), branchId);
+  if (!branch) {
+    sendPage(res, 404, "Unknown branch", `There is no branch "${branchId}".`);
+    return;
+  }
+
+  try {
+    const storage = createBranchStorage(branch);
+    const [stats, due] = await Promise.all([getStats(storage), getDueCustomers(storage, { days: 14 })]);
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.setHeader("Cache-Control", "no-store");
+    res.status(200).send(renderDashboard(stats, due, { branding: branch.branding }));
+  } catch (e) {
+    console.error("❌ ERROR OCCURRED:", e.message);
+    sendPage(res, 500, "Dashboard unavailable", "Could not load the reminder data. Please try again later.");
+  }
+}
@@ -0,0 +1,86 @@
+import { recordEmailEvents } from "../index.js";
+import { createBranchStorage, findBranch, loadBranches } from "../lib/branches.js";
+import { readRawBody, sendJson } from "../lib/pages.js";
+import {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  isWebhookConfigured,
+  parseSendGridEvents,
+  verifySendGridSignature,
+} from "../lib/webhooks.js";
+import { applyBusinessTimezone } from "../lib/calendar.js";
+
+applyBusinessTimezone();
+
+// SendGrid Event Webhook: POST with a JSON array of events. A 5xx makes
+// SendGrid retry, so only storage failures return one. Events are recorded on
+// the branch that sent the email (mail sent before branches goes to the first);
+// events for a branch no longer configured are counted as unmatched.
+//
+// The signature covers the raw body, so vercel.json deploys this route with
+// "helpers": false: @vercel/node then leaves the request stream unread, and
+// res has only Node's own methods.
+export default async function handler(req, res) {
+  const timestamp = new Date().toISOString();
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`🔔 EVENTS ENDPOINT CALLED`);
+  console.log(`   Time: ${timestamp}`);
+  console.log(`   Method: ${req.method}`);
+  console.log(`${'='.repeat(60)}\n`);
+
+  if (req.method !== "POST") {
+    console.log("❌ Wrong method - returning 405");
+    sendJson(res, 405, { error: "Method not allowed" });
+    return;
+  }
+
+  if (!isWebhookConfigured()) {
+    console.log("❌ SENDGRID_WEBHOOK_PUBLIC_KEY not set - refusing unsigned events");
+    sendJson(res, 401, { error: "Webhook signature key not configured" });
+    return;
+  }
+
+  const rawBody = await readRawBody(req);
+  if (rawBody === null) {
+    console.log("❌ Body was parsed before it reached the handler - check \"helpers\": false in vercel.json");
+    sendJson(res, 500, { error: "Request body was already parsed; the signature can't be checked" });
+    return;
+  }
+  if (!verifySendGridSignature(rawBody, req.headers[SIGNATURE_HEADER], req.headers[TIMESTAMP_HEADER])) {
+    console.log("❌ Invalid webhook signature");
+    sendJson(res, 401, { error: "Invalid signature" });
+    return;
+  }
+
+  let events;
+  try {
+    events = parseSendGridEvents(JSON.parse(rawBody));
+  } catch (e) {
+    console.log(`❌ Bad payload: ${e.message}`);
+    sendJson(res, 400, { error: "Invalid payload" });
+    return;
+  }
+
+  try {
+    const branches = loadBranches();
+    const byBranch = new Map();
+    const result = { matched: 0, unmatched: 0, bounced: 0 };
+    for (const event of events) {
+      const branch = findBranch(branches, event.branch);
+      if (!branch) {
+        result.unmatched++;
+        continue;
+      }
+      if (!byBranch.has(branch)) byBranch.set(branch, []);
+      byBranch.get(branch).push(event);
+    }
+    for (const [branch, branchEvents] of byBranch) {
+      const counts = await recordEmailEvents(createBranchStorage(branch), branchEvents);
+      for (const k of Object.keys(result)) result[k] += counts[k];
+    }
+    sendJson(res, 200, { ok: true, received: events.length, ...result });
+  } catch (e) {
+    console.error("❌ ERROR OCCURRED:", e.message);
+    sendJson(res, 500, { ok: false, error: "Could not record events" });
+  }
+}
@@ -0,0 +1,37 @@
+import { getStats } from "../index.js";
+import { requireReportAuth } from "../lib/auth.js";
+import { createBranchStorage, findBranch, loadBranches } from "../lib/branches.js";
+import { applyBusinessTimezone } from "../lib/calendar.js";
+
+applyBusinessTimezone();
+
+// GET /api/stats?weeks=8&branch=ikeja - due dates by week, send trend, conversion and
+// manual-contact counts for one branch (the first one without ?branch=)
+export default async function handler(req, res) {
+  console.log(`\n🔔 STATS ENDPOINT CALLED (${new Date().toISOString()})`);
+
+  if (req.method !== "GET") {
+    res.status(405).json({ error: "Method not allowed" });
+    return;
+  }
+  if (!requireReportAuth(req, res)) return;
+
+  const params = new URL(req.url, "http://localhost").searchParams;
+  const weeks = Number(params.get("weeks") || 8);
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > 52) {
+    res.status(400).json({ error: "weeks must be a whole number from 1 to 52" });
+    return;
+  }
+  const branch = findBranch(loadBranches(), params.get("branch") || "");
+  if (!branch) {
+    res.status(404).json({ error: `Unknown branch "${params.get("branch")}"` });
+    return;
+  }
+
+  try {
+    res.status(200).json({ branch: branch.id, ...await getStats(createBranchStorage(branch), { weeks }) });
+  } catch (e) {
+    console.error("❌ ERROR OCCURRED:", e.message);
+    res.status(500).json({ error: "Could not build stats - see the function logs" });
+  }
+}
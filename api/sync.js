@@ -1,4 +1,15 @@
-import { mainSync } from "../index.js";
+import { logSyncEvent, syncBranches } from "../index.js";
+import { checkBearer, clientAddress, createRejectionLog, isAuthConfigured } from "../lib/auth.js";
+import { findBranch, loadBranches } from "../lib/branches.js";
+import { applyBusinessTimezone } from "../lib/calendar.js";
+
+applyBusinessTimezone();
+
+// Runs need "Authorization: Bearer <CRON_SECRET or SYNC_SECRET>"; Vercel adds it
+// to the scheduled calls in vercel.json. Errors go to the logs, not the caller.
+// Every branch runs unless ?branch=<id> picks one; each has its own entry in
+// `branches`, and the response is a 500 if any of them failed.
+const rejections = createRejectionLog();
 
 export default async function handler(req, res) {
   // Log every request
@@ -16,6 +27,23 @@ export default async function handler(req, res) {
     return;
   }
 
+  if (!isAuthConfigured()) {
+    console.log("❌ Neither CRON_SECRET nor SYNC_SECRET is set - refusing to run");
+    res.status(503).json({ ok: false, error: "Sync endpoint is not configured" });
+    return;
+  }
+
+  const authProblem = checkBearer(req);
+  if (authProblem) {
+    console.log(`❌ Rejected trigger from ${clientAddress(req)}: ${authProblem}`);
+    const note = rejections.note(`Rejected sync trigger from ${clientAddress(req)}: ${authProblem}`);
+    if (note) {
+      await logSyncEvent(undefined, note).catch(e => console.error("Could not write Status Log:", e.message));
+    }
+    res.status(401).json({ ok: false, error: "Unauthorized" });
+    return;
+  }
+
   try {
     // Check environment variables
     console.log("🔍 Checking environment variables...");
@@ -38,7 +66,9 @@ export default async function handler(req, res) {
 
     // Check for missing critical env vars
     const missingVars = [];
-    if (!process.env.GOOGLE_SHEET_ID) missingVars.push("GOOGLE_SHEET_ID");
+    const branches = loadBranches();
+    const noSheet = branches.filter(branch => !branch.sheetId).map(branch => branch.id);
+    if (noSheet.length > 0) missingVars.push(`GOOGLE_SHEET_ID (branch ${noSheet.join(", ")})`);
     if (!process.env.GOOGLE_CLIENT_EMAIL) missingVars.push("GOOGLE_CLIENT_EMAIL");
     if (!process.env.GOOGLE_PRIVATE_KEY) missingVars.push("GOOGLE_PRIVATE_KEY");
     if (!process.env.EMAIL_PROVIDER) missingVars.push("EMAIL_PROVIDER");
@@ -53,32 +83,44 @@ export default async function handler(req, res) {
       });
     }
 
-    console.log("\n🚀 Starting mainSync()...\n");
+    // ?dryRun=1 previews the run: nothing is sent and no sheet is written
+    const params = new URL(req.url, "http://localhost").searchParams;
+    const dryRun = ["1", "true", "yes"].includes((params.get("dryRun") || "").toLowerCase());
+    const branch = params.get("branch") || undefined;
+    if (branch && !findBranch(branches, branch)) {
+      return res.status(404).json({ ok: false, error: `Unknown branch "${branch}"` });
+    }
+
+    console.log(`\n🚀 Starting mainSync() for ${branch || "every branch"}${dryRun ? " in DRY RUN mode" : ""}...\n`);
     
-    const result = await mainSync();
+    const results = await syncBranches({ dryRun, branch });
+    const failed = results.filter(result => result.error);
     
-    console.log("\n✅ mainSync() completed successfully!");
-    console.log("Result:", JSON.stringify(result, null, 2));
+    console.log(`\n${failed.length ? "❌" : "✅"} mainSync() finished for ${results.length} branch(es), ${failed.length} failed`);
+    console.log("Result:", JSON.stringify(results, null, 2));
     
+    // A failed branch's error stays in the logs like any other
     const response = {
-      ok: true,
+      ok: failed.length === 0,
       timestamp,
-      ...result
+      branches: results.map(result => result.error
+        ? { branch: result.branch, error: "Sync failed - see the function logs for this timestamp" }
+        : result),
     };
     
     console.log("\n📤 Sending response:", JSON.stringify(response, null, 2));
-    res.status(200).json(response);
+    res.status(failed.length ? 500 : 200).json(response);
     
   } catch (e) {
     console.error("\n❌ ERROR OCCURRED:");
     console.error("Message:", e.message);
     console.error("Stack:", e.stack);
     
+    // Details stay in the function logs; callers only learn when to look
     const errorResponse = {
       ok: false,
       timestamp,
-      error: e.message,
-      stack: e.stack
+      error: "Sync failed - see the function logs for this timestamp",
     };
     
     console.log("\n📤 Sending error response:", JSON.stringify(errorResponse, null, 2));
@@ -0,0 +1,61 @@
+import { unsubscribeCustomer } from "../index.js";
+import { createBranchStorage, findBranch, loadBranches } from "../lib/branches.js";
+import { escapeHtml } from "../lib/templates.js";
+import { verifyToken } from "../lib/links.js";
+import { sendPage } from "../lib/pages.js";
+import { applyBusinessTimezone } from "../lib/calendar.js";
+
+applyBusinessTimezone();
+
+// GET shows a confirmation button (mail scanners prefetch links, so GET never
+// unsubscribes). POST does the work; it is also what mail clients send for the
+// one-click List-Unsubscribe header.
+export default async function handler(req, res) {
+  const timestamp = new Date().toISOString();
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`🔔 UNSUBSCRIBE ENDPOINT CALLED`);
+  console.log(`   Time: ${timestamp}`);
+  console.log(`   Method: ${req.method}`);
+  console.log(`${'='.repeat(60)}\n`);
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    console.log("❌ Wrong method - returning 405");
+    res.status(405).json({ error: "Method not allowed" });
+    return;
+  }
+
+  const params = new URL(req.url, "http://localhost").searchParams;
+  const key = params.get("c") || "";
+  const token = params.get("t") || "";
+  const branchId = params.get("b") || "";
+  const branch = findBranch(loadBranches(), branchId);
+
+  if (!branch || !verifyToken("unsubscribe", key, token, process.env, branchId)) {
+    console.log("❌ Invalid unsubscribe token");
+    sendPage(res, 400, "Link not valid", "This unsubscribe link is invalid. Please contact us and we will remove you from our reminders.");
+    return;
+  }
+
+  if (req.method === "GET") {
+    sendPage(res, 200, "Unsubscribe from service reminders",
+      `<form method="POST" action="${escapeHtml(req.url)}">` +
+      `<p>Click below to stop receiving service reminders from ${escapeHtml(branch.name)}.</p>` +
+      `<button type="submit">Unsubscribe</button></form>`,
+      { raw: true });
+    return;
+  }
+
+  try {
+    const result = await unsubscribeCustomer(createBranchStorage(branch), key);
+    if (!result.found) {
+      console.log(`⚠️  No Master row for ${key}`);
+      sendPage(res, 404, "Customer not found", "We couldn't find your record. Please contact us and we will remove you from our reminders.");
+      return;
+    }
+    console.log(result.alreadyUnsubscribed ? "✅ Already unsubscribed" : "✅ Unsubscribed");
+    sendPage(res, 200, "You have been unsubscribed", `You will no longer receive service reminders from ${branch.name}.`);
+  } catch (e) {
+    console.error("❌ ERROR OCCURRED:", e.message);
+    sendPage(res, 500, "Something went wrong", "We couldn't process your request. Please try again later or contact us.");
+  }
+}
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+import fs from "node:fs";
+import { USAGE, formatTable, loadConfig, parseCommand } from "./lib/cli.js";
+import { setLogger } from "./lib/log.js";
+
+// Runs the reminder jobs from a laptop, e.g. when the Vercel function is down:
+//   node cli.js preview --config rgac.json
+// Settings come from the environment, then the config file. The run log is
+// hidden unless --verbose; a summary table is printed instead, one per branch.
+
+const DECISION_COLUMNS = [
+  { key: "name", label: "Name", width: 24 },
+  { key: "vehicle", label: "Vehicle", width: 12 },
+  { key: "decision", label: "Decision" },
+  { key: "channel", label: "Channel" },
+  { key: "emailType", label: "Type" },
+  { key: "language", label: "Lang" },
+  { key: "daysUntilDue", label: "Days" },
+  { key: "detail", label: "Reason", width: 70 },
+];
+
+const ISSUE_COLUMNS = [
+  { key: "row", label: "Row" },
+  { key: "name", label: "Name", width: 24 },
+  { key: "column", label: "Column" },
+  { key: "value", label: "Value", width: 24 },
+  { key: "severity", label: "Severity" },
+  { key: "issue", label: "Issue", width: 60 },
+];
+
+async function main(argv) {
+  let command, options;
+  try {
+    ({ command, options } = parseCommand(argv));
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (command === "help") {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const configFile = loadConfig(options.config);
+  const print = console.log;
+  const previousLogger = setLogger(options.verbose ? null : () => {});
+  if (configFile) console.error(`Using settings from ${configFile}`);
+
+  // index.js reads some settings when it is loaded, so only import it now
+  const app = await import("./index.js");
+  const { createBranchStorage, findBranch, loadBranches } = await import("./lib/branches.js");
+  const { applyBusinessTimezone } = await import("./lib/calendar.js");
+
+  try {
+    applyBusinessTimezone();
+    const branches = loadBranches();
+    const branch = findBranch(branches, options.branch);
+    if (!branch) throw new Error(`Unknown branch "${options.branch}" (configured: ${branches.map(b => b.id).join(", ")})`);
+
+    if (command === "sync" || command === "preview") {
+      const results = await app.syncBranches({ dryRun: command === "preview", branch: options.branch });
+      let exitCode = 0;
+      results.forEach((result, i) => {
+        if (results.length > 1) print(`${i > 0 ? "\n" : ""}== ${result.branch} ==`);
+        if (result.error) {
+          print(`Error: ${result.error}`);
+          exitCode = 1;
+        } else if (!printRun(print, command, result, options)) {
+          exitCode = 1;
+        }
+      });
+      return exitCode;
+    }
+
+    // The other commands work on one spreadsheet, so with several branches it has to be named
+    if (branches.length > 1 && !options.branch) {
+      throw new Error(`${command} needs --branch <id> (configured: ${branches.map(b => b.id).join(", ")})`);
+    }
+
+    if (command === "send") {
+      const result = await app.resendReminder(undefined, options.customer, { branch });
+      if (!result.ok) {
+        print(`Not sent: ${result.error}`);
+        return 1;
+      }
+      print(`Sent ${result.emailType} (${result.language}) to ${result.name} (${result.vehicle}) by ${result.channel} to ${result.to}`);
+      return 0;
+    }
+
+    if (command === "validate") {
+      const { checked, issues } = await app.validateMaster(createBranchStorage(branch));
+      const errors = issues.filter(i => i.severity === "ERROR").length;
+      if (issues.length > 0) print(formatTable(issues, ISSUE_COLUMNS) + "\n");
+      print(`${checked} rows checked: ${errors} error(s), ${issues.length - errors} warning(s)`);
+      return errors > 0 ? 1 : 0;
+    }
+
+    if (command === "export") {
+      const [header, ...rows] = await app.exportCustomers(createBranchStorage(branch));
+      const { toCsv } = await import("./lib/storage.js");
+      const output = options.format === "json"
+        ? JSON.stringify(rows.map(row => Object.fromEntries(header.map((col, i) => [col, row[i]]))), null, 2) + "\n"
+        : toCsv([header, ...rows]);
+      if (options.output) {
+        fs.writeFileSync(options.output, output);
+        console.error(`Wrote ${rows.length} rows to ${options.output}`);
+      } else {
+        process.stdout.write(output);
+      }
+      return 0;
+    }
+
+    if (command === "backups") {
+      const snapshots = await app.listBackups(undefined, { branch });
+      print(snapshots.length > 0 ? snapshots.join("\n") : "No snapshots yet");
+      return 0;
+    }
+
+    if (command === "restore") {
+      const result = await app.restoreMaster(undefined, options.snapshot, { branch });
+      if (!result.ok) {
+        print(`Not restored: ${result.error}`);
+        return 1;
+      }
+      print(`Restored the Master from ${result.snapshot}: ${result.cellsChanged} cell(s) changed. ` +
+        `To undo, restore ${result.backup}.`);
+      return 0;
+    }
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    if (options.verbose) console.error(e.stack);
+    return 1;
+  } finally {
+    setLogger(previousLogger);
+  }
+}
+
+// Prints one branch's sync or preview; false when it was skipped or a send failed
+function printRun(print, command, result, options) {
+  if (result.skipped === true) {
+    print(result.reason);
+    return false;
+  }
+  const decisions = [...(command === "preview" ? result.plan : result.decisions), ...result.renewals];
+  const shown = options.all ? decisions : decisions.filter(d => d.decision !== "SKIPPED");
+  if (shown.length > 0) {
+    print(formatTable(shown.map(d => ({ ...d, detail: d.error ? `${d.reason} - ${d.error}` : d.reason })), DECISION_COLUMNS));
+    print("");
+  }
+  if (command === "preview") {
+    print(`${result.wouldSend} reminder(s) would be sent, ${result.dataIssues.length} data issue(s)` +
+      (result.sendingHeld ? ` - sending is held now: ${result.sendingHeld}` : ""));
+    if (result.renewals.length > 0) print(`${result.renewalsWouldSend} AMC renewal reminder(s) would be sent`);
+  } else {
+    print(`${result.processed} customers: ${result.remindersSent} sent, ${result.remindersFailed} failed, ` +
+      `${result.remindersQueued} queued, ${result.dataIssues} data issue(s)`);
+    if (result.renewals.length > 0) {
+      print(`AMC renewals: ${result.renewalsSent} sent, ${result.renewalsFailed} failed, ${result.renewalsQueued} queued`);
+    }
+    for (const conflict of result.writeConflicts) print(`Write conflict: ${conflict}`);
+    if (result.digest) print(`Staff digest: ${result.digest}`);
+  }
+  const skipped = Object.entries(result.skipped).filter(([, count]) => count > 0);
+  if (skipped.length > 0) print(`Skipped: ${skipped.map(([reason, count]) => `${reason} ${count}`).join(", ")}`);
+  return command === "preview" || result.remindersFailed + result.renewalsFailed === 0;
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -1,125 +1,355 @@
-import { google } from "googleapis";
-import { DateTime } from "luxon";
-import nodemailer from "nodemailer";
-import sgMail from "@sendgrid/mail";
-
-// ENV VARS: GOOGLE_CLIENT_EMAIL, GOOGLE_PRIVATE_KEY, GOOGLE_PROJECT_ID, EMAIL_PROVIDER, EMAIL_USER, EMAIL_PASS, SENDGRID_API_KEY, GOOGLE_SHEET_ID
-const {
-  GOOGLE_CLIENT_EMAIL,
-  GOOGLE_PRIVATE_KEY,
-  GOOGLE_PROJECT_ID,
-  EMAIL_PROVIDER,
-  EMAIL_USER,
-  EMAIL_PASS,
-  SENDGRID_API_KEY,
-  GOOGLE_SHEET_ID,
-} = process.env;
+import { DateTime, Settings } from "luxon";
+import { RENEWAL_TYPES } from "./lib/amc.js";
+import { backupMaster, writeChangeLog } from "./lib/backups.js";
+import { createBranchStorage, loadBranches } from "./lib/branches.js";
+import { loadDigestConfig, sendStaffDigest } from "./lib/digest.js";
+import { acquireLock, loadLockWaitSeconds } from "./lib/lock.js";
+import { log } from "./lib/log.js";
+import { loadOutbox, loadSendConfig } from "./lib/outbox.js";
+import { loadTemplates } from "./lib/templates.js";
+import { DATA_ISSUES_HEADER, validateCustomers } from "./lib/validation.js";
+import {
+  DATA_FLAG,
+  SHEET_NAMES,
+  appendSheetRow,
+  assignCustomerIds,
+  ensureColumns,
+  fetchSheetRows,
+  processCustomers,
+  requiredColumnsFor,
+  updateReminderFieldsInMaster,
+  updateSheetHeader,
+  writeCustomerIds,
+  writeProcessedData,
+} from "./lib/master.js";
+import {
+  COMBINED_TYPE,
+  REMINDER_TYPES,
+  createChannels,
+  sendReminders,
+  sendRenewalReminders,
+} from "./lib/reminders.js";
+
+// index.js runs the sync; the other jobs live in lib/ and the routes and the
+// CLI reach them through here
+export { bookAppointment, getBookingOptions } from "./lib/booking.js";
+export { listBackups, restoreMaster } from "./lib/backups.js";
+export { exportCustomers, getDueCustomers, getStats, validateMaster } from "./lib/reports.js";
+export { resendReminder } from "./lib/resend.js";
+export { unsubscribeCustomer } from "./lib/unsubscribe.js";
+export { recordEmailEvents } from "./lib/webhooks.js";
+
+// Email: EMAIL_PROVIDER, EMAIL_USER, EMAIL_PASS, SENDGRID_API_KEY, SMTP_* (see lib/email.js)
+// Storage (see lib/storage.js): STORAGE_BACKEND (sheets | file | memory), STORAGE_PATH,
+// GOOGLE_SHEET_ID, GOOGLE_CLIENT_EMAIL, GOOGLE_PRIVATE_KEY, GOOGLE_PROJECT_ID
+// Branches: BRANCHES, BRANCHES_FILE (see lib/branches.js)
+// SMS/WhatsApp: see lib/channels.js
+// Service intervals: DEFAULT_SERVICE_INTERVAL, SERVICE_PLANS (see lib/schedule.js)
+// Templates: TEMPLATES_DIR, LOGO_URL (see lib/templates.js)
+// Unsubscribe/booking links: PUBLIC_BASE_URL, LINK_SIGNING_SECRET (see lib/links.js)
+// Booking slots: BOOKING_SLOT_TIMES, BOOKING_DAYS_AHEAD, BOOKING_SLOT_CAPACITY (see lib/booking.js)
+// Reminder cadence: REMINDER_CADENCE (see lib/cadence.js)
+// AMC renewals: AMC_RENEWAL_CADENCE, AMC_GRACE_DAYS (see lib/amc.js)
+// Delivery events: SENDGRID_WEBHOOK_PUBLIC_KEY (see lib/webhooks.js)
+// Run lock: SYNC_LOCK_TTL_SECONDS, SYNC_LOCK_WAIT_SECONDS (see lib/lock.js)
+// Master backups: BACKUP_TARGET, BACKUP_DIR, BACKUP_KEEP (see lib/backups.js)
+// Staff digest: STAFF_DIGEST_TO, STAFF_DIGEST_CSV (see lib/digest.js)
+// Business calendar: BUSINESS_TIMEZONE, PUBLIC_HOLIDAYS, CLOSED_WEEKDAYS, SEND_HOURS (see lib/calendar.js)
+// Sending: SEND_RATE_PER_MINUTE, SEND_MAX_ATTEMPTS, SEND_RETRY_BASE_SECONDS, SEND_TIME_BUDGET_SECONDS
+// (see lib/outbox.js)
+
+const RUN_DETAILS_HEADER = [
+  "Run At",
+  "Customer Key",
+  "Name",
+  "Veh. Reg. No.",
+  "Decision",
+  "Reason",
+  "Channel",
+  "Email Type",
+  "Language",
+  "Days Until Due",
+  "Send Error",
+];
 
-if (!GOOGLE_SHEET_ID) throw new Error("Missing GOOGLE_SHEET_ID env variable");
+// Runs one branch (lib/branches.js); syncBranches() runs them all.
+// Options:
+//   dryRun - classify and render every reminder but send nothing and write nothing.
+//            The summary then carries the per-customer `plan`.
+//   branch - which branch `storage` holds; its sender, signature and links are
+//            used and its id tags the Status Log row (defaults to the first branch)
+//   channels - where messages go, from createChannels() in lib/reminders.js
+//              (defaults to the configured email and SMS providers)
+//   deadline - when sending stops, in ms (defaults to SEND_TIME_BUDGET_SECONDS
+//              from now; syncBranches() passes one deadline to every branch)
+// When the Master has an "AMC End" column, renewal reminders go out after the
+// service reminders; their decisions are in `renewals`.
+// Real runs snapshot the Master before writing to it (lib/backups.js); the
+// summary names the snapshot in `backup` and counts the cells changed.
+// Real runs hold the "Sync Lock" tab. A run that finds it taken waits up to
+// SYNC_LOCK_WAIT_SECONDS for a booking or resend to finish; if it is still
+// taken the run does nothing and returns { skipped: true, reason }.
+export async function mainSync(storage, options = {}) {
+  const branch = options.branch || loadBranches()[0];
+  if (!storage) storage = createBranchStorage(branch);
+  options = { ...options, branch };
+  if (options.dryRun) return runSync(storage, options);
+
+  options.deadline ??= Date.now() + loadSendConfig().timeBudgetSeconds * 1000;
+  const lock = await acquireLock(storage, SHEET_NAMES.SYNC_LOCK, { waitSeconds: loadLockWaitSeconds() });
+  if (!lock.acquired) {
+    const reason = `Skipped: another run holds the lock (since ${lock.heldBy?.lockedAt || "just now"})`;
+    log(`⏭️  ${reason}`);
+    await logSyncEvent(storage, reason, branch.id);
+    return { skipped: true, reason };
+  }
+  try {
+    return await runSync(storage, options);
+  } finally {
+    await lock.release();
+  }
+}
 
-const SHEET_NAMES = {
-  MASTER: "ALL AMC CLIENT",
-  REMINDERS: "REMINDER SHEET",
-  STATUS_LOG: "Status Log",
-};
+// Runs every branch (or only `branch`, an id) one after another. A branch that
+// throws doesn't stop the others: its entry carries { branch, error } instead
+// of a summary. Returns [{ branch, ...summary }] in BRANCHES order.
+// All branches share one send time budget, since they run in one invocation:
+// a branch that starts after it ran out queues its messages for the next run
+// but still writes its Master and Status Log.
+export async function syncBranches({ branch: only, ...options } = {}) {
+  const branches = loadBranches();
+  const selected = only ? branches.filter(b => b.id === only) : branches;
+  if (selected.length === 0) throw new Error(`Unknown branch "${only}"`);
+  options.deadline ??= Date.now() + loadSendConfig().timeBudgetSeconds * 1000;
+
+  const results = [];
+  for (const branch of selected) {
+    log(`\n🏢 BRANCH ${branch.id} (${branch.name})`);
+    try {
+      const summary = await mainSync(createBranchStorage(branch), { ...options, branch });
+      results.push({ branch: branch.id, ...summary });
+    } catch (e) {
+      console.error(`❌ Branch ${branch.id} failed: ${e.message}`);
+      results.push({ branch: branch.id, error: e.message });
+    }
+  }
+  return results;
+}
 
-const REQUIRED_COLUMNS = [
- "Name",
- "Veh. Reg. No.",
- "Email Add.", 
- "Phone Number", 
- "Last Visit",
- "Next Reminder Date",
- "Manual Contact",
- "Status",
- "Last Email Sent",
- "Email Type",
- "Subscription",
-];
+// Adds a Status Log row for a run that didn't happen (skipped or rejected trigger).
+export async function logSyncEvent(storage = createBranchStorage(), note, branchId = loadBranches()[0].id) {
+  await appendSheetRow(storage, SHEET_NAMES.STATUS_LOG, [
+    DateTime.now().toISO({ suppressMilliseconds: true }), 0, 0, 0, note, branchId,
+  ]);
+}
 
-export async function mainSync() {
-  console.log('\n' + '='.repeat(80));
-  console.log('🎯 mainSync() STARTED');
-  console.log('Current Time:', new Date().toISOString());
-  console.log('Current Date (ISO):', DateTime.now().toISODate());
-  console.log('Current Date (dd-MM-yyyy):', DateTime.now().toFormat('dd-MM-yyyy'));
-  console.log('Timezone:', Intl.DateTimeFormat().resolvedOptions().timeZone);
-  console.log('='.repeat(80) + '\n');
+// Service reminders and renewals share one send time budget. It runs from
+// `deadline`, which mainSync() sets before waiting for the lock so the wait
+// counts against it.
+async function runSync(storage, {
+  dryRun = false,
+  branch,
+  channels = createChannels({ branch }),
+  deadline = Date.now() + loadSendConfig().timeBudgetSeconds * 1000,
+}) {
+  log('\n' + '='.repeat(80));
+  log(`🎯 mainSync() STARTED${dryRun ? ' (DRY RUN)' : ''}`);
+  log('Current Time:', new Date().toISOString());
+  log('Current Date (ISO):', DateTime.now().toISODate());
+  log('Current Date (dd-MM-yyyy):', DateTime.now().toFormat('dd-MM-yyyy'));
+  log('Timezone:', Settings.defaultZone.name, `(server: ${Intl.DateTimeFormat().resolvedOptions().timeZone})`);
+  log('Branch:', `${branch.id} (${branch.name})`);
+  log('='.repeat(80) + '\n');
   
   try {
-    // 1. Authenticate Google Sheets
-    console.log('📝 STEP 1: Authenticating Google Sheets...');
-    const sheets = await getSheetsClient();
-    console.log('✅ Authentication successful\n');
+    // 1. Connect to storage (Google Sheets unless told otherwise)
+    log('📝 STEP 1: Connecting to storage...');
+    log(`✅ Using ${storage.name} storage\n`);
 
     // 2. Fetch and ensure columns in Master
-    console.log('📝 STEP 2: Fetching Master Sheet Data...');
-    let { rows: masterRows, header: masterHeader } = await fetchSheetRows(sheets, SHEET_NAMES.MASTER);
-    console.log(`✅ Fetched ${masterRows.length} rows from Master Sheet`);
-    console.log('Current headers:', masterHeader.join(', '));
+    log('📝 STEP 2: Fetching Master Sheet Data...');
+    let { rows: masterRows, header: masterHeader } = await fetchSheetRows(storage, SHEET_NAMES.MASTER);
+    log(`✅ Fetched ${masterRows.length} rows from Master Sheet`);
+    log('Current headers:', masterHeader.join(', '));
+
+    // From here on, writes to the Master through `storage` are recorded for the Change Log
+    const backup = dryRun ? null : await backupMaster(storage, [masterHeader, ...masterRows], branch);
+    if (backup) {
+      storage = backup.storage;
+      log(`💾 Master snapshot saved as ${backup.name}${backup.removed.length ? ` (${backup.removed.length} old snapshot(s) removed)` : ''}`);
+    }
     
-    const { header: ensuredHeader, changed: headerChanged } = ensureColumns(masterHeader, REQUIRED_COLUMNS);
-
-    if (headerChanged) {
-      console.log('⚠️  Adding missing columns to Master Sheet...');
-      console.log('Missing columns:', REQUIRED_COLUMNS.filter(col => !masterHeader.includes(col)).join(', '));
-      await updateSheetHeader(sheets, SHEET_NAMES.MASTER, ensuredHeader);
+    const amcEnabled = masterHeader.includes("AMC End");
+    const requiredColumns = requiredColumnsFor(masterHeader);
+    const { header: ensuredHeader, changed: headerChanged } = ensureColumns(masterHeader, requiredColumns);
+
+    if (headerChanged && dryRun) {
+      log('⏭️  DRY RUN - Not adding missing columns:', requiredColumns.filter(col => !masterHeader.includes(col)).join(', '), '\n');
+    } else if (headerChanged) {
+      log('⚠️  Adding missing columns to Master Sheet...');
+      log('Missing columns:', requiredColumns.filter(col => !masterHeader.includes(col)).join(', '));
+      await updateSheetHeader(storage, SHEET_NAMES.MASTER, ensuredHeader);
       masterHeader = ensuredHeader;
-      console.log('✅ Headers updated\n');
+      log('✅ Headers updated\n');
     } else {
-      console.log('✅ All required columns present\n');
+      log('✅ All required columns present\n');
     }
 
-    // 3. Process customers
-    console.log('📝 STEP 3: Processing customers...');
+    // 3. Give every row a stable Customer ID; tracking writes match on it
+    log('📝 STEP 3: Assigning Customer IDs...');
+    const newIds = assignCustomerIds(masterRows, ensuredHeader);
+    if (newIds.length === 0) {
+      log('✅ Every row already has a Customer ID\n');
+    } else if (dryRun) {
+      log(`⏭️  DRY RUN - Not writing ${newIds.length} new Customer IDs\n`);
+    } else {
+      const skippedIds = await writeCustomerIds(storage, SHEET_NAMES.MASTER, newIds, masterRows, ensuredHeader);
+      log(`✅ Assigned ${newIds.length - skippedIds} new Customer IDs${skippedIds ? ` (${skippedIds} skipped, rows moved)` : ''}\n`);
+    }
+
+    // 4. Load templates now so a bad placeholder stops the run before anything is sent
+    log('📝 STEP 4: Loading reminder templates...');
+    const templates = await loadTemplates({
+      types: [...REMINDER_TYPES, COMBINED_TYPE, ...(amcEnabled ? RENEWAL_TYPES : [])],
+      columns: ensuredHeader,
+      storage,
+      sheetName: SHEET_NAMES.TEMPLATES,
+      branding: branch.branding,
+    });
+    log('✅ Templates loaded\n');
+
+    // 5. Process customers
+    log('📝 STEP 5: Processing customers...');
     const processedCustomers = processCustomers(masterRows, ensuredHeader);
-    console.log(`✅ Processed ${processedCustomers.length} customers\n`);
+    const { issues: dataIssues, cleaned } = validateCustomers(processedCustomers);
+    const invalidRows = new Set(dataIssues.filter(i => i.severity === "ERROR").map(i => i.row));
+    processedCustomers.forEach((customer, index) => {
+      Object.assign(customer, cleaned[index]);
+      if (invalidRows.has(index + 2) && !customer["Manual Contact"]) {
+        customer["Manual Contact"] = DATA_FLAG;
+      }
+    });
+    log(`✅ Processed ${processedCustomers.length} customers (${dataIssues.length} data issues, ${invalidRows.size} rows held back)\n`);
 
-    // 4. Alphabetically sort for reminders sheet
-    console.log('📝 STEP 4: Sorting customers alphabetically...');
+    // 6. Alphabetically sort for reminders sheet
+    log('📝 STEP 6: Sorting customers alphabetically...');
     const sortedCustomers = [...processedCustomers].sort((a, b) => 
       (a["Name"] || "").localeCompare(b["Name"] || "")
     );
-    console.log('✅ Customers sorted\n');
+    log('✅ Customers sorted\n');
 
-    // 5. Write sorted data to Reminders sheet
-    console.log('📝 STEP 5: Writing to Reminder Sheet...');
-    await writeProcessedData(sheets, sortedCustomers, ensuredHeader, SHEET_NAMES.REMINDERS);
-    console.log('✅ Reminder Sheet updated\n');
+    // 7. Write sorted data to Reminders sheet
+    if (!dryRun) {
+      log('📝 STEP 7: Writing to Reminder Sheet...');
+      await writeProcessedData(storage, sortedCustomers, ensuredHeader, SHEET_NAMES.REMINDERS);
+      log('✅ Reminder Sheet updated\n');
+    }
 
-    // 6. Send reminders and get updated customers with email tracking
-    console.log('📝 STEP 6: Sending email reminders...');
-    const emailResults = await sendReminders(processedCustomers);
-    console.log(`✅ Email process complete: ${emailResults.sent} sent, ${emailResults.failed} failed\n`);
+    // 8. Send reminders and get updated customers with email tracking
+    log(`📝 STEP 8: ${dryRun ? 'Planning' : 'Sending'} email reminders...`);
+    const outbox = dryRun ? null : await loadOutbox(storage, SHEET_NAMES.OUTBOX);
+    const sendConfig = loadSendConfig();
+    if (outbox) {
+      const pruned = await outbox.prune(sendConfig.keepDays);
+      if (pruned > 0) log(`🗑️  Removed ${pruned} finished message(s) older than ${sendConfig.keepDays} days from the Outbox`);
+    }
+    const emailResults = await sendReminders(processedCustomers, { dryRun, templates, outbox, channels, sendConfig, deadline, branch });
+    log(`✅ Email process complete: ${emailResults.sent} sent, ${emailResults.failed} failed, ${emailResults.queued} queued\n`);
+
+    const renewalResults = amcEnabled
+      ? await sendRenewalReminders(processedCustomers, { dryRun, templates, outbox, channels, sendConfig, deadline, branch })
+      : { sent: 0, failed: 0, queued: 0, failures: [], decisions: [] };
+
+    if (dryRun) {
+      log('='.repeat(80));
+      log('✅ mainSync() DRY RUN COMPLETED - nothing was sent or written');
+      log('='.repeat(80) + '\n');
+      return {
+        dryRun: true,
+        branch: branch.id,
+        processed: processedCustomers.length,
+        wouldSend: emailResults.decisions.filter(d => d.decision === "WOULD_SEND").length,
+        renewalsWouldSend: renewalResults.decisions.filter(d => d.decision === "WOULD_SEND").length,
+        sendingHeld: emailResults.held,
+        skipped: emailResults.skipped,
+        dataIssues,
+        plan: emailResults.decisions,
+        renewals: renewalResults.decisions,
+      };
+    }
 
-    // 7. Update Master with reminder fields AND email tracking
-    console.log('📝 STEP 7: Updating Master Sheet with email tracking...');
-    await updateReminderFieldsInMaster(sheets, emailResults.updatedCustomers, ensuredHeader, SHEET_NAMES.MASTER);
-    console.log('✅ Master Sheet updated\n');
+    // 9. Update Master with reminder fields AND email tracking
+    log('📝 STEP 9: Updating Master Sheet with email tracking...');
+    const writeBack = await updateReminderFieldsInMaster(
+      storage, emailResults.updatedCustomers, { header: ensuredHeader, rows: masterRows }, SHEET_NAMES.MASTER
+    );
+    log(`✅ Master Sheet updated: ${writeBack.cellsWritten} cells written, ${writeBack.conflicts.length} conflicts\n`);
+
+    // 10. Record why each customer did or didn't get a reminder, and what needs fixing
+    log('📝 STEP 10: Writing to Run Details and Data Issues...');
+    await writeRunDetails(storage, [...emailResults.decisions, ...renewalResults.decisions], SHEET_NAMES.RUN_DETAILS);
+    await writeDataIssues(storage, dataIssues, SHEET_NAMES.DATA_ISSUES);
+    log('✅ Run Details and Data Issues updated\n');
+
+    // 11. Tell the front desk what needs doing by hand (once a day)
+    const digestConfig = loadDigestConfig();
+    let digest = null;
+    if (digestConfig) {
+      log('📝 STEP 11: Sending staff digest...');
+      digest = await sendStaffDigest(outbox, channels, { ...digestConfig, branding: branch.branding },
+        processedCustomers, emailResults.decisions, dataIssues);
+      log(`${digest.status === "FAILED" || digest.status === "RETRY" ? '❌' : '✅'} Staff digest: ${digest.status}${digest.error ? ` (${digest.error})` : ''}\n`);
+    }
 
-    // 8. Log to Status Log
-    console.log('📝 STEP 8: Writing to Status Log...');
+    // 12. Log the cells this run changed in the Master, and the run itself
+    log('📝 STEP 12: Writing to Change Log and Status Log...');
+    const masterChanges = backup ? backup.changes() : [];
+    if (backup) {
+      await writeChangeLog(storage, SHEET_NAMES.CHANGE_LOG,
+        { snapshot: backup.name, source: "sync", changes: masterChanges }, await backup.store.list());
+    }
+    const notes = emailResults.failures.concat(renewalResults.failures, writeBack.conflicts.map(c => `Write conflict: ${c}`));
+    if (digest?.error) notes.push(`Staff digest: ${digest.error}`);
     const logRow = [
       DateTime.now().toISO({ suppressMilliseconds: true }),
       processedCustomers.length,
-      emailResults.sent,
-      emailResults.failed,
-      emailResults.failures.join("; ")
+      emailResults.sent + renewalResults.sent,
+      emailResults.failed + renewalResults.failed,
+      notes.join("; "),
+      branch.id,
     ];
-    await appendSheetRow(sheets, SHEET_NAMES.STATUS_LOG, logRow);
-    console.log('✅ Status Log updated\n');
+    await appendSheetRow(storage, SHEET_NAMES.STATUS_LOG, logRow);
+    log(`✅ Change Log (${masterChanges.length} cells) and Status Log updated\n`);
 
-    // 9. Return summary
-    console.log('='.repeat(80));
-    console.log('✅ mainSync() COMPLETED SUCCESSFULLY');
+    // 13. Return summary
+    log('='.repeat(80));
+    log('✅ mainSync() COMPLETED SUCCESSFULLY');
     const summary = {
+      branch: branch.id,
       processed: processedCustomers.length,
       remindersSent: emailResults.sent,
       remindersFailed: emailResults.failed,
-      failures: emailResults.failures,
+      remindersQueued: emailResults.queued,
+      renewalsSent: renewalResults.sent,
+      renewalsFailed: renewalResults.failed,
+      renewalsQueued: renewalResults.queued,
+      sendingHeld: emailResults.held,
+      failures: emailResults.failures.concat(renewalResults.failures),
+      skipped: emailResults.skipped,
+      dataIssues: dataIssues.length,
+      writeConflicts: writeBack.conflicts,
+      backup: backup ? backup.name : null,
+      masterCellsChanged: masterChanges.length,
+      digest: digest && digest.status,
+      decisions: emailResults.decisions,
+      renewals: renewalResults.decisions,
     };
-    console.log('FINAL SUMMARY:', JSON.stringify(summary, null, 2));
-    console.log('='.repeat(80) + '\n');
+    log('FINAL SUMMARY:', JSON.stringify({
+      ...summary,
+      decisions: `${summary.decisions.length} entries`,
+      renewals: `${summary.renewals.length} entries`,
+    }, null, 2));
+    log('='.repeat(80) + '\n');
     
     return summary;
     
@@ -133,414 +363,36 @@ export async function mainSync() {
   }
 }
 
-// ==== GOOGLE SHEETS HELPERS ====
-async function getSheetsClient() {
-  const auth = new google.auth.GoogleAuth({
-    credentials: {
-      client_email: GOOGLE_CLIENT_EMAIL,
-      private_key: (GOOGLE_PRIVATE_KEY || "").replace(/\\n/g, "\n"),
-      project_id: GOOGLE_PROJECT_ID,
-    },
-    scopes: ["https://www.googleapis.com/auth/spreadsheets"],
-  });
-  const sheets = google.sheets({ version: "v4", auth });
-  return sheets;
-}
-
-async function fetchSheetRows(sheets, sheetName) {
-  const res = await sheets.spreadsheets.values.get({
-    spreadsheetId: GOOGLE_SHEET_ID,
-    range: sheetName,
-    majorDimension: "ROWS",
-  });
-  const values = res.data.values || [];
-  if (values.length === 0) return { header: [], rows: [] };
-  const [header, ...rows] = values;
-  return { header, rows };
-}
-
-function ensureColumns(header, required) {
-  const newHeader = [...header];
-  let changed = false;
-  required.forEach(col => {
-    if (!newHeader.includes(col)) {
-      newHeader.push(col);
-      changed = true;
-    }
-  });
-  return { header: newHeader, changed };
-}
-
-async function updateSheetHeader(sheets, sheetName, header) {
-  await sheets.spreadsheets.values.update({
-    spreadsheetId: GOOGLE_SHEET_ID,
-    range: `${sheetName}!1:1`,
-    valueInputOption: "RAW",
-    requestBody: { values: [header] },
-  });
-}
-
-function processCustomers(rows, header) {
-  console.log('\n--- PROCESSING CUSTOMERS ---');
-  const customers = rows.map((row, index) => {
-    const obj = {};
-    header.forEach((col, i) => { obj[col] = (row[i] || "").trim(); });
-
-    // Ensure all required fields exist
-    REQUIRED_COLUMNS.forEach(col => {
-      if (!(col in obj)) obj[col] = "";
-    });
-
-    // Calculate Next Reminder Date (3 months after Last Visit)
-    let lastVisit = parseDate(obj["Last Visit"]);
-    let nextReminder = "";
-    if (lastVisit) {
-      nextReminder = lastVisit.plus({ months: 3 }).toFormat("dd-MM-yyyy");
-      obj["Next Reminder Date"] = nextReminder;
-      console.log(`✅ Customer ${index + 1}: ${obj["Name"]}, Last Visit: ${obj["Last Visit"]}, Next Reminder: ${nextReminder}`);
-    } else {
-      obj["Next Reminder Date"] = "";
-      console.log(`⚠️  Customer ${index + 1}: ${obj["Name"]}, No valid Last Visit date found: "${obj["Last Visit"]}"`);
-    }
-
-    // Manual Contact if no email/phone
-    const hasEmail = Boolean(obj["Email Add."]);
-    const hasPhone = Boolean(obj["Phone Number"]);
-    obj["Manual Contact"] = (!hasEmail && !hasPhone) ? "MISSING CONTACT" : "";
-
-    return obj;
-  });
-  console.log('--- END PROCESSING CUSTOMERS ---\n');
-  return customers;
-}
-
-function parseDate(str) {
-  if (!str) return null;
-  
-  const formats = [
-    "yyyy-MM-dd",
-    "dd/MM/yyyy",
-    "MM/dd/yyyy",
-    "dd-MM-yyyy",
-    "MM-dd-yyyy",
-    "d/M/yyyy",
-    "d-M-yyyy",
-  ];
-  
-  let dt = DateTime.fromISO(str);
-  if (dt.isValid) return dt;
-  
-  for (const format of formats) {
-    dt = DateTime.fromFormat(str, format);
-    if (dt.isValid) return dt;
-  }
-  
-  return null;
-}
-
-async function writeProcessedData(sheets, customers, header, sheetName) {
-  const values = [header].concat(
-    customers.map(c => header.map(h => c[h] || ""))
+// Replaces the tab with the latest run so it always answers "what happened today".
+async function writeRunDetails(storage, decisions, sheetName) {
+  const runAt = DateTime.now().toISO({ suppressMilliseconds: true });
+  const values = [RUN_DETAILS_HEADER].concat(
+    decisions.map(d => [
+      runAt,
+      d.customerKey,
+      d.name,
+      d.vehicle,
+      d.decision,
+      d.reason,
+      d.channel || "",
+      d.emailType || "",
+      d.language || "",
+      d.daysUntilDue ?? "",
+      d.error || "",
+    ])
   );
-  await sheets.spreadsheets.values.update({
-    spreadsheetId: GOOGLE_SHEET_ID,
-    range: sheetName,
-    valueInputOption: "RAW",
-    requestBody: { values }
-  });
+  await storage.ensureSheet(sheetName);
+  await storage.clearValues(sheetName);
+  await storage.updateValues(sheetName, 1, values);
 }
 
-async function updateReminderFieldsInMaster(sheets, customers, header, sheetName) {
-  const fieldsToUpdate = ["Next Reminder Date", "Manual Contact", "Last Email Sent", "Email Type", "Subscription"];
-  
-  const { rows, header: masterHeader } = await fetchSheetRows(sheets, sheetName);
-  const idx = Object.fromEntries(masterHeader.map((h, i) => [h, i]));
-
-  const byKey = Object.fromEntries(
-    customers.map(c => [`${c["Name"]}|${c["Veh. Reg. No."]}`, c])
+async function writeDataIssues(storage, issues, sheetName) {
+  const checkedAt = DateTime.now().toISO({ suppressMilliseconds: true });
+  const values = [DATA_ISSUES_HEADER].concat(
+    issues.map(i => [checkedAt, i.row, i.customerId, i.name, i.column, i.value, i.severity, i.issue])
   );
-  
-  const updatedRows = rows.map(row => {
-    const name = (row[idx["Name"]] || "").trim();
-    const plate = (row[idx["Veh. Reg. No."]] || "").trim();
-    const key = `${name}|${plate}`;
-    const customer = byKey[key];
-    
-    if (!customer) return row;
-    
-    const newRow = [...row];
-    while (newRow.length < masterHeader.length) {
-      newRow.push("");
-    }
-    
-    for (const field of fieldsToUpdate) {
-      if (idx[field] !== undefined) {
-        newRow[idx[field]] = customer[field] || "";
-      }
-    }
-    return newRow;
-  });
-  
-  if (updatedRows.length > 0) {
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: GOOGLE_SHEET_ID,
-      range: `${sheetName}!A2`,
-      valueInputOption: "RAW",
-      requestBody: { values: updatedRows },
-    });
-  }
-}
-
-async function appendSheetRow(sheets, sheetName, row) {
-  await sheets.spreadsheets.values.append({
-    spreadsheetId: GOOGLE_SHEET_ID,
-    range: sheetName,
-    valueInputOption: "RAW",
-    insertDataOption: "INSERT_ROWS",
-    requestBody: { values: [row] }
-  });
+  await storage.ensureSheet(sheetName);
+  await storage.clearValues(sheetName);
+  await storage.updateValues(sheetName, 1, values);
 }
 
-// ==== EMAIL NOTIFICATION (IMPROVED VERSION) ====
-async function sendReminders(customers) {
-  let sent = 0, failed = 0, failures = [];
-  const today = DateTime.now().startOf("day");
-  const todayStr = today.toISODate();
-  const todayFormatted = today.toFormat("dd-MM-yyyy");
-  
-  console.log('\n' + '='.repeat(80));
-  console.log('📧 EMAIL SENDING PROCESS STARTED');
-  console.log(`Today's date (ISO): ${todayStr}`);
-  console.log(`Today's date (dd-MM-yyyy): ${todayFormatted}`);
-  console.log(`Total customers to check: ${customers.length}`);
-  console.log('='.repeat(80));
-  
-  let checkedCount = 0;
-  let skippedNotSubscribed = 0;
-  let skippedNoContact = 0;
-  let skippedNoEmail = 0;
-  let skippedNoReminderDate = 0;
-  let skippedNotDue = 0;
-  let skippedAlreadySent = 0;
-  
-  for (const customer of customers) {
-    checkedCount++;
-    const name = customer["Name"] || "Unknown";
-    
-    console.log(`\n${'─'.repeat(60)}`);
-    console.log(`📋 Customer ${checkedCount}/${customers.length}: ${name}`);
-    
-    // Check subscription status FIRST
-    const subscription = (customer["Subscription"] || "").trim().toUpperCase();
-    console.log(`   Subscription: "${subscription}"`);
-    
-    if (subscription === "NOT SUBSCRIBED" || subscription === "UNSUBSCRIBED") {
-      console.log(`   🚫 NOT SUBSCRIBED - Skipping`);
-      skippedNotSubscribed++;
-      continue;
-    }
-    
-    if (subscription !== "SUBSCRIBED" && subscription !== "") {
-      console.log(`   ⚠️  Unknown subscription: "${subscription}" - Treating as SUBSCRIBED`);
-    }
-    
-    // Skip customers with missing contact info
-    if (customer["Manual Contact"] === "MISSING CONTACT") {
-      console.log(`   ⏭️  MISSING CONTACT - Skipping`);
-      skippedNoContact++;
-      continue;
-    }
-    
-    const to = customer["Email Add."];
-    if (!to) {
-      console.log(`   ⏭️  NO EMAIL ADDRESS - Skipping`);
-      skippedNoEmail++;
-      continue;
-    }
-
-    const nextReminderStr = customer["Next Reminder Date"];
-    const lastEmailSent = customer["Last Email Sent"] || "";
-    const lastEmailType = customer["Email Type"] || "";
-    
-    console.log(`   Email: ${to}`);
-    console.log(`   Vehicle: ${customer["Veh. Reg. No."]}`);
-    console.log(`   Last Visit: ${customer["Last Visit"]}`);
-    console.log(`   Next Reminder: ${nextReminderStr}`);
-    console.log(`   Last Email Sent: ${lastEmailSent} (${lastEmailType})`);
-    
-    // Parse reminder date
-    if (!nextReminderStr) {
-      console.log(`   ⏭️  NO REMINDER DATE SET - Skipping`);
-      skippedNoReminderDate++;
-      continue;
-    }
-
-    const nextReminder = parseDate(nextReminderStr);
-    if (!nextReminder || !nextReminder.isValid) {
-      console.log(`   ⚠️  INVALID REMINDER DATE: ${nextReminderStr} - Skipping`);
-      skippedNoReminderDate++;
-      continue;
-    }
-
-    const reminderDate = nextReminder.startOf("day");
-    const daysUntilDue = reminderDate.diff(today, "days").days;
-    
-    console.log(`   Days until due: ${Math.round(daysUntilDue)}`);
-    console.log(`   Reminder date: ${reminderDate.toISODate()} vs Today: ${todayStr}`);
-    
-    // Determine email type based on timing
-    let emailType = null;
-    let template = null;
-    
-    if (daysUntilDue < 0) {
-      emailType = "OVERDUE";
-      template = overdueEmailTemplate(customer);
-      console.log(`   🔴 OVERDUE by ${Math.abs(Math.round(daysUntilDue))} days`);
-    } else if (daysUntilDue === 0) {
-      emailType = "DUE_TODAY";
-      template = dueTodayEmailTemplate(customer);
-      console.log(`   🟡 DUE TODAY`);
-    } else if (daysUntilDue <= 7 && daysUntilDue > 0) {
-      emailType = "ADVANCE_7DAY";
-      template = advanceReminderEmailTemplate(customer, Math.round(daysUntilDue));
-      console.log(`   🟢 DUE IN ${Math.round(daysUntilDue)} DAYS - Advance reminder`);
-    } else {
-      console.log(`   ⏭️  TOO EARLY (${Math.round(daysUntilDue)} days away) - Skipping`);
-      skippedNotDue++;
-      continue;
-    }
-    
-    // Check if we already sent this type of email today
-    if (lastEmailSent === todayStr && lastEmailType === emailType) {
-      console.log(`   ⏭️  ALREADY SENT ${emailType} TODAY - Skipping`);
-      skippedAlreadySent++;
-      continue;
-    }
-    
-    // Send email
-    console.log(`   📧 SENDING ${emailType} EMAIL...`);
-    try {
-      await sendEmail(to, template);
-      sent++;
-      
-      // Update tracking fields
-      customer["Last Email Sent"] = todayStr;
-      customer["Email Type"] = emailType;
-      
-      console.log(`   ✅ EMAIL SENT SUCCESSFULLY!`);
-    } catch (e) {
-      failed++;
-      const errorMsg = `${name} (${to}): ${e.message}`;
-      failures.push(errorMsg);
-      console.error(`   ❌ FAILED: ${e.message}`);
-    }
-  }
-  
-  console.log('\n' + '='.repeat(80));
-  console.log('📊 EMAIL SENDING SUMMARY');
-  console.log(`Total customers checked: ${checkedCount}`);
-  console.log(`✅ Emails sent: ${sent}`);
-  console.log(`❌ Emails failed: ${failed}`);
-  console.log(`\nSkip Reasons:`);
-  console.log(`   🚫 Not subscribed: ${skippedNotSubscribed}`);
-  console.log(`   📭 No contact info: ${skippedNoContact}`);
-  console.log(`   📧 No email address: ${skippedNoEmail}`);
-  console.log(`   📅 No reminder date: ${skippedNoReminderDate}`);
-  console.log(`   ⏰ Not due yet: ${skippedNotDue}`);
-  console.log(`   🔁 Already sent today: ${skippedAlreadySent}`);
-  
-  if (failures.length > 0) {
-    console.log(`\nFailures:\n   - ${failures.join("\n   - ")}`);
-  }
-  console.log('='.repeat(80) + '\n');
-  
-  return { sent, failed, failures, updatedCustomers: customers };
-}
-
-function advanceReminderEmailTemplate(customer, daysUntil) {
-  return {
-    subject: `Upcoming Service Reminder - ${customer["Name"]}`,
-    text: (
-      `Dear ${customer["Name"] || "Customer"},\n\n` +
-      `This is a friendly advance reminder that your vehicle (${customer["Veh. Reg. No."]}) is due for service in ${daysUntil} day(s).\n\n` +
-      `Service Details:\n` +
-      `- Last Service: ${customer["Last Visit"]}\n` +
-      `- Next Service Due: ${customer["Next Reminder Date"]}\n\n` +
-      `We recommend booking your appointment early to ensure availability.\n\n` +
-      `Contact us at Royal Gem AutoCare to schedule your service.\n\n` +
-      `Best regards,\n` +
-      `Royal Gem Auto Care Service Team`
-    )
-  };
-}
-
-function dueTodayEmailTemplate(customer) {
-  return {
-    subject: `Service Due Today - ${customer["Name"]}`,
-    text: (
-      `Dear ${customer["Name"] || "Customer"},\n\n` +
-      `Your vehicle (${customer["Veh. Reg. No."]}) is due for service TODAY.\n\n` +
-      `Service Details:\n` +
-      `- Last Service: ${customer["Last Visit"]}\n` +
-      `- Service Due: ${customer["Next Reminder Date"]}\n\n` +
-      `Please contact us to schedule your appointment as soon as possible.\n\n` +
-      `Best regards,\n` +
-      `Royal Gem Auto Care Service Team`
-    )
-  };
-}
-
-function overdueEmailTemplate(customer) {
-  return {
-    subject: `⚠️ Overdue Service Notice - ${customer["Name"]}`,
-    text: (
-      `Dear ${customer["Name"] || "Customer"},\n\n` +
-      `URGENT: Our records show your vehicle (${customer["Veh. Reg. No."]}) has missed its scheduled service.\n\n` +
-      `Service Details:\n` +
-      `- Last Service: ${customer["Last Visit"]}\n` +
-      `- Service Was Due: ${customer["Next Reminder Date"]}\n\n` +
-      `Regular maintenance is essential for your vehicle's safety and performance. ` +
-      `Please contact us IMMEDIATELY to schedule your overdue service.\n\n` +
-      `Don't risk your vehicle's condition - book your appointment today!\n\n` +
-      `Best regards,\n` +
-      `Royal Gem Auto Care Service Team`
-    )
-  };
-}
-
-async function sendEmail(to, { subject, text }) {
-  console.log(`      → Email Provider: ${EMAIL_PROVIDER}`);
-  console.log(`      → Sending to: ${to}`);
-  console.log(`      → Subject: ${subject}`);
-  
-  if (EMAIL_PROVIDER === "smtp") {
-    const transporter = nodemailer.createTransport({
-      host: process.env.SMTP_HOST,          
-      port: Number(process.env.SMTP_PORT),
-      secure: process.env.SMTP_SECURE === "true", 
-      auth: {
-        user: EMAIL_USER,  
-        pass: EMAIL_PASS,  
-      },
-    });
-
-    await transporter.sendMail({
-      from: `"Royal Gem AutoCare Nigeria Limited" <${EMAIL_USER}>`, 
-      to,
-      subject,
-      text,
-    });
-
-  } else if (EMAIL_PROVIDER === "sendgrid") {
-    sgMail.setApiKey(SENDGRID_API_KEY);
-    await sgMail.send({
-      to,
-      from: EMAIL_USER,
-      subject,
-      text,
-    });
-
-  } else {
-    throw new Error("Unknown EMAIL_PROVIDER: " + EMAIL_PROVIDER);
-  }
-}
\ No newline at end of file
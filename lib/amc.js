@@ -0,0 +1,56 @@
+// ==== AMC RENEWALS ====
+// ENV VARS: AMC_RENEWAL_CADENCE (days relative to "AMC End", default "-30,-14,0,7"),
+// AMC_GRACE_DAYS (default 30)
+//
+// Vehicles with an annual maintenance contract have "AMC Start" and "AMC End"
+// on the Master. Renewal reminders follow their own cadence, counted from AMC
+// End instead of the service due date: steps up to 0 are sent before and on
+// the expiry day, later steps are grace-period notices. A contract renewed
+// within AMC_GRACE_DAYS of expiring carries on; after that it is EXPIRED and
+// renewal reminders stop. "Renewal History" uses the Reminder History format
+// with AMC End as the due date, so a new AMC End starts a fresh cadence.
+
+// Added to the Master only when it already has an "AMC End" column; the last
+// four are filled in by runs
+export const AMC_COLUMNS = ["AMC Start", "AMC End", "AMC Status", "Last Renewal Sent", "Renewal Type", "Renewal History"];
+
+export const RENEWAL_TYPES = ["AMC_RENEWAL", "AMC_EXPIRES_TODAY", "AMC_GRACE"];
+
+export const DEFAULT_RENEWAL_CADENCE = [-30, -14, 0, 7];
+
+export function loadRenewalConfig(env = process.env) {
+  const graceDays = env.AMC_GRACE_DAYS === undefined || env.AMC_GRACE_DAYS === "" ? 30 : Number(env.AMC_GRACE_DAYS);
+  if (!Number.isInteger(graceDays) || graceDays < 0) throw new Error(`Invalid AMC_GRACE_DAYS: "${env.AMC_GRACE_DAYS}"`);
+
+  let cadence = DEFAULT_RENEWAL_CADENCE;
+  if (env.AMC_RENEWAL_CADENCE) {
+    cadence = [...new Set(env.AMC_RENEWAL_CADENCE.split(",").map(step => {
+      const n = Number(step.trim());
+      if (!Number.isInteger(n)) throw new Error(`Invalid step "${step}" in AMC_RENEWAL_CADENCE`);
+      return n;
+    }))].sort((a, b) => a - b);
+  }
+  cadence = cadence.filter(step => step <= graceDays);
+  if (cadence.length === 0) throw new Error("AMC_RENEWAL_CADENCE has no step inside the grace period");
+  return { cadence, graceDays };
+}
+
+// Template for a renewal reminder, from whole days until AMC End (negative once expired)
+export function renewalType(daysUntilExpiry) {
+  if (daysUntilExpiry < 0) return "AMC_GRACE";
+  if (daysUntilExpiry === 0) return "AMC_EXPIRES_TODAY";
+  return "AMC_RENEWAL";
+}
+
+// "AMC Status" for a contract ending on `end` (a start-of-day DateTime):
+//   ACTIVE   - more than the first cadence step away from expiring
+//   EXPIRING - inside the renewal window, up to and including AMC End
+//   GRACE    - expired less than AMC_GRACE_DAYS ago
+//   EXPIRED  - past the grace period
+export function amcStatus(end, today, { cadence, graceDays }) {
+  const daysUntilExpiry = Math.round(end.diff(today, "days").days);
+  if (daysUntilExpiry > -Math.min(cadence[0], 0)) return "ACTIVE";
+  if (daysUntilExpiry >= 0) return "EXPIRING";
+  if (-daysUntilExpiry <= graceDays) return "GRACE";
+  return "EXPIRED";
+}
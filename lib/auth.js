@@ -0,0 +1,86 @@
+import crypto from "node:crypto";
+import { log } from "./log.js";
+
+// ==== API AUTHENTICATION ====
+// ENV VARS: CRON_SECRET (Vercel sends it as "Authorization: Bearer <secret>" on
+// cron invocations), SYNC_SECRET (for triggering runs by hand or from other tools),
+// DASHBOARD_PASSWORD (browser login for the reporting routes; any user name)
+
+export function isAuthConfigured(env = process.env) {
+  return Boolean(env.CRON_SECRET || env.SYNC_SECRET);
+}
+
+// Returns null when the request carries one of the secrets, otherwise why not.
+export function checkBearer(req, env = process.env) {
+  const header = String(req.headers?.authorization || "");
+  if (!header.startsWith("Bearer ")) return "missing bearer token";
+  const ok = matchesAny(header.slice(7).trim(), [env.CRON_SECRET, env.SYNC_SECRET]);
+  return ok ? null : "invalid bearer token";
+}
+
+// Reporting routes: the sync secrets as a bearer token, or HTTP Basic auth with
+// DASHBOARD_PASSWORD so the dashboard opens in a browser.
+export function checkReportAuth(req, env = process.env) {
+  const header = String(req.headers?.authorization || "");
+  if (header.startsWith("Basic ")) {
+    const decoded = Buffer.from(header.slice(6).trim(), "base64").toString("utf8");
+    const password = decoded.slice(decoded.indexOf(":") + 1);
+    return matchesAny(password, [env.DASHBOARD_PASSWORD]) ? null : "invalid password";
+  }
+  return checkBearer(req, env);
+}
+
+export function isReportAuthConfigured(env = process.env) {
+  return Boolean(env.DASHBOARD_PASSWORD) || isAuthConfigured(env);
+}
+
+function matchesAny(value, secrets) {
+  const given = Buffer.from(value);
+  return secrets.filter(Boolean).some(secret => {
+    const expected = Buffer.from(secret);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  });
+}
+
+// Rejected /api/sync triggers are noted in the Status Log at most once per
+// interval per function instance, so a flood of bad requests can't fill the
+// sheet or use up the Sheets quota. The function log still gets every one.
+export function createRejectionLog({ intervalMs = 10 * 60_000, now = () => Date.now() } = {}) {
+  let lastNoteAt = -Infinity;
+  let suppressed = 0;
+  return {
+    // The Status Log note for this rejection, or null when it is only counted
+    note(message) {
+      const current = now();
+      if (current - lastNoteAt < intervalMs) {
+        suppressed++;
+        return null;
+      }
+      const note = suppressed > 0 ? `${message} (and ${suppressed} more since the last note)` : message;
+      lastNoteAt = current;
+      suppressed = 0;
+      return note;
+    },
+  };
+}
+
+export function clientAddress(req) {
+  return String(req.headers?.["x-forwarded-for"] || req.socket?.remoteAddress || "unknown").split(",")[0].trim();
+}
+
+// Answers 401/503 itself and returns false when the request may not see reports.
+export function requireReportAuth(req, res, env = process.env) {
+  if (!isReportAuthConfigured(env)) {
+    log("❌ No DASHBOARD_PASSWORD, CRON_SECRET or SYNC_SECRET set - refusing");
+    res.status(503).json({ error: "Reporting is not configured" });
+    return false;
+  }
+  const problem = checkReportAuth(req, env);
+  if (problem) {
+    log(`❌ Rejected report request from ${clientAddress(req)}: ${problem}`);
+    res.setHeader("WWW-Authenticate", 'Basic realm="RGAC reminders", charset="UTF-8"');
+    res.status(401).json({ error: "Unauthorized" });
+    return false;
+  }
+  return true;
+}
@@ -0,0 +1,233 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { DateTime } from "luxon";
+import { createBranchStorage, loadBranches } from "./branches.js";
+import { acquireLock } from "./lock.js";
+import { log } from "./log.js";
+import { SHEET_NAMES, appendSheetRow } from "./master.js";
+import { columnLetter } from "./storage.js";
+
+// ==== MASTER BACKUPS ====
+// ENV VARS: BACKUP_TARGET (sheet | file | off, default sheet), BACKUP_DIR (for
+// file, default ./backups), BACKUP_KEEP (snapshots kept, default 14)
+//
+// Before a run writes to the Master, the values it read are saved as a
+// snapshot named after the time ("2026-06-15 10-00-00"): a "Master Backup
+// <time>" tab in the same spreadsheet, or <BACKUP_DIR>/<branch>/<time>.json.
+// Only the newest BACKUP_KEEP snapshots are kept. Every cell the run then
+// changes goes on the "Change Log" tab next to the snapshot holding its old
+// value, so a bad run can be traced and rolled back (restoreMaster in index.js).
+
+export const CHANGE_LOG_HEADER = ["Changed At", "Snapshot", "Source", "Row", "Customer ID", "Column", "Before", "After"];
+
+const STAMP_FORMAT = "yyyy-MM-dd HH-mm-ss";
+const STAMP = /^\d{4}-\d{2}-\d{2} \d{2}-\d{2}-\d{2}$/;
+
+export function loadBackupConfig(env = process.env) {
+  const target = (env.BACKUP_TARGET || "sheet").toLowerCase();
+  if (!["sheet", "file", "off"].includes(target)) throw new Error(`Unknown BACKUP_TARGET: "${env.BACKUP_TARGET}"`);
+  const keep = env.BACKUP_KEEP === undefined || env.BACKUP_KEEP === "" ? 14 : Number(env.BACKUP_KEEP);
+  if (!Number.isInteger(keep) || keep < 1) throw new Error(`Invalid BACKUP_KEEP: "${env.BACKUP_KEEP}"`);
+  return { target, dir: env.BACKUP_DIR || "backups", keep };
+}
+
+// Where one branch's snapshots live, or null when backups are off. A store has
+// list() (names, oldest first), save(name, values), load(name) (null if
+// unknown) and remove(name).
+export function createBackupStore(storage, { target, dir }, { prefix, branchId }) {
+  if (target === "off") return null;
+  if (target === "file") return fileBackupStore(path.join(dir, branchId));
+
+  const tabName = name => `${prefix} ${name}`;
+  return {
+    async list() {
+      return (await storage.listSheets())
+        .filter(tab => tab.startsWith(`${prefix} `) && STAMP.test(tab.slice(prefix.length + 1)))
+        .map(tab => tab.slice(prefix.length + 1))
+        .sort();
+    },
+    async save(name, values) {
+      await storage.ensureSheet(tabName(name));
+      await storage.updateValues(tabName(name), 1, values);
+    },
+    async load(name) {
+      if (!(await this.list()).includes(name)) return null;
+      return storage.getValues(tabName(name));
+    },
+    remove: name => storage.deleteSheet(tabName(name)),
+  };
+}
+
+function fileBackupStore(dir) {
+  const file = name => path.join(dir, `${name}.json`);
+  return {
+    async list() {
+      let entries;
+      try {
+        entries = await fs.readdir(dir);
+      } catch (e) {
+        if (e.code === "ENOENT") return [];
+        throw e;
+      }
+      return entries.filter(f => f.endsWith(".json") && STAMP.test(f.slice(0, -5))).map(f => f.slice(0, -5)).sort();
+    },
+    async save(name, values) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(file(name), JSON.stringify(values) + "\n");
+    },
+    async load(name) {
+      if (!STAMP.test(name)) return null;
+      try {
+        return JSON.parse(await fs.readFile(file(name), "utf8"));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    remove: name => fs.rm(file(name), { force: true }),
+  };
+}
+
+// Saves `values` as a new snapshot, then drops the oldest beyond `keep`.
+// Returns { name, removed }.
+export async function takeSnapshot(store, values, keep) {
+  let name = DateTime.now().toFormat(STAMP_FORMAT);
+  const existing = await store.list();
+  // Two snapshots in the same second (a restore right after a run) get the next second
+  while (existing.includes(name)) {
+    name = DateTime.fromFormat(name, STAMP_FORMAT).plus({ seconds: 1 }).toFormat(STAMP_FORMAT);
+  }
+  await store.save(name, values);
+
+  const all = [...existing, name].sort();
+  const removed = all.slice(0, Math.max(0, all.length - keep));
+  for (const old of removed) await store.remove(old);
+  return { name, removed };
+}
+
+// Wraps `storage` so the cells written to `sheetName` are applied to a copy of
+// `values` (the tab as read before). changes() then lists what differs.
+// Both are copied: the caller goes on to edit the rows it read in place.
+export function trackChanges(storage, sheetName, values) {
+  const before = values.map(row => [...row]);
+  const after = values.map(row => [...row]);
+  const set = (row, column, value) => {
+    while (after.length < row) after.push([]);
+    while (after[row - 1].length < column) after[row - 1].push("");
+    after[row - 1][column] = value === null || value === undefined ? "" : String(value);
+  };
+  return {
+    storage: {
+      ...storage,
+      async updateValues(name, startRow, rows) {
+        await storage.updateValues(name, startRow, rows);
+        if (name === sheetName) rows.forEach((row, i) => row.forEach((value, c) => set(startRow + i, c, value)));
+      },
+      async updateCells(name, cells) {
+        await storage.updateCells(name, cells);
+        if (name === sheetName) for (const { row, column, value } of cells) set(row, column, value);
+      },
+    },
+    changes: () => diffValues(before, after),
+  };
+}
+
+// Cell-by-cell differences between two versions of a tab (header first):
+// [{ row (1-based), column (header name, or the letter if it has none), customerId, before, after }]
+export function diffValues(before, after) {
+  const header = after[0]?.length ? after[0] : before[0] || [];
+  const idColumn = header.indexOf("Customer ID");
+  const changes = [];
+  for (let r = 0; r < Math.max(before.length, after.length); r++) {
+    const old = before[r] || [], now = after[r] || [];
+    for (let c = 0; c < Math.max(old.length, now.length); c++) {
+      const from = old[c] ?? "", to = now[c] ?? "";
+      if (from === to) continue;
+      changes.push({
+        row: r + 1,
+        column: r === 0 ? columnLetter(c) : header[c] || columnLetter(c),
+        customerId: r === 0 || idColumn === -1 ? "" : now[idColumn] || old[idColumn] || "",
+        before: from,
+        after: to,
+      });
+    }
+  }
+  return changes;
+}
+
+// Adds `changes` to the Change Log tab and drops rows for snapshots that no
+// longer exist. `source` is what made the changes ("sync", "restore ...").
+export async function writeChangeLog(storage, sheetName, { snapshot, source, changes }, keptSnapshots) {
+  await storage.ensureSheet(sheetName);
+  const [header = [], ...rows] = await storage.getValues(sheetName);
+  const kept = new Set(keptSnapshots);
+  const remaining = rows.filter(row => kept.has(row[1]));
+  const changedAt = DateTime.now().toISO({ suppressMilliseconds: true });
+  const added = changes.map(c => [changedAt, snapshot, source, c.row, c.customerId, c.column, c.before, c.after]);
+
+  if (header.length > 0 && remaining.length === rows.length) {
+    if (added.length > 0) await storage.updateValues(sheetName, rows.length + 2, added);
+    return;
+  }
+  await storage.clearValues(sheetName);
+  await storage.updateValues(sheetName, 1, [CHANGE_LOG_HEADER, ...remaining, ...added]);
+}
+
+// Snapshots `values` (the Master as just read) unless BACKUP_TARGET=off, and
+// returns null then. Otherwise { name, removed, store } plus trackChanges():
+// `storage` to write the Master through and changes() to list what it changed.
+export async function backupMaster(storage, values, branch, config = loadBackupConfig()) {
+  const store = createBackupStore(storage, config, { prefix: SHEET_NAMES.BACKUPS, branchId: branch.id });
+  if (!store) return null;
+  const { name, removed } = await takeSnapshot(store, values, config.keep);
+  return { name, removed, store, ...trackChanges(storage, SHEET_NAMES.MASTER, values) };
+}
+
+// Used by `cli.js backups` and /api/backups: the branch's snapshot names, oldest first.
+export async function listBackups(storage, { branch = loadBranches()[0] } = {}) {
+  if (!storage) storage = createBranchStorage(branch);
+  const store = createBackupStore(storage, loadBackupConfig(), { prefix: SHEET_NAMES.BACKUPS, branchId: branch.id });
+  return store ? store.list() : [];
+}
+
+// Used by `cli.js restore` and /api/backups: puts a snapshot's values back on
+// the Master. The values it replaces are snapshotted first, so a restore can be
+// rolled back the same way, and every cell it changes goes on the Change Log.
+// Holds the Sync Lock so it can't land in the middle of a run. Returns
+// { ok: false, error } or { ok: true, snapshot, backup, cellsChanged }.
+export async function restoreMaster(storage, snapshot, { branch = loadBranches()[0] } = {}) {
+  if (!storage) storage = createBranchStorage(branch);
+  const config = loadBackupConfig();
+  const store = createBackupStore(storage, config, { prefix: SHEET_NAMES.BACKUPS, branchId: branch.id });
+  if (!store) return { ok: false, error: "Backups are off (BACKUP_TARGET=off)" };
+  const values = await store.load(snapshot);
+  if (!values) return { ok: false, error: `No snapshot "${snapshot}"` };
+
+  const lock = await acquireLock(storage, SHEET_NAMES.SYNC_LOCK);
+  if (!lock.acquired) {
+    return { ok: false, error: `A run holds the lock (since ${lock.heldBy?.lockedAt || "just now"}) - try again shortly` };
+  }
+  try {
+    const current = await storage.getValues(SHEET_NAMES.MASTER);
+    const backup = await backupMaster(storage, current, branch, config);
+
+    // Blank whatever the snapshot doesn't cover instead of leaving newer rows or columns behind
+    const width = Math.max(0, ...current.map(row => row.length), ...values.map(row => row.length));
+    const restored = Array.from({ length: Math.max(current.length, values.length) },
+      (_, r) => Array.from({ length: width }, (_, c) => values[r]?.[c] ?? ""));
+    await backup.storage.updateValues(SHEET_NAMES.MASTER, 1, restored);
+
+    const changes = backup.changes();
+    await writeChangeLog(storage, SHEET_NAMES.CHANGE_LOG,
+      { snapshot: backup.name, source: `restore ${snapshot}`, changes }, await store.list());
+    await appendSheetRow(storage, SHEET_NAMES.STATUS_LOG, [
+      DateTime.now().toISO({ suppressMilliseconds: true }), 0, 0, 0,
+      `Restored the Master from snapshot ${snapshot}: ${changes.length} cell(s) changed, previous values in snapshot ${backup.name}`,
+      branch.id,
+    ]);
+    log(`⏪ Restored the Master from ${snapshot} (${changes.length} cells); previous values saved as ${backup.name}`);
+    return { ok: true, snapshot, backup: backup.name, cellsChanged: changes.length };
+  } finally {
+    await lock.release();
+  }
+}
@@ -0,0 +1,141 @@
+import { DateTime } from "luxon";
+import { createBranchStorage } from "./branches.js";
+import { isBusinessDay, loadBusinessCalendar } from "./calendar.js";
+import { acquireLock } from "./lock.js";
+import { log } from "./log.js";
+import { SHEET_NAMES, ensureColumns, fetchSheetRows, findRowByKey, updateSheetHeader } from "./master.js";
+
+// ==== BOOKING SLOTS ====
+// ENV VARS: BOOKING_SLOT_TIMES (e.g. "09:00,11:00,13:00,15:00"), BOOKING_DAYS_AHEAD,
+// BOOKING_SLOT_CAPACITY (bookings allowed per slot)
+
+export const SLOT_FORMAT = "yyyy-MM-dd HH:mm";
+
+export function loadBookingConfig(env = process.env) {
+  const times = (env.BOOKING_SLOT_TIMES || "09:00,11:00,13:00,15:00")
+    .split(",")
+    .map(t => t.trim())
+    .filter(Boolean);
+  for (const time of times) {
+    if (!DateTime.fromFormat(time, "HH:mm").isValid) throw new Error(`Invalid time "${time}" in BOOKING_SLOT_TIMES`);
+  }
+  return {
+    times,
+    daysAhead: Number(env.BOOKING_DAYS_AHEAD || 14),
+    capacity: Number(env.BOOKING_SLOT_CAPACITY || 2),
+  };
+}
+
+// bookedCounts maps "yyyy-MM-dd HH:mm" to the number of bookings already taken.
+// Slots start tomorrow and skip days the workshop is closed (lib/calendar.js).
+export function availableSlots(config, bookedCounts, now = DateTime.now(), calendar = loadBusinessCalendar()) {
+  const slots = [];
+  for (let d = 1; d <= config.daysAhead; d++) {
+    const day = now.startOf("day").plus({ days: d });
+    if (!isBusinessDay(day, calendar)) continue;
+    for (const time of config.times) {
+      const slot = `${day.toISODate()} ${time}`;
+      if ((bookedCounts[slot] || 0) < config.capacity) slots.push(slot);
+    }
+  }
+  return slots;
+}
+
+export function parseSlot(str) {
+  const dt = DateTime.fromFormat(String(str || "").trim(), SLOT_FORMAT);
+  return dt.isValid ? dt : null;
+}
+
+// ==== BOOKINGS ====
+export const APPOINTMENTS_HEADER = [
+  "Booked At",
+  "Customer Key",
+  "Name",
+  "Veh. Reg. No.",
+  "Phone Number",
+  "Email Add.",
+  "Slot",
+];
+
+// Used by /api/book to show the slot picker; null when the key has no Master row.
+// The customer's own current booking doesn't count against its slot, since
+// choosing a new time replaces it.
+export async function getBookingOptions(storage = createBranchStorage(), key) {
+  const { header, rows } = await fetchSheetRows(storage, SHEET_NAMES.MASTER);
+  const idx = Object.fromEntries(header.map((h, i) => [h, i]));
+  const rowIndex = findRowByKey(rows, idx, key);
+  if (rowIndex === -1) return null;
+
+  const row = rows[rowIndex];
+  return {
+    name: row[idx["Name"]] || "",
+    vehicle: row[idx["Veh. Reg. No."]] || "",
+    bookedFor: idx["Booked For"] !== undefined ? row[idx["Booked For"]] || "" : "",
+    slots: availableSlots(loadBookingConfig(), await countBookings(storage, key)),
+  };
+}
+
+// Records the slot on the Appointments tab and in "Booked For" on the Master row.
+// Holds the Sync Lock from the capacity check to the writes so two bookings
+// can't both take the last place in a slot; `busy` says a run had the lock.
+export async function bookAppointment(storage = createBranchStorage(), key, slot) {
+  const lock = await acquireLock(storage, SHEET_NAMES.SYNC_LOCK);
+  if (!lock.acquired) {
+    return { ok: false, busy: true, error: "Reminders are being sent right now - please try again in a few minutes" };
+  }
+  try {
+    const options = await getBookingOptions(storage, key);
+    if (!options) return { ok: false, error: "Customer not found" };
+    if (!parseSlot(slot) || !options.slots.includes(slot)) return { ok: false, error: "That slot is no longer available" };
+
+    const sheetName = SHEET_NAMES.MASTER;
+    const { header, rows } = await fetchSheetRows(storage, sheetName);
+    const { header: ensuredHeader, changed } = ensureColumns(header, ["Booked For"]);
+    if (changed) await updateSheetHeader(storage, sheetName, ensuredHeader);
+    const idx = Object.fromEntries(ensuredHeader.map((h, i) => [h, i]));
+    const rowIndex = findRowByKey(rows, idx, key);
+    const row = rows[rowIndex];
+
+    await storage.ensureSheet(SHEET_NAMES.APPOINTMENTS);
+    const existing = await storage.getValues(SHEET_NAMES.APPOINTMENTS);
+    if (existing.length === 0) await storage.updateValues(SHEET_NAMES.APPOINTMENTS, 1, [APPOINTMENTS_HEADER]);
+    await storage.appendRow(SHEET_NAMES.APPOINTMENTS, [
+      DateTime.now().toISO({ suppressMilliseconds: true }),
+      key,
+      row[idx["Name"]] || "",
+      row[idx["Veh. Reg. No."]] || "",
+      idx["Phone Number"] !== undefined ? row[idx["Phone Number"]] || "" : "",
+      idx["Email Add."] !== undefined ? row[idx["Email Add."]] || "" : "",
+      slot,
+    ]);
+    await storage.updateCells(sheetName, [{ row: rowIndex + 2, column: idx["Booked For"], value: slot }]);
+
+    log(`📅 Booked ${row[idx["Name"]]} (${key}) for ${slot}`);
+    return { ok: true, slot };
+  } finally {
+    await lock.release();
+  }
+}
+
+// Bookings per slot. A customer's later booking replaces their earlier one, so
+// only the last row for each Customer Key counts; `except` leaves one customer out.
+// The Appointments tab doesn't exist until the first booking and reads as empty.
+async function countBookings(storage, except = "") {
+  const [header = [], ...rows] = await storage.getValues(SHEET_NAMES.APPOINTMENTS);
+  const keyIdx = header.indexOf("Customer Key");
+  const slotIdx = header.indexOf("Slot");
+  if (slotIdx === -1) return {};
+
+  const latest = new Map();
+  rows.forEach((row, i) => {
+    const key = keyIdx === -1 ? "" : (row[keyIdx] || "").trim();
+    latest.set(key || `row ${i}`, (row[slotIdx] || "").trim());
+  });
+  latest.delete(except);
+
+  const counts = {};
+  for (const slot of latest.values()) {
+    if (slot) counts[slot] = (counts[slot] || 0) + 1;
+  }
+  return counts;
+}
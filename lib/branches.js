@@ -0,0 +1,144 @@
+import fs from "node:fs";
+import { SHEET_NAMES } from "./master.js";
+import { createStorageFromEnv } from "./storage.js";
+import { BRANDING } from "./templates.js";
+
+// ==== BRANCHES ====
+// ENV VARS: BRANCHES (JSON array), or BRANCHES_FILE (path to a file holding it)
+//
+// One deployment can serve several workshops, each with its own spreadsheet,
+// sender identity and signature:
+//
+//   [{ "id": "ikeja", "name": "Royal Gem AutoCare Ikeja", "sheetId": "1AbC...",
+//      "senderName": "Royal Gem AutoCare Ikeja", "senderEmail": "ikeja@example.com",
+//      "signature": "Royal Gem Ikeja Service Team", "phone": "0803 123 4567",
+//      "tabs": { "ALL AMC CLIENT": "Ikeja Clients" } }]
+//
+// Only "id" is required. "sheetId" defaults to GOOGLE_SHEET_ID (and
+// "storagePath" to STORAGE_PATH) so branches can share a spreadsheet with
+// their own "tabs", which rename any of the tabs in SHEET_NAMES. The first
+// branch is the default: API calls without ?branch= and links without a
+// branch go to it. Without BRANCHES there is one branch, "main", with the
+// standard tabs and branding.
+
+const BRANCH_ID = /^[a-z0-9][a-z0-9-]*$/;
+
+// Tabs that branches sharing a spreadsheet can't also share: each run rewrites
+// them or keeps per-branch state in them. Templates may be shared.
+const PER_BRANCH_TABS = Object.entries(SHEET_NAMES)
+  .filter(([key]) => key !== "TEMPLATES")
+  .map(([, name]) => name);
+
+export function loadBranches(env = process.env) {
+  let raw = env.BRANCHES;
+  if (!raw && env.BRANCHES_FILE) raw = fs.readFileSync(env.BRANCHES_FILE, "utf8");
+  if (!raw) return [toBranch({ id: "main" }, env, true)];
+
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`BRANCHES is not valid JSON: ${e.message}`);
+  }
+  if (!Array.isArray(list) || list.length === 0) throw new Error("BRANCHES must be a non-empty array of branches");
+
+  const branches = list.map((config, i) => toBranch(config, env, i === 0));
+  const seen = new Set();
+  for (const branch of branches) {
+    if (seen.has(branch.id)) throw new Error(`BRANCHES lists "${branch.id}" twice`);
+    seen.add(branch.id);
+  }
+  branches.forEach((branch, i) => {
+    for (const other of branches.slice(0, i)) {
+      if (branch.location !== other.location) continue;
+      const clash = PER_BRANCH_TABS.find(tab => branch.tabs[tab] === other.tabs[tab]);
+      if (clash) {
+        throw new Error(`Branches "${other.id}" and "${branch.id}" share a spreadsheet: ` +
+          `give the "${clash}" tab a different name in one of them`);
+      }
+    }
+  });
+  return branches;
+}
+
+// The default branch when `id` is empty; null when no branch has that id
+export function findBranch(branches, id) {
+  if (!id) return branches[0];
+  return branches.find(branch => branch.id === id) || null;
+}
+
+// Storage for the branch's spreadsheet (or STORAGE_PATH), with its tab names
+export function createBranchStorage(branch = loadBranches()[0], env = process.env) {
+  return withBranchTabs(createStorageFromEnv({
+    ...env,
+    GOOGLE_SHEET_ID: branch.sheetId,
+    STORAGE_PATH: branch.storagePath,
+  }), branch);
+}
+
+// Wraps a storage adapter so the standard tab names in SHEET_NAMES read and
+// write the branch's own tabs; index.js and lib/ keep using SHEET_NAMES.
+// Backup tabs keep their time stamp after the (renamed) SHEET_NAMES.BACKUPS prefix.
+export function withBranchTabs(storage, branch) {
+  const backupPrefix = `${SHEET_NAMES.BACKUPS} `;
+  const ownBackupPrefix = `${branch.tabs[SHEET_NAMES.BACKUPS]} `;
+  const tab = name => {
+    if (branch.tabs[name]) return branch.tabs[name];
+    return name.startsWith(backupPrefix) ? ownBackupPrefix + name.slice(backupPrefix.length) : name;
+  };
+  const standardNames = Object.fromEntries(Object.entries(branch.tabs).map(([name, own]) => [own, name]));
+  const standard = own => {
+    if (standardNames[own]) return standardNames[own];
+    return own.startsWith(ownBackupPrefix) ? backupPrefix + own.slice(ownBackupPrefix.length) : own;
+  };
+  return {
+    name: storage.name,
+    getValues: sheetName => storage.getValues(tab(sheetName)),
+    updateValues: (sheetName, startRow, values) => storage.updateValues(tab(sheetName), startRow, values),
+    updateCells: (sheetName, cells) => storage.updateCells(tab(sheetName), cells),
+    appendRow: (sheetName, row) => storage.appendRow(tab(sheetName), row),
+    clearValues: sheetName => storage.clearValues(tab(sheetName)),
+    ensureSheet: sheetName => storage.ensureSheet(tab(sheetName)),
+    listSheets: async () => (await storage.listSheets()).map(standard),
+    deleteSheet: sheetName => storage.deleteSheet(tab(sheetName)),
+  };
+}
+
+function toBranch(config, env, isDefault) {
+  if (!config || typeof config !== "object") throw new Error("Every entry in BRANCHES must be an object");
+  const id = String(config.id || "").trim();
+  if (!BRANCH_ID.test(id)) {
+    throw new Error(`Invalid branch id "${id}" (use lower-case letters, digits and dashes)`);
+  }
+
+  const tabs = Object.fromEntries(Object.values(SHEET_NAMES).map(name => [name, name]));
+  for (const [name, renamed] of Object.entries(config.tabs || {})) {
+    if (!(name in tabs)) throw new Error(`Branch "${id}": unknown tab "${name}" in tabs`);
+    if (!String(renamed || "").trim()) throw new Error(`Branch "${id}": empty name for the "${name}" tab`);
+    tabs[name] = String(renamed).trim();
+  }
+
+  const sheetId = config.sheetId || env.GOOGLE_SHEET_ID || "";
+  const storagePath = config.storagePath || env.STORAGE_PATH || "";
+  const name = config.name || BRANDING["Branch Name"];
+  return {
+    id,
+    name,
+    default: isDefault,
+    sheetId,
+    storagePath,
+    location: `${sheetId}|${storagePath}`,
+    tabs,
+    branding: {
+      ...BRANDING,
+      "Company Name": config.companyName || BRANDING["Company Name"],
+      "Service Team": config.signature || BRANDING["Service Team"],
+      "Branch Name": name,
+      "Branch Phone": config.phone || "",
+    },
+    sender: {
+      name: config.senderName || config.companyName || BRANDING["Company Name"],
+      email: config.senderEmail || "",
+    },
+  };
+}
@@ -0,0 +1,53 @@
+// ==== REMINDER CADENCE ====
+// ENV VARS: REMINDER_CADENCE (days relative to the due date, e.g. "-7,-1,0,3,14,30")
+//
+// Each step is sent at most once per due date. The "Reminder History" column
+// keeps the steps already sent for the current due date, e.g.
+//   "due 2026-10-20: -7@2026-10-13, -1@2026-10-19"
+// A new due date (after a visit) starts a fresh history. Once the last step
+// has gone out, reminders stop and the row is flagged for a phone call.
+
+export const DEFAULT_CADENCE = [-7, -1, 0, 3, 14, 30];
+
+export function loadCadence(env = process.env) {
+  if (!env.REMINDER_CADENCE) return DEFAULT_CADENCE;
+  const steps = env.REMINDER_CADENCE.split(",").map(step => {
+    const n = Number(step.trim());
+    if (!Number.isInteger(n)) throw new Error(`Invalid step "${step}" in REMINDER_CADENCE`);
+    return n;
+  });
+  return [...new Set(steps)].sort((a, b) => a - b);
+}
+
+// Returns { dueDate, sent: { [step]: "yyyy-MM-dd" } }
+export function parseHistory(str) {
+  const match = String(str || "").match(/^\s*due\s+(\d{4}-\d{2}-\d{2})\s*:\s*(.*)$/i);
+  if (!match) return { dueDate: "", sent: {} };
+  const sent = {};
+  for (const item of match[2].split(",")) {
+    const step = item.trim().match(/^(-?\d+)@(\d{4}-\d{2}-\d{2})$/);
+    if (step) sent[Number(step[1])] = step[2];
+  }
+  return { dueDate: match[1], sent };
+}
+
+export function formatHistory({ dueDate, sent }) {
+  const steps = Object.keys(sent).map(Number).sort((a, b) => a - b);
+  return `due ${dueDate}: ` + steps.map(step => `${step}@${sent[step]}`).join(", ");
+}
+
+// daysPastDue is negative before the due date. Returns one of:
+//   { action: "WAIT" }                      no step reached yet
+//   { action: "SEND", step }                step to send now
+//   { action: "SENT", step, sentOn }        the current step already went out
+//   { action: "DONE", step, sentOn }        the final step went out; phone the customer
+export function cadenceStep(cadence, daysPastDue, history) {
+  const reached = cadence.filter(step => step <= daysPastDue);
+  if (reached.length === 0) return { action: "WAIT" };
+
+  const step = reached[reached.length - 1];
+  const last = cadence[cadence.length - 1];
+  if (history.sent[last] !== undefined) return { action: "DONE", step: last, sentOn: history.sent[last] };
+  if (history.sent[step] !== undefined) return { action: "SENT", step, sentOn: history.sent[step] };
+  return { action: "SEND", step };
+}
@@ -0,0 +1,71 @@
+import { DateTime, Info, Settings } from "luxon";
+
+// ==== BUSINESS CALENDAR ====
+// ENV VARS: BUSINESS_TIMEZONE (default Africa/Lagos), PUBLIC_HOLIDAYS (comma-separated
+// yyyy-MM-dd), CLOSED_WEEKDAYS (1 = Monday ... 7 = Sunday, default "7"),
+// SEND_HOURS (default "08:00-20:00"; "" for any time)
+//
+// applyBusinessTimezone() makes BUSINESS_TIMEZONE luxon's default zone, so every
+// DateTime.now(), fromISO() and fromFormat() in the app - "today", due dates,
+// the already-sent-today check - follows the workshop's day rather than the
+// server's (UTC on Vercel). Entry points call it once at startup, after the
+// settings are loaded: the api/ handlers when their module loads, cli.js once
+// it has read the config file.
+
+export function applyBusinessTimezone(env = process.env) {
+  const zone = env.BUSINESS_TIMEZONE || "Africa/Lagos";
+  if (!Info.isValidIANAZone(zone)) throw new Error(`Invalid BUSINESS_TIMEZONE: "${zone}"`);
+  Settings.defaultZone = zone;
+  return zone;
+}
+
+export function loadBusinessCalendar(env = process.env) {
+  const list = value => String(value || "").split(",").map(item => item.trim()).filter(Boolean);
+
+  const holidays = new Set(list(env.PUBLIC_HOLIDAYS).map(day => {
+    const date = DateTime.fromISO(day);
+    if (!date.isValid) throw new Error(`Invalid date "${day}" in PUBLIC_HOLIDAYS (use yyyy-MM-dd)`);
+    return date.toISODate();
+  }));
+
+  const closedWeekdays = new Set(list(env.CLOSED_WEEKDAYS ?? "7").map(day => {
+    const n = Number(day);
+    if (!Number.isInteger(n) || n < 1 || n > 7) throw new Error(`Invalid weekday "${day}" in CLOSED_WEEKDAYS (1-7)`);
+    return n;
+  }));
+
+  let sendHours = null;
+  const hours = env.SEND_HOURS ?? "08:00-20:00";
+  if (hours.trim()) {
+    const match = hours.trim().match(/^(\d{2}):(\d{2})\s*-\s*(\d{2}):(\d{2})$/);
+    if (!match) throw new Error(`Invalid SEND_HOURS "${hours}" (use HH:mm-HH:mm)`);
+    const [h1, m1, h2, m2] = match.slice(1).map(Number);
+    sendHours = { label: hours.trim(), start: h1 * 60 + m1, end: h2 * 60 + m2 };
+  }
+
+  return { holidays, closedWeekdays, sendHours };
+}
+
+export function isBusinessDay(date, calendar) {
+  return !calendar.closedWeekdays.has(date.weekday) && !calendar.holidays.has(date.toISODate());
+}
+
+// The date itself when the workshop is open, otherwise the next open day
+export function nextBusinessDay(date, calendar) {
+  let day = date;
+  for (let i = 0; i < 366 && !isBusinessDay(day, calendar); i++) day = day.plus({ days: 1 });
+  return day;
+}
+
+// Why nothing may be sent at `now`, or null when sending is allowed
+export function sendingBlockedReason(now, calendar) {
+  if (calendar.holidays.has(now.toISODate())) return "public holiday";
+  if (calendar.closedWeekdays.has(now.weekday)) return `${now.toFormat("cccc")} - workshop closed`;
+  if (calendar.sendHours) {
+    const minutes = now.hour * 60 + now.minute;
+    if (minutes < calendar.sendHours.start || minutes >= calendar.sendHours.end) {
+      return `outside sending hours (${calendar.sendHours.label})`;
+    }
+  }
+  return null;
+}
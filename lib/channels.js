@@ -0,0 +1,79 @@
+import { log } from "./log.js";
+
+// ==== TEXT MESSAGE CHANNELS (SMS / WHATSAPP) ====
+// ENV VARS: SMS_PROVIDER (termii | twilio), SMS_SENDER_ID, WHATSAPP_SENDER_ID,
+// SMS_API_KEY (Termii), TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN (Twilio),
+// SMS_API_BASE_URL (point at scripts/sms-stub-server.js to test without a provider)
+
+const DEFAULT_BASE_URLS = {
+  termii: "https://api.ng.termii.com",
+  twilio: "https://api.twilio.com",
+};
+
+export function isTextMessagingConfigured(env = process.env) {
+  return Boolean(env.SMS_PROVIDER);
+}
+
+// channel is "sms" or "whatsapp"
+export async function sendTextMessage(channel, to, body, env = process.env) {
+  const provider = (env.SMS_PROVIDER || "").toLowerCase();
+  const baseUrl = (env.SMS_API_BASE_URL || DEFAULT_BASE_URLS[provider] || "").replace(/\/$/, "");
+  const phone = normalizePhone(to);
+  if (!phone) throw new Error(`Invalid phone number: "${to}"`);
+
+  log(`      → SMS Provider: ${provider} (${channel})`);
+  log(`      → Sending to: ${phone}`);
+
+  if (provider === "termii") {
+    const from = channel === "whatsapp" ? (env.WHATSAPP_SENDER_ID || env.SMS_SENDER_ID) : env.SMS_SENDER_ID;
+    const res = await fetch(`${baseUrl}/api/sms/send`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        api_key: env.SMS_API_KEY,
+        to: phone.replace(/^\+/, ""),
+        from,
+        sms: body,
+        type: "plain",
+        channel: channel === "whatsapp" ? "whatsapp" : "generic",
+      }),
+    });
+    await assertOk(res, "Termii");
+
+  } else if (provider === "twilio") {
+    const sid = env.TWILIO_ACCOUNT_SID;
+    const prefix = channel === "whatsapp" ? "whatsapp:" : "";
+    const from = channel === "whatsapp" ? (env.WHATSAPP_SENDER_ID || env.SMS_SENDER_ID) : env.SMS_SENDER_ID;
+    const res = await fetch(`${baseUrl}/2010-04-01/Accounts/${sid}/Messages.json`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        Authorization: "Basic " + Buffer.from(`${sid}:${env.TWILIO_AUTH_TOKEN}`).toString("base64"),
+      },
+      body: new URLSearchParams({ To: prefix + phone, From: prefix + from, Body: body }),
+    });
+    await assertOk(res, "Twilio");
+
+  } else {
+    throw new Error("Unknown SMS_PROVIDER: " + env.SMS_PROVIDER);
+  }
+}
+
+async function assertOk(res, provider) {
+  if (res.ok) return;
+  const detail = await res.text().catch(() => "");
+  const error = new Error(`${provider} responded ${res.status}: ${detail.slice(0, 200)}`);
+  error.status = res.status;
+  throw error;
+}
+
+// Local numbers are Nigerian: 0803 123 4567 -> +2348031234567
+export function normalizePhone(phone) {
+  const raw = String(phone || "").trim();
+  let digits = raw.replace(/\D/g, "");
+  if (!digits) return "";
+  if (digits.startsWith("00")) digits = digits.slice(2);
+  else if (digits.startsWith("0") && digits.length === 11) digits = "234" + digits.slice(1);
+  else if (digits.length === 10 && !raw.startsWith("+")) digits = "234" + digits;
+  return "+" + digits;
+}
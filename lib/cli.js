@@ -0,0 +1,132 @@
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+// ==== COMMAND LINE ====
+// Argument parsing, config files and table output for cli.js. Nothing here
+// touches the sheets, so cli.js can load the config into process.env before
+// index.js (which reads it at import time) is loaded.
+
+export const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  sync                    Run the sync: send due reminders and update the sheets
+  preview                 Show what a sync would send, without sending or writing anything
+  send --customer <id>    Send the reminder one customer is due now, even if it already went out
+  validate                List data problems in the Master without writing anything
+  export                  Print the Master with the computed columns filled in
+  backups                 List the Master snapshots taken before each run
+  restore --snapshot <name>
+                          Put a snapshot back on the Master (the current values are snapshotted first)
+
+Options:
+  -c, --config <file>     Load settings from a .env or .json file (default: .env if present)
+  -b, --branch <id>       Only this branch (sync and preview run every branch without it;
+                          the other commands need it when there are several)
+      --customer <id>     Customer ID (or "Name|Veh. Reg. No.") for send
+      --snapshot <name>   Snapshot to restore, as listed by backups
+      --format <csv|json> Output format for export (default: csv)
+  -o, --output <file>     Write export to a file instead of standard output
+      --all               Also list skipped customers in sync and preview
+  -v, --verbose           Show the full run log instead of a summary table
+  -h, --help              Show this help`;
+
+export const COMMANDS = ["sync", "preview", "send", "validate", "export", "backups", "restore"];
+
+// Returns { command, options } or throws an Error whose message is meant for the user.
+export function parseCommand(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      config: { type: "string", short: "c" },
+      branch: { type: "string", short: "b" },
+      customer: { type: "string" },
+      snapshot: { type: "string" },
+      format: { type: "string", default: "csv" },
+      output: { type: "string", short: "o" },
+      all: { type: "boolean", default: false },
+      verbose: { type: "boolean", short: "v", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  const [command, ...extra] = positionals;
+  if (values.help) return { command: "help", options: values };
+  if (!command) throw new Error("No command given");
+  if (!COMMANDS.includes(command)) throw new Error(`Unknown command "${command}"`);
+  if (extra.length > 0) throw new Error(`Unexpected argument "${extra[0]}"`);
+  if (command === "send" && !values.customer) throw new Error("send needs --customer <id>");
+  if (command === "restore" && !values.snapshot) throw new Error("restore needs --snapshot <name> (see backups)");
+  if (command === "export" && !["csv", "json"].includes(values.format)) {
+    throw new Error(`Unknown export format "${values.format}" (use csv or json)`);
+  }
+  return { command, options: values };
+}
+
+// KEY=value lines; blank lines and # comments are skipped. Double-quoted values
+// may span lines and expand \n (for GOOGLE_PRIVATE_KEY), single-quoted ones are literal.
+export function parseEnvFile(text) {
+  const values = {};
+  const pattern = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*("(?:\\.|[^"\\])*"|'[^']*'|[^\r\n]*)/gm;
+  for (const [, key, raw] of text.matchAll(pattern)) {
+    let value = raw.trim();
+    if (value.startsWith('"')) {
+      value = value.slice(1, -1).replace(/\\n/g, "\n").replace(/\\(["\\])/g, "$1");
+    } else if (value.startsWith("'")) {
+      value = value.slice(1, -1);
+    } else {
+      value = value.replace(/\s+#.*$/, "");
+    }
+    values[key] = value;
+  }
+  return values;
+}
+
+// Reads a .env file, or a .json file holding { "ENV_VAR": value }. Non-string
+// JSON values are stored as JSON (so SERVICE_PLANS can be written as an object).
+export function readConfigFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  if (path.extname(file).toLowerCase() !== ".json") return parseEnvFile(text);
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${file} is not valid JSON: ${e.message}`);
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error(`${file} must hold an object of settings`);
+  }
+  return Object.fromEntries(Object.entries(parsed).map(([key, value]) =>
+    [key, typeof value === "string" ? value : JSON.stringify(value)]
+  ));
+}
+
+// Copies settings into `env` without overriding variables that are already set,
+// so a one-off `EMAIL_PROVIDER=... node cli.js` still wins. Returns the file used, if any.
+export function loadConfig(file, env = process.env, cwd = process.cwd()) {
+  const target = file ? path.resolve(cwd, file) : path.join(cwd, ".env");
+  if (!file && !fs.existsSync(target)) return null;
+  for (const [key, value] of Object.entries(readConfigFile(target))) {
+    if (env[key] === undefined) env[key] = value;
+  }
+  return target;
+}
+
+// Plain-text table. `columns` is [{ key, label, width? }]; cells longer than the
+// width are cut with "…".
+export function formatTable(rows, columns) {
+  const text = value => String(value ?? "").replace(/\s+/g, " ").trim();
+  const cut = (value, width) => (value.length > width ? value.slice(0, width - 1) + "…" : value);
+  const widths = columns.map(col => Math.min(
+    col.width || 60,
+    Math.max(col.label.length, ...rows.map(row => text(row[col.key]).length))
+  ));
+  const line = cells => cells.map((cell, i) => cut(cell, widths[i]).padEnd(widths[i])).join("  ").trimEnd();
+  return [
+    line(columns.map(col => col.label)),
+    line(widths.map(w => "-".repeat(w))),
+    ...rows.map(row => line(columns.map(col => text(row[col.key])))),
+  ].join("\n");
+}
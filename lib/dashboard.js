@@ -0,0 +1,102 @@
+import { DateTime } from "luxon";
+import { BRANDING, escapeHtml } from "./templates.js";
+
+// ==== DASHBOARD PAGE ====
+// Server-rendered HTML over getStats() and getDueCustomers(); no scripts, so it
+// works in any browser and prints cleanly.
+
+export function renderDashboard(stats, due, { branding = BRANDING } = {}) {
+  const maxWeek = Math.max(1, ...stats.dueByWeek.map(w => w.overdue + w.upcoming));
+  const maxDay = Math.max(1, ...stats.sendTrend.map(d => d.sent + d.failed));
+  const thisWeek = DateTime.now().startOf("week").toISODate();
+
+  const cards = [
+    ["Vehicles", stats.customers],
+    ["Overdue", stats.overdue],
+    ["Due later", stats.upcoming],
+    ["Conversion", stats.conversion.rate === null ? "-" : `${stats.conversion.rate}%`],
+  ].map(([label, value]) => `<div class="card"><div class="value">${escapeHtml(value)}</div>${escapeHtml(label)}</div>`).join("");
+
+  const weeks = stats.dueByWeek.map(w => row([
+    `${w.weekStart}${w.weekStart === thisWeek ? " (this week)" : ""}`,
+    w.overdue,
+    w.upcoming,
+    bar([[w.overdue, "overdue"], [w.upcoming, "upcoming"]], maxWeek),
+  ], { raw: [3] })).join("");
+
+  const trend = stats.sendTrend.length === 0
+    ? `<tr><td colspan="5">No runs logged yet</td></tr>`
+    : stats.sendTrend.map(d => row([
+      d.date, d.runs, d.sent, d.failed, bar([[d.sent, "sent"], [d.failed, "failed"]], maxDay),
+    ], { raw: [4] })).join("");
+
+  const dueRows = due.length === 0
+    ? `<tr><td colspan="6">Nothing due</td></tr>`
+    : due.map(c => row([
+      c.dueDate,
+      c.status === "OVERDUE" ? `${-c.daysUntilDue} days overdue` : c.status === "DUE_TODAY" ? "today" : `in ${c.daysUntilDue} days`,
+      c.name, c.vehicle, c.bookedFor || "", c.manualContact || "",
+    ])).join("");
+
+  const missing = stats.missingContact.length === 0
+    ? `<tr><td colspan="3">None</td></tr>`
+    : stats.missingContact.map(c => row([c.row, c.name, c.vehicle])).join("");
+
+  const flags = Object.entries(stats.manualContact).map(([flag, count]) => row([flag, count])).join("") ||
+    `<tr><td colspan="2">None</td></tr>`;
+
+  return `<!DOCTYPE html><html><head><meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Service reminders - ${escapeHtml(branding["Branch Name"])}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #333; max-width: 960px; margin: 24px auto; padding: 0 16px; }
+  h2 { margin-top: 32px; }
+  .cards { display: flex; gap: 12px; flex-wrap: wrap; }
+  .card { flex: 1; min-width: 140px; padding: 12px 16px; background: #f5f5f5; border-radius: 6px; color: #777; }
+  .card .value { font-size: 28px; font-weight: bold; color: #333; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; font-size: 14px; }
+  .bar { display: flex; height: 12px; min-width: 160px; }
+  .bar span { display: block; height: 100%; }
+  .overdue, .failed { background: #c0392b; }
+  .upcoming { background: #2e86c1; }
+  .sent { background: #27ae60; }
+  .muted { color: #777; font-size: 13px; }
+</style></head><body>
+<h1>Service reminders - ${escapeHtml(branding["Branch Name"])}</h1>
+<p class="muted">Generated ${escapeHtml(stats.generatedAt)}</p>
+<div class="cards">${cards}</div>
+
+<h2>Due dates by week</h2>
+<table><tr><th>Week starting</th><th>Overdue</th><th>Due</th><th></th></tr>${weeks}</table>
+
+<h2>Sends per day</h2>
+<table><tr><th>Date</th><th>Runs</th><th>Sent</th><th>Failed</th><th></th></tr>${trend}</table>
+
+<h2>Conversion</h2>
+<p>${stats.conversion.converted} of ${stats.conversion.reminded} reminder cycles ended with the vehicle back for a service` +
+  `${stats.conversion.averageDaysToVisit === null ? "" : `, after ${stats.conversion.averageDaysToVisit} days on average`}.</p>
+<p class="muted">Cycles whose first reminder went out in the period shown, from the Outbox.</p>
+
+<h2>Due in the next two weeks</h2>
+<table><tr><th>Due</th><th>When</th><th>Name</th><th>Vehicle</th><th>Booked for</th><th>Manual contact</th></tr>${dueRows}</table>
+
+<h2>Manual contact</h2>
+<table><tr><th>Flag</th><th>Vehicles</th></tr>${flags}</table>
+
+<h2>Missing contact details</h2>
+<table><tr><th>Row</th><th>Name</th><th>Vehicle</th></tr>${missing}</table>
+</body></html>`;
+}
+
+// cells listed in options.raw are already HTML
+function row(cells, { raw = [] } = {}) {
+  return `<tr>${cells.map((cell, i) => `<td>${raw.includes(i) ? cell : escapeHtml(cell)}</td>`).join("")}</tr>`;
+}
+
+function bar(parts, max) {
+  return `<div class="bar">${parts
+    .filter(([count]) => count > 0)
+    .map(([count, cls]) => `<span class="${cls}" style="width: ${(count / max) * 100}%" title="${count} ${cls}"></span>`)
+    .join("")}</div>`;
+}
@@ -0,0 +1,174 @@
+import { DateTime } from "luxon";
+import { log } from "./log.js";
+import { BOUNCE_FLAG, CALL_FLAG, dueDateOf } from "./master.js";
+import { loadSendConfig, messageId } from "./outbox.js";
+import { attemptSend } from "./reminders.js";
+import { toCsv } from "./storage.js";
+import { BRANDING, escapeHtml } from "./templates.js";
+
+// ==== STAFF DIGEST ====
+// ENV VARS: STAFF_DIGEST_TO (comma-separated staff addresses), STAFF_DIGEST_CSV
+// ("true" to attach everything as a CSV)
+//
+// One email a day after the run, listing what the front desk has to pick up by
+// hand: vehicles to phone, vehicles that went overdue since the last digest,
+// reminders that could not be sent and rows with data errors. It goes through
+// the Outbox like a reminder ("digest:<date>"), so a second run on the same day
+// doesn't send it again and a failed send is retried by the next run.
+
+export const DIGEST_CSV_HEADER = ["Section", "Row", "Customer ID", "Name", "Vehicle", "Phone", "Email", "Detail"];
+
+export function loadDigestConfig(env = process.env) {
+  const to = String(env.STAFF_DIGEST_TO || "").split(",").map(a => a.trim()).filter(Boolean);
+  if (to.length === 0) return null;
+  return { to, attachCsv: env.STAFF_DIGEST_CSV === "true" };
+}
+
+export function digestKey(date) {
+  return `digest:${date}`;
+}
+
+// report: { date, since, calls, newOverdue, failures, dataIssues, warnings }
+//   calls/newOverdue/failures: [{ row, customerId, name, vehicle, phone, email, detail }]
+//   dataIssues: ERROR issues from validateCustomers(); warnings: how many WARNING ones
+// Returns { subject, text, html, attachments }, signed off with the branch's branding.
+export function renderDigest(report, { attachCsv = false, branding = BRANDING } = {}) {
+  const sections = [
+    ["Phone these customers", report.calls, "Nobody to phone today."],
+    [`Overdue since ${report.since}`, report.newOverdue, "No vehicles went overdue."],
+    ["Reminders not sent", report.failures, "Every reminder went out."],
+  ];
+  const issues = report.dataIssues.map(i => ({
+    row: i.row, customerId: i.customerId, name: i.name, vehicle: "", phone: "", email: "",
+    detail: `${i.column}: ${i.issue}${i.value ? ` ("${i.value}")` : ""}`,
+  }));
+  const warningNote = report.warnings ? ` ${report.warnings} warning(s) are listed on the Data Issues tab only.` : "";
+
+  const subject = `Service reminder digest ${report.date} (${branding["Branch Name"]}): ` + [
+    `${report.calls.length} to phone`,
+    `${report.newOverdue.length} newly overdue`,
+    `${report.failures.length} not sent`,
+    `${report.dataIssues.length} data errors`,
+  ].join(", ");
+
+  const textSection = (title, items, empty) => `${title} (${items.length})\n` + (items.length === 0
+    ? `  ${empty}\n`
+    : items.map(i => `  - Row ${i.row}: ${i.name || "(no name)"} ${i.vehicle}`.trimEnd() +
+      `${i.phone ? `, ${i.phone}` : ""}${i.email ? `, ${i.email}` : ""} - ${i.detail}\n`).join(""));
+
+  const text = [
+    ...sections.map(([title, items, empty]) => textSection(title, items, empty)),
+    textSection("Data errors", issues, "No data errors.") + (warningNote ? `  ${warningNote.trim()}\n` : ""),
+    attachCsv ? "The attached CSV lists all of the above.\n" : "",
+    `${branding["Service Team"]}`,
+  ].filter(Boolean).join("\n");
+
+  const htmlSection = (title, items, empty) => `<h3>${escapeHtml(title)} (${items.length})</h3>` + (items.length === 0
+    ? `<p>${escapeHtml(empty)}</p>`
+    : `<table><tr><th>Row</th><th>Name</th><th>Vehicle</th><th>Phone</th><th>Email</th><th>Detail</th></tr>` +
+      items.map(i => `<tr>${[i.row, i.name, i.vehicle, i.phone, i.email, i.detail]
+        .map(cell => `<td>${escapeHtml(cell ?? "")}</td>`).join("")}</tr>`).join("") +
+      `</table>`);
+
+  const html = `<!DOCTYPE html><html><head><meta charset="utf-8"><style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #333; }
+  table { border-collapse: collapse; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; font-size: 14px; }
+</style></head><body>
+<h2>Service reminder digest - ${escapeHtml(branding["Branch Name"])}, ${escapeHtml(report.date)}</h2>
+${sections.map(([title, items, empty]) => htmlSection(title, items, empty)).join("\n")}
+${htmlSection("Data errors", issues, "No data errors.")}${warningNote ? `<p>${escapeHtml(warningNote.trim())}</p>` : ""}
+<p>${escapeHtml(branding["Service Team"])}</p>
+</body></html>`;
+
+  const attachments = [];
+  if (attachCsv) {
+    const rows = [DIGEST_CSV_HEADER];
+    for (const [title, items] of [...sections, ["Data errors", issues]]) {
+      for (const i of items) rows.push([title, i.row, i.customerId, i.name, i.vehicle, i.phone, i.email, i.detail]);
+    }
+    attachments.push({ filename: `digest-${report.date}.csv`, content: toCsv(rows), contentType: "text/csv" });
+  }
+
+  return { subject, text, html, attachments };
+}
+
+// Queues today's digest on the Outbox and makes one attempt at it unless it
+// already went out. An earlier digest still waiting to go out is cancelled,
+// since today's replaces it. Returns { status, error } with the Outbox status.
+export async function sendStaffDigest(outbox, channels, config, customers, decisions, dataIssues) {
+  const today = DateTime.now().startOf("day");
+  const key = digestKey(today.toISODate());
+  const to = config.to.join(", ");
+  const id = messageId("EMAIL", to, [key]);
+
+  // Vehicles that went overdue since the last digest (yesterday's, the first time)
+  const previous = Object.keys(outbox.sentReminders())
+    .filter(k => k.startsWith("digest:") && k !== key)
+    .map(k => k.slice("digest:".length))
+    .sort()
+    .pop();
+  const since = previous ? DateTime.fromISO(previous) : today.minus({ days: 1 });
+
+  const contact = (customer, index, detail) => ({
+    row: index + 2,
+    customerId: customer["Customer ID"],
+    name: customer["Name"],
+    vehicle: customer["Veh. Reg. No."],
+    phone: customer["Phone Number"],
+    email: customer["Email Add."],
+    detail,
+  });
+  const subscribed = customer => !["NOT SUBSCRIBED", "UNSUBSCRIBED"].includes((customer["Subscription"] || "").trim().toUpperCase());
+  const callReasons = {
+    "MISSING CONTACT": "No email or phone number - get one at the next visit",
+    [CALL_FLAG]: "Every reminder sent, no booking yet",
+    [BOUNCE_FLAG]: "Email bounced - check the address",
+  };
+
+  const calls = [], newOverdue = [], failures = [];
+  customers.forEach((customer, index) => {
+    if (!customer["Name"] && !customer["Veh. Reg. No."]) return;
+    if (callReasons[customer["Manual Contact"]] && subscribed(customer)) {
+      calls.push(contact(customer, index, callReasons[customer["Manual Contact"]]));
+    }
+    const due = dueDateOf(customer);
+    if (due && due < today && due >= since) {
+      const overdueDays = Math.round(today.diff(due, "days").days);
+      const booked = customer["Booked For"] ? `, booked for ${customer["Booked For"]}` : "";
+      newOverdue.push(contact(customer, index, `Due ${due.toISODate()} (${overdueDays} day(s) overdue${booked})`));
+    }
+    // decisions are in customer order
+    const entry = decisions[index];
+    if (entry.decision === "FAILED" || (entry.decision === "QUEUED" && entry.error)) {
+      failures.push(contact(customer, index, `${entry.channel}: ${entry.error}${entry.decision === "QUEUED" ? " - will retry" : ""}`));
+    }
+  });
+
+  const errors = dataIssues.filter(i => i.severity === "ERROR");
+  const message = renderDigest({
+    date: today.toISODate(),
+    since: since.toISODate(),
+    calls,
+    newOverdue,
+    failures,
+    dataIssues: errors,
+    warnings: dataIssues.length - errors.length,
+  }, { attachCsv: config.attachCsv, branding: config.branding });
+
+  if (!outbox.get(id)) {
+    await outbox.enqueue([{ id, channel: "EMAIL", to, reminders: [key], subject: message.subject }]);
+  }
+  await outbox.cancelExcept(new Set([id]), "digest");
+  let record = outbox.get(id);
+  const waiting = record["Status"] === "RETRY" && DateTime.fromISO(record["Next Attempt At"]) > DateTime.now();
+  if (record["Status"] !== "PENDING" && record["Status"] !== "RETRY" || waiting) {
+    return { status: record["Status"], error: record["Status"] === "SENT" ? null : record["Last Error"] || null };
+  }
+
+  log(`📧 SENDING STAFF DIGEST to ${to}: ${message.subject}`);
+  const result = await attemptSend(outbox, id, loadSendConfig(), () => channels.EMAIL.send(config.to, message));
+  channels.EMAIL.close?.();
+  record = outbox.get(id);
+  return { status: record["Status"], error: result.ok ? null : result.error.message };
+}
@@ -0,0 +1,103 @@
+import nodemailer from "nodemailer";
+import sgMail from "@sendgrid/mail";
+import { log } from "./log.js";
+import { BRANCH_ARG, CUSTOMER_IDS_ARG } from "./webhooks.js";
+
+// ==== EMAIL ====
+// ENV VARS: EMAIL_PROVIDER (smtp | sendgrid), EMAIL_USER, EMAIL_PASS, SENDGRID_API_KEY,
+// SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_POOL_SIZE
+
+const {
+  EMAIL_PROVIDER,
+  EMAIL_USER,
+  EMAIL_PASS,
+  SENDGRID_API_KEY,
+} = process.env;
+
+// One pooled SMTP connection set per run instead of a new login per message
+let pooledTransport = null;
+
+function smtpTransport() {
+  if (!pooledTransport) {
+    pooledTransport = nodemailer.createTransport({
+      pool: true,
+      maxConnections: Number(process.env.SMTP_POOL_SIZE || 3),
+      host: process.env.SMTP_HOST,          
+      port: Number(process.env.SMTP_PORT),
+      secure: process.env.SMTP_SECURE === "true", 
+      auth: {
+        user: EMAIL_USER,  
+        pass: EMAIL_PASS,  
+      },
+    });
+  }
+  return pooledTransport;
+}
+
+export function closeTransports() {
+  if (pooledTransport) {
+    pooledTransport.close();
+    pooledTransport = null;
+  }
+}
+
+// Sends multipart text + HTML when the template rendered an HTML body.
+// meta.customerIds (and meta.branch) go to SendGrid as custom args so /api/events
+// can find the rows. meta.sender { name, email } is the branch's From identity;
+// EMAIL_USER stays the login and the default address.
+// attachments: [{ filename, content (string), contentType }]
+export async function sendEmail(to, { subject, text, html, unsubscribeUrl, attachments = [] }, meta = {}) {
+  log(`      → Email Provider: ${EMAIL_PROVIDER}`);
+  log(`      → Sending to: ${to}`);
+  log(`      → Subject: ${subject}`);
+
+  // RFC 8058 one-click unsubscribe; mail clients POST to the https link
+  const headers = {};
+  if (unsubscribeUrl) {
+    headers["List-Unsubscribe"] = `<${unsubscribeUrl}>`;
+    if (unsubscribeUrl.startsWith("https://")) {
+      headers["List-Unsubscribe-Post"] = "List-Unsubscribe=One-Click";
+    }
+  }
+
+  const fromName = meta.sender?.name || "Royal Gem AutoCare Nigeria Limited";
+  const fromEmail = meta.sender?.email || EMAIL_USER;
+  const customArgs = {};
+  if (meta.customerIds) customArgs[CUSTOMER_IDS_ARG] = meta.customerIds.join(",");
+  if (meta.branch) customArgs[BRANCH_ARG] = meta.branch;
+
+  if (EMAIL_PROVIDER === "smtp") {
+    await smtpTransport().sendMail({
+      from: `"${fromName.replace(/"/g, "")}" <${fromEmail}>`,
+      to,
+      subject,
+      text,
+      html,
+      headers,
+      attachments,
+    });
+
+  } else if (EMAIL_PROVIDER === "sendgrid") {
+    sgMail.setApiKey(SENDGRID_API_KEY);
+    await sgMail.send({
+      to,
+      from: { email: fromEmail, name: fromName },
+      subject,
+      text,
+      html,
+      headers,
+      attachments: attachments.length > 0
+        ? attachments.map(a => ({
+          filename: a.filename,
+          content: Buffer.from(a.content).toString("base64"),
+          type: a.contentType,
+          disposition: "attachment",
+        }))
+        : undefined,
+      customArgs: Object.keys(customArgs).length > 0 ? customArgs : undefined,
+    });
+
+  } else {
+    throw new Error("Unknown EMAIL_PROVIDER: " + EMAIL_PROVIDER);
+  }
+}
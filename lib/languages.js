@@ -0,0 +1,93 @@
+// ==== LANGUAGES ====
+// Customers pick a language in the Master's optional "Language" column, as a
+// code ("yo") or a name ("Yoruba"). Reminders use the translation under
+// templates/<code>/ when there is one for the type, and English otherwise
+// (see loadTemplates in lib/templates.js). Dates and the phrases the code writes
+// itself (due status, due basis, intervals) follow the language actually used.
+
+export const DEFAULT_LANGUAGE = "en";
+
+export const LANGUAGES = {
+  en: { name: "English", locale: "en-NG", aliases: ["english", "eng"] },
+  pcm: { name: "Nigerian Pidgin", locale: "pcm", aliases: ["pidgin", "nigerian pidgin", "naija"] },
+  yo: { name: "Yoruba", locale: "yo", aliases: ["yoruba", "yorùbá"] },
+  ha: { name: "Hausa", locale: "ha", aliases: ["hausa"] },
+  ig: { name: "Igbo", locale: "ig", aliases: ["igbo"] },
+};
+
+// Language code for a "Language" cell: English when blank, null when unknown
+export function parseLanguage(value) {
+  const text = String(value || "").trim().toLowerCase();
+  if (!text) return DEFAULT_LANGUAGE;
+  for (const [code, { name, aliases }] of Object.entries(LANGUAGES)) {
+    if (text === code || text === name.toLowerCase() || aliases.includes(text)) return code;
+  }
+  return null;
+}
+
+// English keeps the dd-MM-yyyy dates the Master uses; translations spell the month out
+export function formatDate(date, language = DEFAULT_LANGUAGE) {
+  if (language === DEFAULT_LANGUAGE) return date.toFormat("dd-MM-yyyy");
+  return date.setLocale(LANGUAGES[language].locale).toFormat("d MMMM yyyy");
+}
+
+const PHRASES = {
+  en: {
+    overdueSince: date => `overdue since ${date}`,
+    dueToday: "due today",
+    dueOn: (date, days) => `due ${date} (in ${days} days)`,
+    vehicleLine: v => `- ${v.plate}: ${v.status} (last service ${v.lastVisit}, due by ${v.basis})`,
+    byMileage: (km, dueKm) => `mileage (every ${km} km` + (dueKm ? `, at about ${dueKm} km)` : ")"),
+    byTime: interval => `time (every ${interval})`,
+    interval: null, // "Interval Applied" is already English
+  },
+  pcm: {
+    overdueSince: date => `e don pass time since ${date}`,
+    dueToday: "e due today",
+    dueOn: (date, days) => `e go due ${date} (${days} days remain)`,
+    vehicleLine: v => `- ${v.plate}: ${v.status} (last service ${v.lastVisit}, e go due by ${v.basis})`,
+    byMileage: (km, dueKm) => `mileage (every ${km} km` + (dueKm ? `, around ${dueKm} km)` : ")"),
+    byTime: interval => `time (every ${interval})`,
+    interval: null,
+  },
+  yo: {
+    overdueSince: date => `ó ti kọjá àkókò láti ${date}`,
+    dueToday: "ó tó lónìí",
+    dueOn: (date, days) => `ó tó ní ${date} (ọjọ́ ${days} sí i)`,
+    vehicleLine: v => `- ${v.plate}: ${v.status} (ìtọ́jú tó kẹ́yìn ${v.lastVisit}, ó tó nípa ${v.basis})`,
+    byMileage: (km, dueKm) => `ìrìn ọkọ̀ (ní gbogbo km ${km}` + (dueKm ? `, ní nǹkan bí km ${dueKm})` : ")"),
+    byTime: interval => `àkókò (ní gbogbo ${interval})`,
+    interval: { days: "ọjọ́", weeks: "ọ̀sẹ̀", months: "oṣù", years: "ọdún" },
+  },
+  ha: {
+    overdueSince: date => `ya wuce lokaci tun ${date}`,
+    dueToday: "yau ne lokacinsa",
+    dueOn: (date, days) => `lokacinsa ${date} (cikin kwanaki ${days})`,
+    vehicleLine: v => `- ${v.plate}: ${v.status} (gyara na ƙarshe ${v.lastVisit}, lokaci ta ${v.basis})`,
+    byMileage: (km, dueKm) => `nisan tafiya (duk km ${km}` + (dueKm ? `, kusan km ${dueKm})` : ")"),
+    byTime: interval => `lokaci (duk ${interval})`,
+    interval: { days: "kwana", weeks: "mako", months: "wata", years: "shekara" },
+  },
+  ig: {
+    overdueSince: date => `oge ya agafeela kemgbe ${date}`,
+    dueToday: "oge ya bụ taa",
+    dueOn: (date, days) => `oge ya bụ ${date} (n'ime ụbọchị ${days})`,
+    vehicleLine: v => `- ${v.plate}: ${v.status} (ọrụ ikpeazụ ${v.lastVisit}, oge ya dabere na ${v.basis})`,
+    byMileage: (km, dueKm) => `njem ụgbọ (kwa km ${km}` + (dueKm ? `, ihe dị ka km ${dueKm})` : ")"),
+    byTime: interval => `oge (kwa ${interval})`,
+    interval: { days: "ụbọchị", weeks: "izu", months: "ọnwa", years: "afọ" },
+  },
+};
+
+// Wording for the computed template variables in `language`
+export function phrases(language = DEFAULT_LANGUAGE) {
+  return PHRASES[language] || PHRASES[DEFAULT_LANGUAGE];
+}
+
+// "3 months" (describeInterval in lib/schedule.js) in `language`, e.g. "oṣù 3"
+export function translateInterval(label, language = DEFAULT_LANGUAGE) {
+  const units = phrases(language).interval;
+  const match = String(label || "").match(/^(\d+) (day|week|month|year)s?$/);
+  if (!units || !match) return label;
+  return `${units[`${match[2]}s`]} ${match[1]}`;
+}
@@ -0,0 +1,41 @@
+import crypto from "node:crypto";
+
+// ==== SIGNED CUSTOMER LINKS ====
+// ENV VARS: PUBLIC_BASE_URL (e.g. https://rgac-reminder.vercel.app), LINK_SIGNING_SECRET
+//
+// Links in reminders carry the customer key and an HMAC of it, scoped to one
+// purpose so an unsubscribe token can't be replayed against another route.
+// Links for a branch other than the default (lib/branches.js) also carry the
+// branch id as "b", and it is signed with the key so a token for one branch's
+// customer can't be used on another branch's spreadsheet.
+
+export function isLinkSigningConfigured(env = process.env) {
+  return Boolean(env.PUBLIC_BASE_URL && env.LINK_SIGNING_SECRET);
+}
+
+export function signToken(purpose, key, env = process.env) {
+  if (!env.LINK_SIGNING_SECRET) throw new Error("Missing LINK_SIGNING_SECRET env variable");
+  return crypto
+    .createHmac("sha256", env.LINK_SIGNING_SECRET)
+    .update(`${purpose}:${key}`)
+    .digest("base64url");
+}
+
+export function verifyToken(purpose, key, token, env = process.env, branch = "") {
+  if (!key || !token || !env.LINK_SIGNING_SECRET) return false;
+  const expected = Buffer.from(signToken(purpose, scopedKey(key, branch), env));
+  const given = Buffer.from(String(token));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+export function customerLink(route, purpose, key, env = process.env, branch = "") {
+  const base = env.PUBLIC_BASE_URL.replace(/\/$/, "");
+  const params = new URLSearchParams({ c: key, t: signToken(purpose, scopedKey(key, branch), env) });
+  if (branch) params.set("b", branch);
+  return `${base}${route}?${params}`;
+}
+
+// Links for the default branch stay as they were before branches existed
+function scopedKey(key, branch) {
+  return branch ? `${branch}/${key}` : key;
+}
@@ -0,0 +1,71 @@
+import crypto from "node:crypto";
+import { DateTime } from "luxon";
+
+// ==== RUN LOCK ====
+// ENV VARS: SYNC_LOCK_TTL_SECONDS, SYNC_LOCK_WAIT_SECONDS
+//
+// One row on the "Sync Lock" tab says which run is sending. A lock older than
+// its expiry (a run that crashed or was killed by the platform) is taken over.
+// Sheets has no compare-and-set, so after writing we read the row back: of two
+// runs that raced, only the one whose write landed last goes ahead.
+//
+// Bookings and manual resends hold the lock for a few seconds too. A run waits
+// up to SYNC_LOCK_WAIT_SECONDS (default 15) for it rather than skipping the
+// day's reminders because a customer was booking at that moment.
+
+export const LOCK_HEADER = ["Owner", "Locked At", "Expires At"];
+
+export function loadLockWaitSeconds(env = process.env) {
+  const raw = String(env.SYNC_LOCK_WAIT_SECONDS ?? "").trim();
+  if (raw === "") return 15;
+  const seconds = Number(raw);
+  if (!Number.isFinite(seconds) || seconds < 0) throw new Error(`Invalid SYNC_LOCK_WAIT_SECONDS: "${raw}"`);
+  return seconds;
+}
+
+// `waitSeconds` keeps trying, every `pollMs`, while someone else holds the
+// lock; the default gives up at once.
+export async function acquireLock(storage, sheetName = "Sync Lock", {
+  ttlSeconds = Number(process.env.SYNC_LOCK_TTL_SECONDS || 300),
+  owner = crypto.randomUUID(),
+  waitSeconds = 0,
+  pollMs = 500,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+} = {}) {
+  const giveUpAt = Date.now() + waitSeconds * 1000;
+  for (;;) {
+    const attempt = await tryLock(storage, sheetName, ttlSeconds, owner);
+    if (attempt.acquired || Date.now() + pollMs > giveUpAt) return attempt;
+    await sleep(pollMs);
+  }
+}
+
+async function tryLock(storage, sheetName, ttlSeconds, owner) {
+  await storage.ensureSheet(sheetName);
+  const current = await readLock(storage, sheetName);
+  if (current && DateTime.fromISO(current.expiresAt) > DateTime.now()) {
+    return { acquired: false, heldBy: current };
+  }
+
+  const now = DateTime.now();
+  await storage.updateValues(sheetName, 1, [
+    LOCK_HEADER,
+    [owner, now.toISO({ suppressMilliseconds: true }), now.plus({ seconds: ttlSeconds }).toISO({ suppressMilliseconds: true })],
+  ]);
+  const check = await readLock(storage, sheetName);
+  if (!check || check.owner !== owner) return { acquired: false, heldBy: check };
+
+  return {
+    acquired: true,
+    async release() {
+      const latest = await readLock(storage, sheetName);
+      if (latest && latest.owner === owner) await storage.updateValues(sheetName, 2, [["", "", ""]]);
+    },
+  };
+}
+
+async function readLock(storage, sheetName) {
+  const [, row = []] = await storage.getValues(sheetName);
+  const [owner = "", lockedAt = "", expiresAt = ""] = row.map(v => String(v || "").trim());
+  return owner ? { owner, lockedAt, expiresAt } : null;
+}
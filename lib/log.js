@@ -0,0 +1,19 @@
+// ==== RUN LOG ====
+// Everything index.js and lib/ print about a run goes through log(), which
+// writes to console.log unless a caller swaps in its own logger. `cli.js`
+// does that to hide the run log unless --verbose; errors still go to
+// console.error.
+
+let logger = null;
+
+export function log(...args) {
+  (logger || console.log)(...args);
+}
+
+// `fn` gets log()'s arguments; null goes back to console.log. Returns the
+// logger it replaced, so a caller can put it back.
+export function setLogger(fn) {
+  const previous = logger;
+  logger = fn;
+  return previous;
+}
@@ -0,0 +1,349 @@
+import crypto from "node:crypto";
+import { DateTime } from "luxon";
+import { AMC_COLUMNS, amcStatus, loadRenewalConfig } from "./amc.js";
+import { loadBusinessCalendar, nextBusinessDay } from "./calendar.js";
+import { normalizePlate, parseDate } from "./validation.js";
+import { loadDefaultInterval, loadServicePlans, predictMileageDue, resolveServiceInterval } from "./schedule.js";
+import { log } from "./log.js";
+
+// ==== MASTER SHEET ====
+// Tab names, the Master's columns, and reading, processing and writing back
+// its rows. Everything takes the storage adapter (lib/storage.js) as an
+// argument, so the same code runs against Sheets, a file or memory.
+
+export const SHEET_NAMES = {
+  MASTER: "ALL AMC CLIENT",
+  REMINDERS: "REMINDER SHEET",
+  STATUS_LOG: "Status Log",
+  RUN_DETAILS: "Run Details",
+  TEMPLATES: "Templates",
+  APPOINTMENTS: "Appointments",
+  DATA_ISSUES: "Data Issues",
+  OUTBOX: "Outbox",
+  SYNC_LOCK: "Sync Lock",
+  CHANGE_LOG: "Change Log",
+  BACKUPS: "Master Backup", // prefix: each snapshot is a "Master Backup <time>" tab (lib/backups.js)
+};
+
+// If one of these changed between reading and writing the Master, the values we
+// computed from the row are stale and none of its tracking cells are written.
+export const IDENTITY_COLUMNS = ["Name", "Veh. Reg. No.", "Email Add.", "Phone Number", "Last Visit"];
+
+// "Manual Contact" value once the whole reminder cadence has gone unanswered
+export const CALL_FLAG = "CALL - NO RESPONSE";
+
+// "Manual Contact" value for rows with an ERROR on the Data Issues tab
+export const DATA_FLAG = "FIX DATA";
+
+// "Manual Contact" value while "Email Add." is the address in "Bounced Email"
+export const BOUNCE_FLAG = "EMAIL BOUNCED";
+
+export const REQUIRED_COLUMNS = [
+ "Customer ID",
+ "Name",
+ "Veh. Reg. No.",
+ "Email Add.", 
+ "Phone Number", 
+ "Last Visit",
+ "Next Reminder Date",
+ "Interval Applied",
+ "Due Trigger",
+ "Manual Contact",
+ "Status",
+ "Last Email Sent",
+ "Email Type",
+ "Reminder History",
+ "Subscription",
+ "Unsubscribed At",
+ "Booked For",
+ "Preferred Channel",
+ "Last SMS Sent",
+ "SMS Type",
+ "Last WhatsApp Sent",
+ "WhatsApp Type",
+ "Delivery Status",
+ "Delivery Updated At",
+ "Bounced Email",
+];
+
+// Once staff add a "Language" column (lib/languages.js), "Language Used" records
+// the language the last reminder went out in
+export const LANGUAGE_COLUMNS = ["Language Used"];
+
+// Each channel tracks its own "last sent" pair so the same-day dedupe works per channel.
+export const CHANNEL_COLUMNS = {
+  EMAIL: { lastSentColumn: "Last Email Sent", typeColumn: "Email Type" },
+  SMS: { lastSentColumn: "Last SMS Sent", typeColumn: "SMS Type" },
+  WHATSAPP: { lastSentColumn: "Last WhatsApp Sent", typeColumn: "WhatsApp Type" },
+};
+
+export async function fetchSheetRows(storage, sheetName) {
+  const values = await storage.getValues(sheetName);
+  if (values.length === 0) return { header: [], rows: [] };
+  const [header, ...rows] = values;
+  return { header, rows };
+}
+
+export function ensureColumns(header, required) {
+  const newHeader = [...header];
+  let changed = false;
+  required.forEach(col => {
+    if (!newHeader.includes(col)) {
+      newHeader.push(col);
+      changed = true;
+    }
+  });
+  return { header: newHeader, changed };
+}
+
+// AMC and language tracking columns only appear once staff add "AMC End" or
+// "Language" to the Master
+export function requiredColumnsFor(header) {
+  return [
+    ...REQUIRED_COLUMNS,
+    ...(header.includes("Language") ? LANGUAGE_COLUMNS : []),
+    ...(header.includes("AMC End") ? AMC_COLUMNS : []),
+  ];
+}
+
+export async function updateSheetHeader(storage, sheetName, header) {
+  await storage.updateValues(sheetName, 1, [header]);
+}
+
+// Adds a row to a log tab such as the Status Log, creating the tab the first time.
+export async function appendSheetRow(storage, sheetName, row) {
+  await storage.ensureSheet(sheetName);
+  await storage.appendRow(sheetName, row);
+}
+
+// Optional "Service Interval" (e.g. 6m, 45d) and "Plan" columns override the default interval.
+// When "Avg km/day" and "Service km Interval" are filled in, whichever of the mileage
+// and time due dates comes first wins; "Due Trigger" records which one (MILEAGE or TIME).
+// A due date on a Sunday or public holiday moves to the next open day.
+// When the Master has an "AMC End" column, "AMC Status" is worked out from it (see lib/amc.js).
+// `quiet` skips the per-row log lines, for the reporting routes.
+export function processCustomers(rows, header, {
+  plans = loadServicePlans(),
+  defaultInterval = loadDefaultInterval(),
+  calendar = loadBusinessCalendar(),
+  renewal = loadRenewalConfig(),
+  quiet = false,
+} = {}) {
+  const logRow = quiet ? () => {} : log;
+  logRow('\n--- PROCESSING CUSTOMERS ---');
+  const today = DateTime.now().startOf("day");
+  const customers = rows.map((row, index) => {
+    const obj = {};
+    header.forEach((col, i) => { obj[col] = (row[i] || "").trim(); });
+
+    // Ensure all required fields exist
+    REQUIRED_COLUMNS.forEach(col => {
+      if (!(col in obj)) obj[col] = "";
+    });
+
+    // Calculate Next Reminder Date (service interval after Last Visit)
+    let lastVisit = parseDate(obj["Last Visit"]);
+    let nextReminder = "";
+    if (lastVisit) {
+      const interval = resolveServiceInterval(obj, plans, defaultInterval);
+      let dueDate = lastVisit.plus(interval.duration);
+      let trigger = "TIME";
+      const mileage = predictMileageDue(obj, lastVisit);
+      if (mileage && mileage.date < dueDate) {
+        dueDate = mileage.date;
+        trigger = "MILEAGE";
+      }
+      dueDate = nextBusinessDay(dueDate, calendar);
+      nextReminder = dueDate.toFormat("dd-MM-yyyy");
+      obj["Next Reminder Date"] = nextReminder;
+      obj["Interval Applied"] = interval.label;
+      obj["Due Trigger"] = trigger;
+      logRow(`✅ Customer ${index + 1}: ${obj["Name"]}, Last Visit: ${obj["Last Visit"]}, Interval: ${interval.label} (${interval.source}), Next Reminder: ${nextReminder} (${trigger})`);
+    } else {
+      obj["Next Reminder Date"] = "";
+      obj["Interval Applied"] = "";
+      obj["Due Trigger"] = "";
+      logRow(`⚠️  Customer ${index + 1}: ${obj["Name"]}, No valid Last Visit date found: "${obj["Last Visit"]}"`);
+    }
+
+    // Manual Contact if no email/phone
+    const hasEmail = Boolean(obj["Email Add."]);
+    const hasPhone = Boolean(obj["Phone Number"]);
+    obj["Manual Contact"] = (!hasEmail && !hasPhone) ? "MISSING CONTACT" : "";
+
+    // A hard-bounced address stays unusable until staff change it
+    if (hasEmail && obj["Bounced Email"].toLowerCase() === obj["Email Add."].toLowerCase()) {
+      obj["Manual Contact"] = BOUNCE_FLAG;
+    }
+
+    if ("AMC End" in obj) {
+      const amcEnd = parseDate(obj["AMC End"]);
+      obj["AMC Status"] = amcEnd ? amcStatus(amcEnd.startOf("day"), today, renewal) : "";
+    }
+
+    return obj;
+  });
+  logRow('--- END PROCESSING CUSTOMERS ---\n');
+  return customers;
+}
+
+export function dueDateOf(customer) {
+  const date = parseDate(customer["Next Reminder Date"]);
+  return date && date.isValid ? date.startOf("day") : null;
+}
+
+export async function writeProcessedData(storage, customers, header, sheetName) {
+  const values = [header].concat(
+    customers.map(c => header.map(h => c[h] || ""))
+  );
+  await storage.ensureSheet(sheetName);
+  await storage.updateValues(sheetName, 1, values);
+}
+
+// Writes only the tracking cells this run changed, matching rows by Customer ID so
+// sorting, inserted rows or duplicate names can't send data to the wrong customer.
+// `snapshot` is the Master as read at the start of the run. A cell someone else
+// edited since then is left alone and reported as a conflict.
+export async function updateReminderFieldsInMaster(storage, customers, snapshot, sheetName) {
+  const fieldsToUpdate = [
+    "Phone Number", "Veh. Reg. No.", // normalized by lib/validation.js
+    "Delivery Status", "Delivery Updated At",
+    "Next Reminder Date", "Interval Applied", "Due Trigger", "Manual Contact", "Subscription", "Reminder History",
+    ...Object.values(CHANNEL_COLUMNS).flatMap(ch => [ch.lastSentColumn, ch.typeColumn]),
+    ...LANGUAGE_COLUMNS,
+    ...AMC_COLUMNS,
+  ];
+
+  const snapIdx = Object.fromEntries(snapshot.header.map((h, i) => [h, i]));
+  const originalById = {};
+  for (const row of snapshot.rows) {
+    const id = (row[snapIdx["Customer ID"]] || "").trim();
+    if (id) originalById[id] = row;
+  }
+
+  const { rows, header: masterHeader } = await fetchSheetRows(storage, sheetName);
+  const idx = Object.fromEntries(masterHeader.map((h, i) => [h, i]));
+  const rowIndexById = {};
+  rows.forEach((row, i) => {
+    const id = (row[idx["Customer ID"]] || "").trim();
+    if (!id) return;
+    rowIndexById[id] = rowIndexById[id] === undefined ? i : "DUPLICATE";
+  });
+
+  const original = (row, col) => (row[snapIdx[col]] || "").trim();
+  const current = (row, col) => (idx[col] === undefined ? "" : (row[idx[col]] || "").trim());
+
+  const cells = [];
+  const conflicts = [];
+  for (const customer of customers) {
+    const id = customer["Customer ID"];
+    if (!id) continue; // blank spacer rows never get an ID
+    const label = `${id} ${customer["Name"] || ""}`.trim();
+    const before = originalById[id];
+    const rowIndex = rowIndexById[id];
+
+    if (!before || rowIndex === undefined) {
+      conflicts.push(`${label}: row no longer in Master`);
+      continue;
+    }
+    if (rowIndex === "DUPLICATE") {
+      conflicts.push(`${label}: Customer ID appears on more than one row`);
+      continue;
+    }
+
+    const row = rows[rowIndex];
+    const changedIdentity = IDENTITY_COLUMNS.filter(col => original(before, col) !== current(row, col));
+    if (changedIdentity.length > 0) {
+      conflicts.push(`${label}: ${changedIdentity.join(", ")} changed during the run`);
+      continue;
+    }
+
+    for (const field of fieldsToUpdate) {
+      if (idx[field] === undefined) continue;
+      const next = customer[field] || "";
+      if (next === original(before, field)) continue;
+      if (current(row, field) !== original(before, field)) {
+        conflicts.push(`${label}: ${field} was edited during the run`);
+        continue;
+      }
+      cells.push({ row: rowIndex + 2, column: idx[field], value: next });
+    }
+  }
+
+  for (const conflict of conflicts) log(`   ⚠️  WRITE CONFLICT - ${conflict}`);
+  await storage.updateCells(sheetName, cells);
+  return { cellsWritten: cells.length, conflicts };
+}
+
+// Fills in missing or duplicated Customer IDs in `rows` (in place). Blank rows are left alone.
+// Returns [{ rowIndex, id, previous }] for the IDs that still need writing.
+export function assignCustomerIds(rows, header) {
+  const col = header.indexOf("Customer ID");
+  const seen = new Set();
+  const assigned = [];
+
+  rows.forEach((row, rowIndex) => {
+    if (row.every(cell => !String(cell || "").trim())) return;
+    const previous = (row[col] || "").trim();
+    if (previous && !seen.has(previous)) {
+      seen.add(previous);
+      return;
+    }
+    let id;
+    do {
+      id = generateCustomerId();
+    } while (seen.has(id));
+    seen.add(id);
+    while (row.length <= col) row.push("");
+    row[col] = id;
+    assigned.push({ rowIndex, id, previous });
+  });
+  return assigned;
+}
+
+// No 0/O or 1/I so IDs can be read out over the phone
+function generateCustomerId() {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const bytes = crypto.randomBytes(8);
+  return "RG-" + Array.from(bytes, b => alphabet[b % alphabet.length]).join("");
+}
+
+// Re-reads the Master first and only writes an ID where the row still holds the
+// same customer; returns how many were skipped.
+export async function writeCustomerIds(storage, sheetName, assigned, snapshotRows, header) {
+  const { rows, header: currentHeader } = await fetchSheetRows(storage, sheetName);
+  const idx = Object.fromEntries(currentHeader.map((h, i) => [h, i]));
+  const snapIdx = Object.fromEntries(header.map((h, i) => [h, i]));
+  const same = (a, b, col) => (a[snapIdx[col]] || "").trim() === (b[idx[col]] || "").trim();
+
+  const cells = [];
+  for (const { rowIndex, id, previous } of assigned) {
+    const now = rows[rowIndex];
+    const then = snapshotRows[rowIndex];
+    if (!now || !same(then, now, "Name") || !same(then, now, "Veh. Reg. No.") ||
+        (now[idx["Customer ID"]] || "").trim() !== previous) {
+      log(`   ⚠️  Row ${rowIndex + 2} changed since it was read - Customer ID ${id} not written`);
+      continue;
+    }
+    cells.push({ row: rowIndex + 2, column: idx["Customer ID"], value: id });
+  }
+  await storage.updateCells(sheetName, cells);
+  return assigned.length - cells.length;
+}
+
+// Links sent before Customer IDs existed carry "Name|Veh. Reg. No." instead
+export function findRowByKey(rows, idx, key) {
+  if (!key.includes("|") && idx["Customer ID"] !== undefined) {
+    return rows.findIndex(row => (row[idx["Customer ID"]] || "").trim() === key);
+  }
+  const [name, plate] = key.split("|");
+  return rows.findIndex(row =>
+    (row[idx["Name"]] || "").trim() === name &&
+    normalizePlate(row[idx["Veh. Reg. No."]]).value === normalizePlate(plate).value
+  );
+}
+
+// Customer ID once assigned; "Name|Veh. Reg. No." for rows that don't have one yet
+export function customerKey(customer) {
+  return customer["Customer ID"] || `${customer["Name"]}|${customer["Veh. Reg. No."]}`;
+}
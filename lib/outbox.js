@@ -0,0 +1,260 @@
+import crypto from "node:crypto";
+import { DateTime } from "luxon";
+
+// ==== OUTBOX ====
+// ENV VARS: SEND_RATE_PER_MINUTE, SEND_MAX_ATTEMPTS, SEND_RETRY_BASE_SECONDS,
+// SEND_TIME_BUDGET_SECONDS, OUTBOX_KEEP_DAYS
+//
+// Every reminder message gets a row on the "Outbox" tab before it is sent, and
+// the row is updated straight after each attempt, so a run cut off by the
+// serverless timeout loses nothing: the next run finds the same messages
+// (IDs are derived from what is being sent) and carries on.
+//
+// Message bodies are rendered fresh on every attempt; the tab keeps the state.
+// "Reminders" lists one "<Customer ID>:<due date>:<cadence step>" per vehicle.
+//
+// Status: PENDING -> SENT, or RETRY (transient error, waits Next Attempt At)
+// -> ... -> FAILED after SEND_MAX_ATTEMPTS or a permanent error. PENDING/RETRY
+// messages that a later run no longer wants to send become CANCELLED; each
+// pass (service reminders, renewals, the staff digest) only cancels its own
+// kind of message.
+//
+// Retries only happen when a run happens. With the daily cron the backoff is
+// a floor, not a schedule: Next Attempt At holds back runs triggered before
+// it, and otherwise each retry waits for the next day's run, so
+// SEND_MAX_ATTEMPTS attempts span that many days.
+//
+// Finished messages (SENT, FAILED, CANCELLED) are dropped OUTBOX_KEEP_DAYS
+// after they finished so the tab doesn't grow forever. The Master's Reminder
+// History keeps the record of what was sent.
+
+export const OUTBOX_HEADER = [
+  "Message ID",
+  "Queued At",
+  "Channel",
+  "To",
+  "Reminders",
+  "Subject",
+  "Status",
+  "Attempts",
+  "Next Attempt At",
+  "Last Error",
+  "Sent At",
+];
+
+const FINISHED = ["SENT", "FAILED", "CANCELLED"];
+
+// The "Reminders" cell as a list of keys
+export function splitReminders(cell) {
+  return String(cell || "").split(",").map(key => key.trim()).filter(Boolean);
+}
+
+export function loadSendConfig(env = process.env) {
+  const number = (name, fallback) => {
+    const value = env[name] === undefined || env[name] === "" ? fallback : Number(env[name]);
+    if (!Number.isFinite(value) || value <= 0) throw new Error(`Invalid ${name}: "${env[name]}"`);
+    return value;
+  };
+  return {
+    ratePerMinute: number("SEND_RATE_PER_MINUTE", 30),
+    maxAttempts: number("SEND_MAX_ATTEMPTS", 5),
+    retryBaseSeconds: number("SEND_RETRY_BASE_SECONDS", 60),
+    // Vercel stops functions at 60s; leave time to write the sheets afterwards
+    timeBudgetSeconds: number("SEND_TIME_BUDGET_SECONDS", 40),
+    keepDays: number("OUTBOX_KEEP_DAYS", 90),
+  };
+}
+
+export function messageId(channel, to, reminders) {
+  return crypto
+    .createHash("sha256")
+    .update([channel, to.toLowerCase(), ...[...reminders].sort()].join("\n"))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+export function reminderKey(customerId, dueDate, step) {
+  return `${customerId}:${dueDate}:${step}`;
+}
+
+// Which pass a message belongs to, from its reminder keys: "digest"
+// ("digest:<date>"), "renewal" ("<Customer ID>:amc-<AMC End>:<step>") or
+// "reminder" (service reminders, including manual resends).
+export function messageKind(reminders) {
+  const [key = ""] = reminders;
+  if (key.startsWith("digest:")) return "digest";
+  if ((key.split(":")[1] || "").startsWith("amc-")) return "renewal";
+  return "reminder";
+}
+
+// Worth trying again later: timeouts, dropped connections, SMTP 4xx, HTTP 429 and 5xx.
+export function isTransientError(error) {
+  const smtpCode = Number(error.responseCode);
+  if (smtpCode) return smtpCode >= 400 && smtpCode < 500;
+
+  const status = Number(error.status || error.code);
+  if (status) return status === 408 || status === 429 || status >= 500;
+
+  const code = error.code || error.cause?.code || "";
+  return ["ETIMEDOUT", "ECONNRESET", "ECONNREFUSED", "ECONNECTION", "ESOCKET", "EAI_AGAIN", "EDNS"].includes(code) ||
+    error.message === "fetch failed";
+}
+
+// 1, 2, 4, 8... times SEND_RETRY_BASE_SECONDS after the attempt that failed
+export function retryDelaySeconds(attempts, config) {
+  return config.retryBaseSeconds * 2 ** (attempts - 1);
+}
+
+// The messages on the tab, for reports. Unlike loadOutbox it never writes: a
+// missing tab or header just means no messages.
+export async function readOutbox(storage, sheetName = "Outbox") {
+  const [header = [], ...rows] = await storage.getValues(sheetName);
+  const idx = Object.fromEntries(header.map((h, i) => [h, i]));
+  return rows
+    .map(row => Object.fromEntries(OUTBOX_HEADER.map(col => [col, (row[idx[col]] || "").trim()])))
+    .filter(message => message["Message ID"]);
+}
+
+export async function loadOutbox(storage, sheetName = "Outbox") {
+  await storage.ensureSheet(sheetName);
+  let [header = [], ...rows] = await storage.getValues(sheetName);
+  if (header.length === 0) {
+    header = OUTBOX_HEADER;
+    await storage.updateValues(sheetName, 1, [header]);
+  }
+  const idx = Object.fromEntries(header.map((h, i) => [h, i]));
+  const missing = OUTBOX_HEADER.filter(col => idx[col] === undefined);
+  if (missing.length > 0) throw new Error(`${sheetName} tab is missing columns: ${missing.join(", ")}`);
+
+  const messages = new Map();
+  rows.forEach((row, i) => {
+    const message = { row: i + 2 };
+    for (const col of OUTBOX_HEADER) message[col] = (row[idx[col]] || "").trim();
+    if (message["Message ID"]) messages.set(message["Message ID"], message);
+  });
+  // Pruning leaves blank rows at the end of the tab; new messages go after the last real one
+  let nextRow = Math.max(1, ...[...messages.values()].map(m => m.row)) + 1;
+
+  return {
+    get: id => messages.get(id),
+
+    // Reminder keys that already went out: { [key]: { channel, sentAt } }
+    sentReminders() {
+      const sent = {};
+      for (const message of messages.values()) {
+        if (message["Status"] !== "SENT") continue;
+        for (const key of splitReminders(message["Reminders"])) {
+          sent[key] = { channel: message["Channel"], sentAt: message["Sent At"] };
+        }
+      }
+      return sent;
+    },
+
+    // Sends in the last minute, so back-to-back runs share the rate limit
+    recentSendTimes(now = Date.now()) {
+      return [...messages.values()]
+        .filter(m => m["Sent At"])
+        .map(m => DateTime.fromISO(m["Sent At"]).toMillis())
+        .filter(t => now - t < 60_000);
+    },
+
+    async enqueue(newMessages) {
+      if (newMessages.length === 0) return;
+      const queuedAt = DateTime.now().toISO({ suppressMilliseconds: true });
+      const startRow = nextRow;
+      const values = newMessages.map(m => {
+        const message = {
+          row: nextRow++,
+          "Message ID": m.id,
+          "Queued At": queuedAt,
+          "Channel": m.channel,
+          "To": m.to,
+          "Reminders": m.reminders.join(", "),
+          "Subject": m.subject || "",
+          "Status": "PENDING",
+          "Attempts": "0",
+          "Next Attempt At": "",
+          "Last Error": "",
+          "Sent At": "",
+        };
+        messages.set(m.id, message);
+        return header.map(col => message[col] ?? "");
+      });
+      await storage.updateValues(sheetName, startRow, values);
+    },
+
+    async update(id, changes) {
+      const message = messages.get(id);
+      Object.assign(message, changes);
+      await storage.updateCells(sheetName, Object.entries(changes).map(([col, value]) => ({
+        row: message.row, column: idx[col], value: String(value),
+      })));
+    },
+
+    // PENDING/RETRY messages of `kind` (see messageKind) not in keepIds are no
+    // longer wanted (customer booked, unsubscribed, moved to the next cadence
+    // step...). Other kinds are left to their own pass.
+    async cancelExcept(keepIds, kind) {
+      const cells = [];
+      for (const message of messages.values()) {
+        if (keepIds.has(message["Message ID"])) continue;
+        if (messageKind(splitReminders(message["Reminders"])) !== kind) continue;
+        if (message["Status"] !== "PENDING" && message["Status"] !== "RETRY") continue;
+        message["Status"] = "CANCELLED";
+        cells.push({ row: message.row, column: idx["Status"], value: "CANCELLED" });
+      }
+      await storage.updateCells(sheetName, cells);
+      return cells.length;
+    },
+
+    // Drops SENT/FAILED/CANCELLED messages that finished more than keepDays ago.
+    // The tab is rewritten in one call, blanking the rows freed at the end,
+    // so a run cut off halfway can't lose the messages that are kept.
+    async prune(keepDays) {
+      const cutoff = DateTime.now().minus({ days: keepDays });
+      const finishedAt = m => DateTime.fromISO(m["Sent At"] || m["Next Attempt At"] || m["Queued At"]);
+      const old = [...messages.values()].filter(m =>
+        FINISHED.includes(m["Status"]) && finishedAt(m).isValid && finishedAt(m) < cutoff
+      );
+      if (old.length === 0) return 0;
+
+      const usedRows = nextRow - 2;
+      for (const message of old) messages.delete(message["Message ID"]);
+      const kept = [...messages.values()].sort((a, b) => a.row - b.row);
+      // Columns added by hand are carried along with their rows
+      const values = kept.map(m => header.map((col, c) => OUTBOX_HEADER.includes(col) ? m[col] : rows[m.row - 2]?.[c] ?? ""));
+      while (values.length < usedRows) values.push(header.map(() => ""));
+      await storage.updateValues(sheetName, 2, values);
+
+      rows = values.slice(0, kept.length);
+      kept.forEach((message, i) => { message.row = i + 2; });
+      nextRow = kept.length + 2;
+      return old.length;
+    },
+  };
+}
+
+// Sliding one-minute window. wait() resolves false when the next free slot is
+// after the deadline.
+export function createRateLimiter(perMinute, recent = [], { now = () => Date.now(), sleep = defaultSleep } = {}) {
+  const times = [...recent].sort((a, b) => a - b);
+  return {
+    async wait(deadline = Infinity) {
+      for (;;) {
+        const current = now();
+        while (times.length > 0 && current - times[0] >= 60_000) times.shift();
+        if (times.length < perMinute) {
+          times.push(current);
+          return true;
+        }
+        const freeAt = times[0] + 60_000;
+        if (freeAt >= deadline) return false;
+        await sleep(freeAt - current);
+      }
+    },
+  };
+}
+
+function defaultSleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,45 @@
+import { escapeHtml } from "./templates.js";
+
+// ==== CUSTOMER-FACING PAGES ====
+// Small HTML responses for the routes customers open from their reminders.
+// body is escaped unless { raw: true }.
+export function sendPage(res, status, title, body, { raw = false } = {}) {
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.status(status).send(
+    `<!DOCTYPE html><html><head><meta charset="utf-8">` +
+    `<meta name="viewport" content="width=device-width, initial-scale=1">` +
+    `<title>${escapeHtml(title)}</title></head>` +
+    `<body style="font-family: Arial, Helvetica, sans-serif; max-width: 480px; margin: 40px auto; padding: 0 16px;">` +
+    `<h2>${escapeHtml(title)}</h2>${raw ? body : `<p>${escapeHtml(body)}</p>`}</body></html>`
+  );
+}
+
+// Form fields of a POST, whether or not the platform already parsed the body.
+export async function readForm(req) {
+  if (req.body && typeof req.body === "object" && !Buffer.isBuffer(req.body)) return req.body;
+  return Object.fromEntries(new URLSearchParams(await readRawBody(req)));
+}
+
+// JSON response using only Node's own response methods, for handlers deployed
+// without the Vercel helpers (no res.status or res.json).
+export function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify(body));
+}
+
+// The body exactly as sent; signature checks need the unparsed bytes. Returns
+// null when the platform already parsed it into an object, since the original
+// bytes can't be recovered from that: routes that need them are deployed with
+// "helpers": false in vercel.json so @vercel/node leaves the stream alone.
+export async function readRawBody(req) {
+  if (typeof req.body === "string" || Buffer.isBuffer(req.body)) return String(req.body);
+  if (req.body && typeof req.body === "object") return null;
+  if (typeof req.on !== "function") return "";
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", chunk => { chunks.push(Buffer.from(chunk)); });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
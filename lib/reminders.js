@@ -0,0 +1,855 @@
+import { DateTime } from "luxon";
+import { loadRenewalConfig, renewalType } from "./amc.js";
+import { parseSlot } from "./booking.js";
+import { loadBusinessCalendar, sendingBlockedReason } from "./calendar.js";
+import { cadenceStep, formatHistory, loadCadence, parseHistory } from "./cadence.js";
+import { isTextMessagingConfigured, normalizePhone, sendTextMessage } from "./channels.js";
+import { closeTransports, sendEmail } from "./email.js";
+import { DEFAULT_LANGUAGE, formatDate, parseLanguage, phrases, translateInterval } from "./languages.js";
+import { customerLink, isLinkSigningConfigured } from "./links.js";
+import { log } from "./log.js";
+import {
+  BOUNCE_FLAG,
+  CALL_FLAG,
+  CHANNEL_COLUMNS,
+  DATA_FLAG,
+  customerKey,
+} from "./master.js";
+import {
+  createRateLimiter,
+  isTransientError,
+  loadSendConfig,
+  messageId,
+  reminderKey,
+  retryDelaySeconds,
+} from "./outbox.js";
+import { dueOdometer, parseKm } from "./schedule.js";
+import { escapeHtml } from "./templates.js";
+import { parseDate } from "./validation.js";
+
+// ==== REMINDERS ====
+// Decides which customers get which reminder today and sends them through the
+// Outbox. The send functions are passed in as `channels` (see createChannels),
+// so a run can be pointed at fake providers.
+
+export const REMINDER_TYPES = ["ADVANCE_7DAY", "DUE_TODAY", "OVERDUE"];
+
+// Template for one message covering several vehicles that share a contact
+export const COMBINED_TYPE = "MULTI_VEHICLE";
+
+// Defaults to the configured providers; tests pass their own senders. Text
+// channels are only used when `textEnabled` (SMS_PROVIDER set, by default).
+// Email goes out as `branch` (lib/branches.js), when given.
+export function createChannels({
+  email = sendEmail,
+  text = sendTextMessage,
+  close = closeTransports,
+  textEnabled = isTextMessagingConfigured(),
+  branch,
+} = {}) {
+  const from = branch ? { sender: branch.sender, branch: branch.id } : {};
+  return {
+    EMAIL: {
+      ...CHANNEL_COLUMNS.EMAIL,
+      enabled: true,
+      address: c => c["Email Add."],
+      send: (to, template, meta) => email(to, template, { ...meta, ...from }),
+      close,
+    },
+    SMS: {
+      ...CHANNEL_COLUMNS.SMS,
+      enabled: textEnabled,
+      address: c => c["Phone Number"],
+      send: (to, template) => text("sms", to, template.sms),
+    },
+    WHATSAPP: {
+      ...CHANNEL_COLUMNS.WHATSAPP,
+      enabled: textEnabled,
+      address: c => c["Phone Number"],
+      send: (to, template) => text("whatsapp", to, template.sms),
+    },
+  };
+}
+
+// "Preferred Channel" is EMAIL, SMS or WHATSAPP. Blank or unusable preferences
+// fall back to email, then SMS; text channels need SMS_PROVIDER configured.
+export function resolveChannel(customer, channels = createChannels()) {
+  const available = Object.keys(channels).filter(ch => channels[ch].enabled && channels[ch].address(customer));
+  const preferred = (customer["Preferred Channel"] || "").trim().toUpperCase();
+  if (available.includes(preferred)) return preferred;
+  return available[0] || null;
+}
+
+// Which template a reminder uses, from whole days until the due date (negative once overdue)
+export function reminderType(daysUntilDue) {
+  if (daysUntilDue < 0) return "OVERDUE";
+  if (daysUntilDue === 0) return "DUE_TODAY";
+  return "ADVANCE_7DAY";
+}
+
+// Every customer gets one entry in `decisions`:
+//   decision - SENT, FAILED, QUEUED (waiting in the outbox), SKIPPED, or WOULD_SEND on a dry run
+//   reason   - why, in words staff can read off the Run Details tab
+// Which reminder goes out when is set by the cadence (lib/cadence.js); "Reminder History"
+// records the steps sent for the current due date.
+// With { dryRun: true } nothing is sent and no tracking fields change.
+// Outside a dry run, messages go through `outbox` (lib/outbox.js): a message that
+// hits a transient error is retried by later runs, and one that doesn't fit in
+// SEND_TIME_BUDGET_SECONDS (or before `deadline`, in ms) is left PENDING for the next run.
+// Links in the messages point at `branch` (lib/branches.js) when given.
+export async function sendReminders(customers, {
+  dryRun = false,
+  templates,
+  outbox,
+  cadence = loadCadence(),
+  sendConfig = loadSendConfig(),
+  calendar = loadBusinessCalendar(),
+  channels = createChannels(),
+  deadline = Date.now() + sendConfig.timeBudgetSeconds * 1000,
+  branch,
+}) {
+  let sent = 0, failed = 0, queued = 0, failures = [];
+  const sentEarlier = outbox ? outbox.sentReminders() : {};
+  const held = sendingBlockedReason(DateTime.now(), calendar);
+  const decisions = [];
+  const today = DateTime.now().startOf("day");
+  const todayStr = today.toISODate();
+  const todayFormatted = today.toFormat("dd-MM-yyyy");
+  
+  log('\n' + '='.repeat(80));
+  log('📧 EMAIL SENDING PROCESS STARTED');
+  log(`Today's date (ISO): ${todayStr}`);
+  log(`Today's date (dd-MM-yyyy): ${todayFormatted}`);
+  log(`Total customers to check: ${customers.length}`);
+  log(`Cadence (days from due date): ${cadence.join(", ")}`);
+  if (held) log(`⏸️  Not sending now: ${held} - due reminders stay queued`);
+  log('='.repeat(80));
+  
+  let checkedCount = 0;
+  let skippedNotSubscribed = 0;
+  let skippedNoContact = 0;
+  let skippedNoChannel = 0;
+  let skippedNoReminderDate = 0;
+  let skippedNotDue = 0;
+  let skippedAlreadySent = 0;
+  let skippedBooked = 0;
+  let skippedCadenceDone = 0;
+  let skippedInvalidData = 0;
+  let skippedEmailBounced = 0;
+  const due = [];
+  const queue = [];
+  
+  for (const customer of customers) {
+    checkedCount++;
+    const name = customer["Name"] || "Unknown";
+    const entry = {
+      customerKey: customerKey(customer),
+      name,
+      vehicle: customer["Veh. Reg. No."] || "",
+      email: customer["Email Add."] || "",
+      nextReminderDate: customer["Next Reminder Date"] || "",
+      channel: null,
+      decision: "SKIPPED",
+      reason: "",
+      emailType: null,
+      language: null,
+      daysUntilDue: null,
+      error: null,
+    };
+    decisions.push(entry);
+    
+    log(`\n${'─'.repeat(60)}`);
+    log(`📋 Customer ${checkedCount}/${customers.length}: ${name}`);
+    
+    // Check subscription status FIRST
+    const subscription = (customer["Subscription"] || "").trim().toUpperCase();
+    log(`   Subscription: "${subscription}"`);
+    
+    if (subscription === "NOT SUBSCRIBED" || subscription === "UNSUBSCRIBED") {
+      log(`   🚫 NOT SUBSCRIBED - Skipping`);
+      entry.reason = `Subscription is ${subscription}`;
+      skippedNotSubscribed++;
+      continue;
+    }
+    
+    if (subscription !== "SUBSCRIBED" && subscription !== "") {
+      log(`   ⚠️  Unknown subscription: "${subscription}" - Treating as SUBSCRIBED`);
+    }
+    
+    // Skip customers with missing contact info
+    if (customer["Manual Contact"] === "MISSING CONTACT") {
+      log(`   ⏭️  MISSING CONTACT - Skipping`);
+      entry.reason = "No email or phone number (MISSING CONTACT)";
+      skippedNoContact++;
+      continue;
+    }
+
+    if (customer["Manual Contact"] === BOUNCE_FLAG) {
+      log(`   ⏭️  EMAIL BOUNCED - Skipping`);
+      entry.reason = `Email ${customer["Email Add."]} bounced - contact the customer and update it`;
+      skippedEmailBounced++;
+      continue;
+    }
+
+    if (customer["Manual Contact"] === DATA_FLAG) {
+      log(`   ⏭️  INVALID DATA - Skipping`);
+      entry.reason = "Invalid data in Master (see Data Issues tab)";
+      skippedInvalidData++;
+      continue;
+    }
+    
+    const channel = resolveChannel(customer, channels);
+    if (!channel) {
+      const reason = customer["Phone Number"]
+        ? "No email address and SMS_PROVIDER not configured"
+        : "No email address";
+      log(`   ⏭️  NO USABLE CHANNEL (${reason}) - Skipping`);
+      entry.reason = reason;
+      skippedNoChannel++;
+      continue;
+    }
+
+    const { lastSentColumn, typeColumn } = channels[channel];
+    const to = channels[channel].address(customer);
+    entry.channel = channel;
+
+    const nextReminderStr = customer["Next Reminder Date"];
+    const lastEmailSent = customer[lastSentColumn] || "";
+    const lastEmailType = customer[typeColumn] || "";
+    
+    log(`   Channel: ${channel} → ${to}`);
+    log(`   Vehicle: ${customer["Veh. Reg. No."]}`);
+    log(`   Last Visit: ${customer["Last Visit"]}`);
+    log(`   Next Reminder: ${nextReminderStr}`);
+    log(`   ${lastSentColumn}: ${lastEmailSent} (${lastEmailType})`);
+    log(`   Reminder History: ${customer["Reminder History"] || "(none)"}`);
+    
+    // Parse reminder date
+    if (!nextReminderStr) {
+      log(`   ⏭️  NO REMINDER DATE SET - Skipping`);
+      entry.reason = "No Next Reminder Date (Last Visit missing or unreadable)";
+      skippedNoReminderDate++;
+      continue;
+    }
+
+    const nextReminder = parseDate(nextReminderStr);
+    if (!nextReminder || !nextReminder.isValid) {
+      log(`   ⚠️  INVALID REMINDER DATE: ${nextReminderStr} - Skipping`);
+      entry.reason = `Invalid Next Reminder Date "${nextReminderStr}"`;
+      skippedNoReminderDate++;
+      continue;
+    }
+
+    const reminderDate = nextReminder.startOf("day");
+    const daysUntilDue = reminderDate.diff(today, "days").days;
+    
+    entry.daysUntilDue = Math.round(daysUntilDue);
+    log(`   Days until due: ${Math.round(daysUntilDue)}`);
+    log(`   Reminder date: ${reminderDate.toISODate()} vs Today: ${todayStr}`);
+    
+    // Find where the customer is in the reminder cadence
+    let history = parseHistory(customer["Reminder History"]);
+    if (history.dueDate !== reminderDate.toISODate()) {
+      history = { dueDate: reminderDate.toISODate(), sent: {} };
+    }
+    const step = cadenceStep(cadence, -Math.round(daysUntilDue), history);
+
+    if (step.action === "WAIT") {
+      log(`   ⏭️  TOO EARLY (${Math.round(daysUntilDue)} days away) - Skipping`);
+      entry.reason = `Not due yet (${Math.round(daysUntilDue)} days away)`;
+      skippedNotDue++;
+      continue;
+    }
+
+    if (step.action === "DONE") {
+      log(`   ☎️  CADENCE FINISHED (last reminder ${step.sentOn}) - Flagging for a phone call`);
+      customer["Manual Contact"] = CALL_FLAG;
+      entry.reason = `All reminders sent (last on ${step.sentOn}) - flagged for a phone call`;
+      skippedCadenceDone++;
+      continue;
+    }
+
+    // Determine email type based on timing
+    const emailType = reminderType(Math.round(daysUntilDue));
+    
+    if (emailType === "OVERDUE") {
+      entry.reason = `Overdue by ${Math.abs(Math.round(daysUntilDue))} days`;
+      log(`   🔴 OVERDUE by ${Math.abs(Math.round(daysUntilDue))} days`);
+    } else if (emailType === "DUE_TODAY") {
+      entry.reason = "Due today";
+      log(`   🟡 DUE TODAY`);
+    } else {
+      entry.reason = `Due in ${Math.round(daysUntilDue)} days`;
+      log(`   🟢 DUE IN ${Math.round(daysUntilDue)} DAYS - Advance reminder`);
+    }
+    
+    entry.emailType = emailType;
+
+    // A customer who has already booked doesn't need chasing
+    const bookedFor = parseSlot(customer["Booked For"]);
+    if ((emailType === "OVERDUE" || emailType === "DUE_TODAY") && bookedFor && bookedFor >= today) {
+      log(`   ⏭️  BOOKED FOR ${customer["Booked For"]} - Skipping`);
+      entry.reason = `Booked for ${customer["Booked For"]}`;
+      skippedBooked++;
+      continue;
+    }
+
+    // Each cadence step goes out once per due date, whatever the channel
+    if (step.action === "SENT") {
+      log(`   ⏭️  DAY ${stepLabel(step.step)} REMINDER ALREADY SENT ON ${step.sentOn} - Skipping`);
+      entry.reason = `Day ${stepLabel(step.step)} reminder already sent on ${step.sentOn}`;
+      skippedAlreadySent++;
+      continue;
+    }
+
+    entry.reason += ` (day ${stepLabel(step.step)} reminder)`;
+    const key = reminderKey(customer["Customer ID"], history.dueDate, step.step);
+
+    // Went out in a run that stopped before it could update the Master
+    if (sentEarlier[key]) {
+      const sentOn = DateTime.fromISO(sentEarlier[key].sentAt).toISODate();
+      log(`   ✅ ALREADY SENT BY AN EARLIER RUN ON ${sentOn} - Recording it`);
+      entry.language = reminderLanguage(templates, emailType, customer);
+      recordSent(customer, sentEarlier[key].channel, emailType, step, history, sentOn, cadence, entry.language);
+      entry.decision = "SENT";
+      entry.reason += ` - sent by an earlier run on ${sentOn}`;
+      continue;
+    }
+
+    due.push({ customer, entry, channel, to, emailType, step, history, daysUntilDue, key });
+  }
+
+  // One message per contact: vehicles sharing an email or phone go out together
+  for (const group of groupByContact(due)) {
+    const [first] = group;
+    const { channel, to } = first;
+    const names = [...new Set(group.map(item => item.customer["Name"] || "Unknown"))].join(", ");
+    const template = group.length === 1
+      ? renderReminder(templates, first.emailType, first.customer, first.daysUntilDue, branch)
+      : renderCombinedReminder(templates, group, branch);
+    if (group.length > 1) {
+      for (const { entry } of group) entry.reason += ` - combined with ${group.length - 1} other vehicle(s)`;
+    }
+    for (const { entry } of group) entry.language = template.language;
+
+    log(`\n${'─'.repeat(60)}`);
+    log(`📨 ${names} → ${channel} ${to}: ${group.map(item => `${item.customer["Veh. Reg. No."]} (${item.emailType})`).join(", ")}`);
+
+    if (dryRun) {
+      for (const { entry } of group) {
+        entry.decision = "WOULD_SEND";
+        if (channel === "EMAIL") {
+          entry.unsubscribeUrl = template.unsubscribeUrl;
+          entry.subject = template.subject;
+          entry.text = template.text;
+          entry.html = template.html;
+        } else {
+          entry.text = template.sms;
+        }
+      }
+      log(`   📝 DRY RUN - Would send ${group.length === 1 ? first.emailType : COMBINED_TYPE} by ${channel}`);
+      continue;
+    }
+    
+    const reminders = group.map(item => item.key);
+    queue.push({ id: messageId(channel, to, reminders), channel, to, group, names, template, reminders });
+  }
+
+  if (!dryRun) {
+    await outbox.enqueue(queue.filter(m => !outbox.get(m.id)).map(m => ({
+      id: m.id,
+      channel: m.channel,
+      to: m.to,
+      reminders: m.reminders,
+      subject: m.channel === "EMAIL" ? m.template.subject : "",
+    })));
+    for (const m of queue) {
+      if (outbox.get(m.id)["Status"] === "CANCELLED") await outbox.update(m.id, { "Status": "PENDING" });
+    }
+    const cancelled = await outbox.cancelExcept(new Set(queue.map(m => m.id)), "reminder");
+    if (cancelled > 0) log(`\n🗑️  Cancelled ${cancelled} queued message(s) that are no longer needed`);
+
+    const limiter = createRateLimiter(sendConfig.ratePerMinute, outbox.recentSendTimes());
+    let stopReason = held;
+
+    for (const message of queue) {
+      const { id, channel, to, group, names, template } = message;
+      const record = outbox.get(id);
+      const label = group.length === 1 ? group[0].emailType : COMBINED_TYPE;
+      const waiting = record["Status"] === "RETRY" && DateTime.fromISO(record["Next Attempt At"]) > DateTime.now();
+
+      if ((record["Status"] === "PENDING" || record["Status"] === "RETRY") && !waiting && !stopReason) {
+        if (Date.now() >= deadline || !(await limiter.wait(deadline))) {
+          stopReason = "send time budget used up";
+          log(`\n⏱️  Send time budget (${sendConfig.timeBudgetSeconds}s) used up - the rest stay queued for the next run`);
+        } else {
+          log(`\n📧 SENDING ${label} BY ${channel} to ${names} (${to})...`);
+          const result = await attemptSend(outbox, id, sendConfig, () =>
+            channels[channel].send(to, template, { customerIds: group.map(item => item.customer["Customer ID"]) })
+          );
+          if (result.ok) {
+            sent++;
+            log(`   ✅ ${channel} SENT SUCCESSFULLY!`);
+          } else {
+            const { retry, nextAttempt, attempts, error } = result;
+            if (!retry) failed++;
+            failures.push(`${names} (${to}): ${error.message}${retry ? ` - retrying after ${nextAttempt}` : ""}`);
+            console.error(`   ❌ FAILED (attempt ${attempts}): ${error.message}${retry ? ` - retrying after ${nextAttempt}` : ""}`);
+          }
+        }
+      }
+
+      // Record the outcome on every vehicle in the message
+      const status = record["Status"];
+      if (status === "SENT") {
+        const sentOn = DateTime.fromISO(record["Sent At"]).toISODate();
+        for (const { customer, entry, emailType, step, history } of group) {
+          recordSent(customer, channel, emailType, step, history, sentOn, cadence, template.language);
+          entry.decision = "SENT";
+        }
+      } else if (status === "FAILED") {
+        for (const { entry } of group) {
+          entry.decision = "FAILED";
+          entry.error = `${record["Last Error"]} (gave up after ${record["Attempts"]} attempt(s))`;
+        }
+      } else {
+        queued++;
+        for (const { entry } of group) {
+          entry.decision = "QUEUED";
+          entry.error = record["Last Error"] || null;
+          entry.reason += record["Next Attempt At"]
+            ? ` - retrying after ${record["Next Attempt At"]}`
+            : ` - queued for the next run${stopReason ? ` (${stopReason})` : ""}`;
+        }
+      }
+    }
+    for (const ch of Object.values(channels)) ch.close?.();
+  }
+  
+  log('\n' + '='.repeat(80));
+  log('📊 EMAIL SENDING SUMMARY');
+  log(`Total customers checked: ${checkedCount}`);
+  log(`✅ Emails sent: ${sent}`);
+  log(`❌ Emails failed: ${failed}`);
+  log(`⏳ Queued for a later run: ${queued}`);
+  log(`\nSkip Reasons:`);
+  log(`   🚫 Not subscribed: ${skippedNotSubscribed}`);
+  log(`   📭 No contact info: ${skippedNoContact}`);
+  log(`   🧹 Invalid data: ${skippedInvalidData}`);
+  log(`   ↩️  Email bounced: ${skippedEmailBounced}`);
+  log(`   📧 No usable channel: ${skippedNoChannel}`);
+  log(`   📅 No reminder date: ${skippedNoReminderDate}`);
+  log(`   ⏰ Not due yet: ${skippedNotDue}`);
+  log(`   🔁 Step already sent: ${skippedAlreadySent}`);
+  log(`   ☎️  Cadence finished: ${skippedCadenceDone}`);
+  log(`   📅 Already booked: ${skippedBooked}`);
+  
+  if (failures.length > 0) {
+    log(`\nFailures:\n   - ${failures.join("\n   - ")}`);
+  }
+  log('='.repeat(80) + '\n');
+  
+  const skipped = {
+    notSubscribed: skippedNotSubscribed,
+    noContact: skippedNoContact,
+    invalidData: skippedInvalidData,
+    emailBounced: skippedEmailBounced,
+    noChannel: skippedNoChannel,
+    noReminderDate: skippedNoReminderDate,
+    notDue: skippedNotDue,
+    alreadySent: skippedAlreadySent,
+    booked: skippedBooked,
+    cadenceFinished: skippedCadenceDone,
+  };
+
+  return { sent, failed, queued, held, failures, skipped, decisions, updatedCustomers: customers };
+}
+
+// One attempt at an Outbox message; the row is updated before returning.
+// Returns { ok: true } or { ok: false, retry, nextAttempt, attempts, error }.
+export async function attemptSend(outbox, id, sendConfig, send) {
+  const attempts = Number(outbox.get(id)["Attempts"] || 0) + 1;
+  try {
+    await send();
+    await outbox.update(id, {
+      "Status": "SENT",
+      "Attempts": attempts,
+      "Next Attempt At": "",
+      "Last Error": "",
+      "Sent At": DateTime.now().toISO({ suppressMilliseconds: true }),
+    });
+    return { ok: true };
+  } catch (e) {
+    const retry = isTransientError(e) && attempts < sendConfig.maxAttempts;
+    const nextAttempt = retry
+      ? DateTime.now().plus({ seconds: retryDelaySeconds(attempts, sendConfig) }).toISO({ suppressMilliseconds: true })
+      : "";
+    await outbox.update(id, {
+      "Status": retry ? "RETRY" : "FAILED",
+      "Attempts": attempts,
+      "Next Attempt At": nextAttempt,
+      "Last Error": e.message,
+    });
+    return { ok: false, retry, nextAttempt, attempts, error: e };
+  }
+}
+
+// ==== AMC RENEWAL REMINDERS ====
+// Runs after sendReminders on the same Outbox. Only vehicles with a readable
+// "AMC End" get an entry in `decisions`; daysUntilDue there counts to AMC End.
+// Renewals go out one vehicle per message and never combine with a service
+// reminder. Their Outbox keys use "amc-<AMC End>" as the due date, so they
+// can't clash with a service step, and each pass only cancels its own queued
+// messages.
+export async function sendRenewalReminders(customers, {
+  dryRun = false,
+  templates,
+  outbox,
+  renewal = loadRenewalConfig(),
+  sendConfig = loadSendConfig(),
+  calendar = loadBusinessCalendar(),
+  channels = createChannels(),
+  deadline = Date.now() + sendConfig.timeBudgetSeconds * 1000,
+  branch,
+}) {
+  let sent = 0, failed = 0, queued = 0;
+  const failures = [];
+  const decisions = [];
+  const due = [];
+  const sentEarlier = outbox ? outbox.sentReminders() : {};
+  const held = sendingBlockedReason(DateTime.now(), calendar);
+  const today = DateTime.now().startOf("day");
+
+  log('\n' + '='.repeat(80));
+  log('📄 AMC RENEWAL REMINDERS');
+  log(`Cadence (days from AMC End): ${renewal.cadence.join(", ")}; grace period ${renewal.graceDays} days`);
+  log('='.repeat(80));
+
+  for (const customer of customers) {
+    const amcEnd = parseDate(customer["AMC End"]);
+    if (!amcEnd) continue;
+    const end = amcEnd.startOf("day");
+    const daysUntilExpiry = Math.round(end.diff(today, "days").days);
+    const entry = {
+      customerKey: customerKey(customer),
+      name: customer["Name"] || "Unknown",
+      vehicle: customer["Veh. Reg. No."] || "",
+      email: customer["Email Add."] || "",
+      nextReminderDate: customer["AMC End"],
+      channel: null,
+      decision: "SKIPPED",
+      reason: "",
+      emailType: null,
+      language: null,
+      daysUntilDue: daysUntilExpiry,
+      error: null,
+    };
+    decisions.push(entry);
+    const skip = reason => {
+      entry.reason = reason;
+      log(`   ⏭️  ${entry.name} (${entry.vehicle}): ${reason}`);
+    };
+
+    const subscription = (customer["Subscription"] || "").trim().toUpperCase();
+    if (subscription === "NOT SUBSCRIBED" || subscription === "UNSUBSCRIBED") {
+      skip(`Subscription is ${subscription}`);
+      continue;
+    }
+    if (customer["Manual Contact"] === "MISSING CONTACT" || customer["Manual Contact"] === BOUNCE_FLAG ||
+        customer["Manual Contact"] === DATA_FLAG) {
+      skip(`Manual Contact is ${customer["Manual Contact"]}`);
+      continue;
+    }
+    if (customer["AMC Status"] === "EXPIRED") {
+      skip(`AMC expired on ${customer["AMC End"]} and the grace period is over`);
+      continue;
+    }
+
+    const channel = resolveChannel(customer, channels);
+    if (!channel) {
+      skip("No usable email address or phone number");
+      continue;
+    }
+    entry.channel = channel;
+
+    let history = parseHistory(customer["Renewal History"]);
+    if (history.dueDate !== end.toISODate()) history = { dueDate: end.toISODate(), sent: {} };
+    const step = cadenceStep(renewal.cadence, -daysUntilExpiry, history);
+    if (step.action === "WAIT") {
+      skip(`Renewal not due yet (AMC ends in ${daysUntilExpiry} days)`);
+      continue;
+    }
+    if (step.action === "DONE") {
+      skip(`All renewal reminders sent (last on ${step.sentOn})`);
+      continue;
+    }
+    if (step.action === "SENT") {
+      skip(`Day ${stepLabel(step.step)} renewal reminder already sent on ${step.sentOn}`);
+      continue;
+    }
+
+    const type = renewalType(daysUntilExpiry);
+    entry.emailType = type;
+    entry.reason = daysUntilExpiry > 0 ? `AMC ends in ${daysUntilExpiry} days`
+      : daysUntilExpiry === 0 ? "AMC ends today"
+      : `AMC ended ${-daysUntilExpiry} days ago (grace period)`;
+    entry.reason += ` (day ${stepLabel(step.step)} renewal reminder)`;
+
+    const key = reminderKey(customer["Customer ID"], `amc-${history.dueDate}`, step.step);
+    if (sentEarlier[key]) {
+      const sentOn = DateTime.fromISO(sentEarlier[key].sentAt).toISODate();
+      entry.language = reminderLanguage(templates, type, customer);
+      recordRenewalSent(customer, sentEarlier[key].channel, type, step, history, sentOn, entry.language);
+      entry.decision = "SENT";
+      entry.reason += ` - sent by an earlier run on ${sentOn}`;
+      continue;
+    }
+
+    const to = channels[channel].address(customer);
+    const template = renderRenewal(templates, type, customer, daysUntilExpiry, end, renewal.graceDays, branch);
+    entry.language = template.language;
+    log(`   📄 ${entry.name} (${entry.vehicle}) → ${channel} ${to}: ${type}`);
+    if (dryRun) {
+      entry.decision = "WOULD_SEND";
+      if (channel === "EMAIL") {
+        entry.unsubscribeUrl = template.unsubscribeUrl;
+        entry.subject = template.subject;
+        entry.text = template.text;
+        entry.html = template.html;
+      } else {
+        entry.text = template.sms;
+      }
+      continue;
+    }
+    due.push({ id: messageId(channel, to, [key]), key, customer, entry, channel, to, type, step, history, template });
+  }
+
+  if (!dryRun) {
+    await outbox.enqueue(due.filter(m => !outbox.get(m.id)).map(m => ({
+      id: m.id,
+      channel: m.channel,
+      to: m.to,
+      reminders: [m.key],
+      subject: m.channel === "EMAIL" ? m.template.subject : "",
+    })));
+    for (const m of due) {
+      if (outbox.get(m.id)["Status"] === "CANCELLED") await outbox.update(m.id, { "Status": "PENDING" });
+    }
+    const cancelled = await outbox.cancelExcept(new Set(due.map(m => m.id)), "renewal");
+    if (cancelled > 0) log(`\n🗑️  Cancelled ${cancelled} queued renewal(s) that are no longer needed`);
+
+    const limiter = createRateLimiter(sendConfig.ratePerMinute, outbox.recentSendTimes());
+    let stopReason = held;
+
+    for (const { id, customer, entry, channel, to, type, step, history, template } of due) {
+      const record = outbox.get(id);
+      const waiting = record["Status"] === "RETRY" && DateTime.fromISO(record["Next Attempt At"]) > DateTime.now();
+
+      if ((record["Status"] === "PENDING" || record["Status"] === "RETRY") && !waiting && !stopReason) {
+        if (Date.now() >= deadline || !(await limiter.wait(deadline))) {
+          stopReason = "send time budget used up";
+        } else {
+          log(`\n📧 SENDING ${type} BY ${channel} to ${entry.name} (${to})...`);
+          const result = await attemptSend(outbox, id, sendConfig, () =>
+            channels[channel].send(to, template, { customerIds: [customer["Customer ID"]] })
+          );
+          if (result.ok) {
+            sent++;
+          } else {
+            const { retry, nextAttempt, error } = result;
+            if (!retry) failed++;
+            failures.push(`${entry.name} (${to}) renewal: ${error.message}${retry ? ` - retrying after ${nextAttempt}` : ""}`);
+            console.error(`   ❌ FAILED: ${error.message}`);
+          }
+        }
+      }
+
+      const status = record["Status"];
+      if (status === "SENT") {
+        recordRenewalSent(customer, channel, type, step, history, DateTime.fromISO(record["Sent At"]).toISODate(), template.language);
+        entry.decision = "SENT";
+      } else if (status === "FAILED") {
+        entry.decision = "FAILED";
+        entry.error = `${record["Last Error"]} (gave up after ${record["Attempts"]} attempt(s))`;
+      } else {
+        queued++;
+        entry.decision = "QUEUED";
+        entry.error = record["Last Error"] || null;
+        entry.reason += record["Next Attempt At"]
+          ? ` - retrying after ${record["Next Attempt At"]}`
+          : ` - queued for the next run${stopReason ? ` (${stopReason})` : ""}`;
+      }
+    }
+    for (const ch of Object.values(channels)) ch.close?.();
+  }
+
+  log(`📊 Renewals: ${sent} sent, ${failed} failed, ${queued} queued, ${decisions.length} contracts checked\n`);
+  return { sent, failed, queued, failures, decisions, updatedCustomers: customers };
+}
+
+function recordRenewalSent(customer, channel, type, step, history, sentOn, language) {
+  customer["Last Renewal Sent"] = sentOn;
+  customer["Renewal Type"] = type;
+  customer["Language Used"] = language;
+  history.sent[step.step] = sentOn;
+  customer["Renewal History"] = formatHistory(history);
+  if (channel === "EMAIL") {
+    customer["Delivery Status"] = "SENT";
+    customer["Delivery Updated At"] = DateTime.now().toISO({ suppressMilliseconds: true });
+  }
+}
+
+function renderRenewal(templates, type, customer, daysUntilExpiry, end, graceDays, branch) {
+  const language = reminderLanguage(templates, type, customer);
+  const vars = {
+    "Days Until Expiry": Math.max(0, daysUntilExpiry),
+    "Grace Ends": formatDate(end.plus({ days: graceDays }), language),
+    "Unsubscribe Link": unsubscribeLink(customer, branch),
+    "Booking Link": bookingLink(customer, branch),
+  };
+  const rendered = templates.render(type, localizeDates(customer, language), vars, language);
+  return { ...rendered, unsubscribeUrl: vars["Unsubscribe Link"] };
+}
+
+// Tracking columns for one vehicle whose reminder went out on `sentOn` (yyyy-MM-dd)
+// in `language` (written to "Language Used" when the Master has a "Language" column)
+export function recordSent(customer, channel, emailType, step, history, sentOn, cadence, language = DEFAULT_LANGUAGE) {
+  const { lastSentColumn, typeColumn } = CHANNEL_COLUMNS[channel];
+  customer[lastSentColumn] = sentOn;
+  customer[typeColumn] = emailType;
+  customer["Language Used"] = language;
+  history.sent[step.step] = sentOn;
+  customer["Reminder History"] = formatHistory(history);
+  if (step.step === cadence[cadence.length - 1]) customer["Manual Contact"] = CALL_FLAG;
+  if (channel === "EMAIL") {
+    customer["Delivery Status"] = "SENT";
+    customer["Delivery Updated At"] = DateTime.now().toISO({ suppressMilliseconds: true });
+  }
+}
+
+function stepLabel(step) {
+  return step > 0 ? `+${step}` : String(step);
+}
+
+// Groups due reminders by channel and address, most urgent vehicle first in each group
+function groupByContact(due) {
+  const groups = new Map();
+  for (const item of due) {
+    const address = item.channel === "EMAIL" ? item.to.toLowerCase() : normalizePhone(item.to);
+    const key = `${item.channel}|${address}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return [...groups.values()].map(group => group.sort((a, b) => a.daysUntilDue - b.daysUntilDue));
+}
+
+// The greeting, the language and the message-wide links come from the most urgent
+// vehicle; each vehicle in the list and table also gets its own booking link
+function renderCombinedReminder(templates, group, branch) {
+  const [first] = group;
+  const language = reminderLanguage(templates, COMBINED_TYPE, first.customer);
+  const words = phrases(language);
+  const vehicles = group.map(({ customer: row, emailType, daysUntilDue }) => {
+    const customer = localizeDates(row, language);
+    return {
+      plate: customer["Veh. Reg. No."],
+      status: vehicleStatus(emailType, customer["Next Reminder Date"], daysUntilDue, language),
+      lastVisit: customer["Last Visit"],
+      basis: dueBasis(customer, language),
+      bookingLink: bookingLink(row, branch),
+    };
+  });
+  const customer = localizeDates(first.customer, language);
+  const vars = {
+    ...reminderVariables(customer, first.daysUntilDue, branch, language),
+    "Vehicle Count": group.length,
+    "Vehicles": vehicles.map(v => `${v.plate} (${v.status})`).join(", "),
+    "Vehicle List": vehicles.map(v =>
+      v.bookingLink ? `${words.vehicleLine(v)}\n  ${v.bookingLink}` : words.vehicleLine(v)
+    ).join("\n"),
+    "Vehicle Table": vehicles.map(v =>
+      `  <tr><td>${escapeHtml(v.plate)}</td><td>${escapeHtml(v.status)}</td><td>${escapeHtml(v.lastVisit)}</td>` +
+      `<td>${v.bookingLink ? `<a href="${escapeHtml(v.bookingLink)}">Book</a>` : ""}</td></tr>`
+    ).join("\n"),
+  };
+  return { ...templates.render(COMBINED_TYPE, customer, vars, language), unsubscribeUrl: vars["Unsubscribe Link"] };
+}
+
+function vehicleStatus(emailType, dueDate, daysUntilDue, language) {
+  const words = phrases(language);
+  if (emailType === "OVERDUE") return words.overdueSince(dueDate);
+  if (emailType === "DUE_TODAY") return words.dueToday;
+  return words.dueOn(dueDate, Math.round(daysUntilDue));
+}
+
+export function renderReminder(templates, emailType, customer, daysUntilDue, branch) {
+  const language = reminderLanguage(templates, emailType, customer);
+  const localized = localizeDates(customer, language);
+  const vars = reminderVariables(localized, daysUntilDue, branch, language);
+  return { ...templates.render(emailType, localized, vars, language), unsubscribeUrl: vars["Unsubscribe Link"] };
+}
+
+// The customer's "Language", or English when it is blank, unknown or not translated for `type`
+function reminderLanguage(templates, type, customer) {
+  return templates.languageFor(type, parseLanguage(customer["Language"]) || DEFAULT_LANGUAGE);
+}
+
+// A copy of the row with its dates and interval written for `language`. English
+// reminders show the Master's values as they are.
+function localizeDates(customer, language) {
+  if (language === DEFAULT_LANGUAGE) return customer;
+  const localized = { ...customer, "Interval Applied": translateInterval(customer["Interval Applied"], language) };
+  for (const column of ["Last Visit", "Next Reminder Date", "AMC Start", "AMC End"]) {
+    const date = parseDate(customer[column]);
+    if (date?.isValid) localized[column] = formatDate(date, language);
+  }
+  return localized;
+}
+
+// Values for the computed template placeholders (see TEMPLATE_VARIABLES in lib/templates.js)
+function reminderVariables(customer, daysUntilDue, branch, language) {
+  return {
+    "Days Until Due": Math.max(0, Math.round(daysUntilDue)),
+    "Days Overdue": Math.max(0, -Math.round(daysUntilDue)),
+    "Due Basis": dueBasis(customer, language),
+    "Unsubscribe Link": unsubscribeLink(customer, branch),
+    "Booking Link": bookingLink(customer, branch),
+  };
+}
+
+function bookingLink(customer, branch) {
+  if (isLinkSigningConfigured()) {
+    return customerLink("/api/book", "book", customerKey(customer), process.env, linkBranch(branch));
+  }
+  const address = replyAddress(branch);
+  return address ? `mailto:${address}?subject=${encodeURIComponent("Service booking " + customer["Veh. Reg. No."])}` : "";
+}
+
+// Signed one-click link when PUBLIC_BASE_URL/LINK_SIGNING_SECRET are set, otherwise a mailto.
+function unsubscribeLink(customer, branch) {
+  if (isLinkSigningConfigured()) {
+    return customerLink("/api/unsubscribe", "unsubscribe", customerKey(customer), process.env, linkBranch(branch));
+  }
+  const address = replyAddress(branch);
+  return address ? `mailto:${address}?subject=UNSUBSCRIBE` : "";
+}
+
+// The default branch's links carry no branch id, like links sent before branches existed
+function linkBranch(branch) {
+  return branch && !branch.default ? branch.id : "";
+}
+
+function replyAddress(branch) {
+  return branch?.sender.email || process.env.EMAIL_USER;
+}
+
+// Tells the customer whether the date comes from their mileage or their service interval.
+function dueBasis(customer, language) {
+  const words = phrases(language);
+  if (customer["Due Trigger"] === "MILEAGE") {
+    const kmInterval = parseKm(customer["Service km Interval"]);
+    const dueKm = dueOdometer(customer);
+    return words.byMileage(kmInterval.toLocaleString("en-NG"), dueKm ? dueKm.toLocaleString("en-NG") : "");
+  }
+  return words.byTime(customer["Interval Applied"]);
+}
@@ -0,0 +1,192 @@
+import { DateTime } from "luxon";
+import { createBranchStorage } from "./branches.js";
+import { loadCadence, parseHistory } from "./cadence.js";
+import { messageKind, readOutbox, splitReminders } from "./outbox.js";
+import { parseDate, validateCustomers } from "./validation.js";
+import {
+  CALL_FLAG,
+  DATA_FLAG,
+  SHEET_NAMES,
+  dueDateOf,
+  ensureColumns,
+  fetchSheetRows,
+  processCustomers,
+  requiredColumnsFor,
+} from "./master.js";
+
+// ==== REPORTING ====
+// Read-only views for /api/stats, /api/customers/due and /api/dashboard. They
+// never write and don't log per row. Due dates and Manual Contact flags are
+// worked out the way a run does, so they match the next run rather than
+// whatever the last run left in the sheet.
+// Returns { header, customers }; header is the Master's plus any missing required columns.
+async function loadCustomersForReport(storage) {
+  const { rows, header } = await fetchSheetRows(storage, SHEET_NAMES.MASTER);
+  const { header: ensuredHeader } = ensureColumns(header, requiredColumnsFor(header));
+  const customers = processCustomers(rows, ensuredHeader, { quiet: true });
+  const { issues, cleaned } = validateCustomers(customers);
+  const invalidRows = new Set(issues.filter(i => i.severity === "ERROR").map(i => i.row));
+  const lastStep = loadCadence().at(-1);
+  customers.forEach((customer, index) => {
+    Object.assign(customer, cleaned[index], { row: index + 2 });
+    if (customer["Manual Contact"]) return;
+    if (invalidRows.has(customer.row)) {
+      customer["Manual Contact"] = DATA_FLAG;
+      return;
+    }
+    // The run flags a subscribed vehicle once the last cadence step for its current due date went out
+    const history = parseHistory(customer["Reminder History"]);
+    const unsubscribed = ["UNSUBSCRIBED", "NOT SUBSCRIBED"].includes((customer["Subscription"] || "").toUpperCase());
+    if (!unsubscribed && history.sent[lastStep] && history.dueDate === dueDateOf(customer)?.toISODate()) {
+      customer["Manual Contact"] = CALL_FLAG;
+    }
+  });
+  return { header: ensuredHeader, customers };
+}
+
+export async function getStats(storage = createBranchStorage(), { weeks = 8 } = {}) {
+  const customers = (await loadCustomersForReport(storage)).customers.filter(c => c["Name"] || c["Veh. Reg. No."]);
+  const today = DateTime.now().startOf("day");
+  const thisWeek = today.startOf("week");
+
+  // Overdue and upcoming due dates per week (Monday start), from `weeks` back to `weeks` ahead;
+  // anything further out is counted in the totals only
+  const dueByWeek = [];
+  for (let w = -weeks; w <= weeks; w++) {
+    dueByWeek.push({ weekStart: thisWeek.plus({ weeks: w }).toISODate(), overdue: 0, upcoming: 0 });
+  }
+  let overdueTotal = 0, upcomingTotal = 0;
+  for (const customer of customers) {
+    const due = dueDateOf(customer);
+    if (!due) continue;
+    const overdue = due < today;
+    if (overdue) overdueTotal++;
+    else upcomingTotal++;
+    const bucket = dueByWeek[Math.floor(due.startOf("week").diff(thisWeek, "weeks").weeks) + weeks];
+    if (bucket) bucket[overdue ? "overdue" : "upcoming"]++;
+  }
+
+  // Runs per day from the Status Log (Timestamp | Processed | Sent | Failed | Notes | Branch)
+  const logRows = await storage.getValues(SHEET_NAMES.STATUS_LOG);
+  const since = today.minus({ weeks });
+  const byDay = new Map();
+  for (const [timestamp, , sent, failed] of logRows) {
+    const at = DateTime.fromISO(String(timestamp || ""));
+    if (!at.isValid || at < since) continue;
+    const day = at.toISODate();
+    const entry = byDay.get(day) || { date: day, runs: 0, sent: 0, failed: 0 };
+    entry.runs++;
+    entry.sent += Number(sent) || 0;
+    entry.failed += Number(failed) || 0;
+    byDay.set(day, entry);
+  }
+  const sendTrend = [...byDay.values()].sort((a, b) => a.date.localeCompare(b.date));
+
+  const conversion = await conversionStats(storage, customers, since);
+  const manualContact = {};
+  for (const customer of customers) {
+    const flag = customer["Manual Contact"];
+    if (flag) manualContact[flag] = (manualContact[flag] || 0) + 1;
+  }
+
+  return {
+    generatedAt: DateTime.now().toISO({ suppressMilliseconds: true }),
+    customers: customers.length,
+    overdue: overdueTotal,
+    upcoming: upcomingTotal,
+    dueByWeek,
+    sendTrend,
+    conversion,
+    manualContact,
+    missingContact: customers
+      .filter(c => c["Manual Contact"] === "MISSING CONTACT")
+      .map(c => ({ row: c.row, customerId: c["Customer ID"], name: c["Name"], vehicle: c["Veh. Reg. No."] })),
+  };
+}
+
+// Conversion from the Outbox, which keeps every cycle (until OUTBOX_KEEP_DAYS):
+// a reminder cycle (one vehicle, one due date) counts once its first service
+// reminder went out after `since`, and is converted when the vehicle's Last
+// Visit is on or after that first reminder. Only the latest cycle's visit is
+// known, so the average days to a visit covers each vehicle's latest converted
+// cycle.
+async function conversionStats(storage, customers, since) {
+  const firstSent = new Map();
+  for (const message of await readOutbox(storage, SHEET_NAMES.OUTBOX)) {
+    const keys = splitReminders(message["Reminders"]);
+    const sentAt = DateTime.fromISO(message["Sent At"]);
+    if (message["Status"] !== "SENT" || messageKind(keys) !== "reminder" || !sentAt.isValid) continue;
+    for (const key of keys) {
+      const [customerId, dueDate] = key.split(":");
+      if (!customerId || !dueDate) continue;
+      const cycle = `${customerId}:${dueDate}`;
+      if (!firstSent.has(cycle) || sentAt < firstSent.get(cycle).sentAt) firstSent.set(cycle, { customerId, dueDate, sentAt });
+    }
+  }
+
+  const byId = new Map(customers.filter(c => c["Customer ID"]).map(c => [c["Customer ID"], c]));
+  const latestCycle = new Map();
+  let reminded = 0, converted = 0, daysToVisit = 0, timed = 0;
+  for (const cycle of firstSent.values()) {
+    if (cycle.sentAt < since) continue;
+    reminded++;
+    const customer = byId.get(cycle.customerId);
+    const lastVisit = customer && parseDate(customer["Last Visit"]);
+    if (!lastVisit || lastVisit < cycle.sentAt.startOf("day")) continue;
+    converted++;
+    const latest = latestCycle.get(cycle.customerId);
+    if (!latest || cycle.dueDate > latest.dueDate) latestCycle.set(cycle.customerId, { ...cycle, lastVisit });
+  }
+  for (const { sentAt, lastVisit } of latestCycle.values()) {
+    daysToVisit += lastVisit.diff(sentAt.startOf("day"), "days").days;
+    timed++;
+  }
+
+  return {
+    reminded,
+    converted,
+    rate: reminded ? Math.round((converted / reminded) * 1000) / 10 : null,
+    averageDaysToVisit: timed ? Math.round(daysToVisit / timed) : null,
+  };
+}
+
+// Vehicles due within `days` from today, overdue ones first.
+export async function getDueCustomers(storage = createBranchStorage(), { days = 14, includeOverdue = true } = {}) {
+  const today = DateTime.now().startOf("day");
+  return (await loadCustomersForReport(storage)).customers
+    .map(customer => ({ customer, due: dueDateOf(customer) }))
+    .filter(({ due }) => due && due <= today.plus({ days }) && (includeOverdue || due >= today))
+    .sort((a, b) => a.due - b.due)
+    .map(({ customer, due }) => {
+      const daysUntilDue = Math.round(due.diff(today, "days").days);
+      return {
+        row: customer.row,
+        customerId: customer["Customer ID"],
+        name: customer["Name"],
+        vehicle: customer["Veh. Reg. No."],
+        email: customer["Email Add."],
+        phone: customer["Phone Number"],
+        dueDate: due.toISODate(),
+        daysUntilDue,
+        status: daysUntilDue < 0 ? "OVERDUE" : daysUntilDue === 0 ? "DUE_TODAY" : "UPCOMING",
+        bookedFor: customer["Booked For"],
+        manualContact: customer["Manual Contact"],
+        reminderHistory: customer["Reminder History"],
+      };
+    });
+}
+
+// Used by `cli.js export`: every Master row with the computed columns filled in,
+// as [header, ...rows] of strings.
+export async function exportCustomers(storage = createBranchStorage()) {
+  const { header, customers } = await loadCustomersForReport(storage);
+  return [header, ...customers.map(customer => header.map(col => customer[col] || ""))];
+}
+
+// Used by `cli.js validate`: the Data Issues a run would list, without writing them.
+export async function validateMaster(storage = createBranchStorage()) {
+  const { rows, header } = await fetchSheetRows(storage, SHEET_NAMES.MASTER);
+  const { header: ensuredHeader } = ensureColumns(header, requiredColumnsFor(header));
+  const customers = processCustomers(rows, ensuredHeader);
+  return { checked: customers.length, issues: validateCustomers(customers).issues };
+}
@@ -0,0 +1,123 @@
+import { DateTime } from "luxon";
+import { createBranchStorage, loadBranches } from "./branches.js";
+import { acquireLock } from "./lock.js";
+import { log } from "./log.js";
+import { loadOutbox, loadSendConfig, messageId, reminderKey } from "./outbox.js";
+import { loadTemplates } from "./templates.js";
+import { validateCustomers } from "./validation.js";
+import {
+  BOUNCE_FLAG,
+  SHEET_NAMES,
+  appendSheetRow,
+  dueDateOf,
+  ensureColumns,
+  fetchSheetRows,
+  findRowByKey,
+  processCustomers,
+  requiredColumnsFor,
+  updateSheetHeader,
+} from "./master.js";
+import {
+  REMINDER_TYPES,
+  attemptSend,
+  createChannels,
+  reminderType,
+  renderReminder,
+  resolveChannel,
+} from "./reminders.js";
+
+// ==== MANUAL RESEND ====
+// Used by `cli.js send --customer <id>`. Sends the reminder the customer is due
+// now, even if the cadence step already went out, through the Outbox. The
+// last-sent columns are updated but not Reminder History, so the cadence
+// carries on as before. `branch` is the branch `storage` holds (the first by
+// default). Holds the Sync Lock, like a run, since it writes the Outbox, the
+// Master and the Status Log too; a run that starts meanwhile waits for it
+// (SYNC_LOCK_WAIT_SECONDS). Returns { ok: false, error } or
+// { ok: true, name, vehicle, channel, to, emailType, language }.
+export async function resendReminder(storage, key, { branch = loadBranches()[0], channels = createChannels({ branch }) } = {}) {
+  if (!storage) storage = createBranchStorage(branch);
+  const lock = await acquireLock(storage, SHEET_NAMES.SYNC_LOCK);
+  if (!lock.acquired) {
+    return { ok: false, error: `A run holds the lock (since ${lock.heldBy?.lockedAt || "just now"}) - try again shortly` };
+  }
+  try {
+    return await resend(storage, key, branch, channels);
+  } finally {
+    await lock.release();
+  }
+}
+
+async function resend(storage, key, branch, channels) {
+  const sheetName = SHEET_NAMES.MASTER;
+  const { header, rows } = await fetchSheetRows(storage, sheetName);
+  const { header: ensuredHeader, changed } = ensureColumns(header, requiredColumnsFor(header));
+  if (changed) await updateSheetHeader(storage, sheetName, ensuredHeader);
+  const idx = Object.fromEntries(ensuredHeader.map((h, i) => [h, i]));
+  const rowIndex = findRowByKey(rows, idx, key);
+  if (rowIndex === -1) return { ok: false, error: "Customer not found" };
+
+  const customers = processCustomers(rows, ensuredHeader);
+  const { issues, cleaned } = validateCustomers(customers);
+  const customer = Object.assign(customers[rowIndex], cleaned[rowIndex]);
+  const errors = issues.filter(i => i.row === rowIndex + 2 && i.severity === "ERROR");
+  if (errors.length > 0) {
+    return { ok: false, error: `Fix the Master row first: ${errors.map(i => `${i.column} - ${i.issue}`).join("; ")}` };
+  }
+
+  const subscription = (customer["Subscription"] || "").toUpperCase();
+  if (subscription === "UNSUBSCRIBED" || subscription === "NOT SUBSCRIBED") {
+    return { ok: false, error: `Subscription is ${subscription}` };
+  }
+  if (customer["Manual Contact"] === "MISSING CONTACT" || customer["Manual Contact"] === BOUNCE_FLAG) {
+    return { ok: false, error: `Manual Contact is ${customer["Manual Contact"]}` };
+  }
+  const channel = resolveChannel(customer, channels);
+  if (!channel) return { ok: false, error: "No usable email address or phone number" };
+  const due = dueDateOf(customer);
+  if (!due) return { ok: false, error: "No Next Reminder Date (Last Visit missing or unreadable)" };
+
+  const today = DateTime.now().startOf("day");
+  const daysUntilDue = Math.round(due.diff(today, "days").days);
+  const emailType = reminderType(daysUntilDue);
+  const templates = await loadTemplates({
+    types: REMINDER_TYPES,
+    columns: ensuredHeader,
+    storage,
+    sheetName: SHEET_NAMES.TEMPLATES,
+    branding: branch.branding,
+  });
+  const template = renderReminder(templates, emailType, customer, daysUntilDue, branch);
+  const to = channels[channel].address(customer);
+
+  const outbox = await loadOutbox(storage, SHEET_NAMES.OUTBOX);
+  const now = DateTime.now().toISO({ suppressMilliseconds: true });
+  const reminders = [reminderKey(customer["Customer ID"], due.toISODate(), `resend@${now}`)];
+  const id = messageId(channel, to, reminders);
+  await outbox.enqueue([{ id, channel, to, reminders, subject: channel === "EMAIL" ? template.subject : "" }]);
+  const result = await attemptSend(outbox, id, loadSendConfig(), () =>
+    channels[channel].send(to, template, { customerIds: [customer["Customer ID"]] })
+  );
+  for (const ch of Object.values(channels)) ch.close?.();
+  if (!result.ok) return { ok: false, error: result.error.message };
+
+  const { lastSentColumn, typeColumn } = channels[channel];
+  const cells = [
+    { row: rowIndex + 2, column: idx[lastSentColumn], value: today.toISODate() },
+    { row: rowIndex + 2, column: idx[typeColumn], value: emailType },
+  ];
+  if (idx["Language Used"] !== undefined) {
+    cells.push({ row: rowIndex + 2, column: idx["Language Used"], value: template.language });
+  }
+  if (channel === "EMAIL") {
+    cells.push({ row: rowIndex + 2, column: idx["Delivery Status"], value: "SENT" });
+    cells.push({ row: rowIndex + 2, column: idx["Delivery Updated At"], value: now });
+  }
+  await storage.updateCells(sheetName, cells);
+  await appendSheetRow(storage, SHEET_NAMES.STATUS_LOG, [
+    now, 0, 1, 0, `Manual resend: ${emailType} to ${customer["Name"]} (${customer["Customer ID"]}) by ${channel}`, branch.id,
+  ]);
+
+  log(`📨 Resent ${emailType} to ${customer["Name"]} (${to}) by ${channel}`);
+  return { ok: true, name: customer["Name"], vehicle: customer["Veh. Reg. No."], channel, to, emailType, language: template.language };
+}
@@ -0,0 +1,102 @@
+import { log } from "./log.js";
+
+// ==== SERVICE SCHEDULE ====
+// ENV VARS: DEFAULT_SERVICE_INTERVAL (e.g. "3m"), SERVICE_PLANS (JSON map of plan name -> interval,
+// e.g. {"GOLD": "6m", "FLEET": "1m"})
+//
+// Intervals are written as a number and a unit: "45d", "2w", "3m", "1y"
+// (longer spellings such as "6 months" work too).
+
+const UNITS = {
+  d: "days", day: "days", days: "days",
+  w: "weeks", wk: "weeks", week: "weeks", weeks: "weeks",
+  m: "months", mo: "months", month: "months", months: "months",
+  y: "years", yr: "years", year: "years", years: "years",
+};
+
+export const DEFAULT_PLANS = {
+  AMC: "3m",
+  FLEET: "1m",
+};
+
+export function parseInterval(str) {
+  const match = String(str || "").trim().toLowerCase().match(/^(\d+)\s*([a-z]+)$/);
+  if (!match) return null;
+  const amount = Number(match[1]);
+  const unit = UNITS[match[2]];
+  if (!unit || amount <= 0) return null;
+  return { [unit]: amount };
+}
+
+export function describeInterval(duration) {
+  const [unit, amount] = Object.entries(duration)[0];
+  return `${amount} ${amount === 1 ? unit.slice(0, -1) : unit}`;
+}
+
+export function loadServicePlans(env = process.env) {
+  let plans = DEFAULT_PLANS;
+  if (env.SERVICE_PLANS) {
+    try {
+      plans = { ...DEFAULT_PLANS, ...JSON.parse(env.SERVICE_PLANS) };
+    } catch (e) {
+      throw new Error("SERVICE_PLANS is not valid JSON: " + e.message);
+    }
+  }
+  return Object.fromEntries(
+    Object.entries(plans).map(([name, interval]) => {
+      const duration = parseInterval(interval);
+      if (!duration) throw new Error(`Invalid interval "${interval}" for plan ${name} in SERVICE_PLANS`);
+      return [name.trim().toUpperCase(), duration];
+    })
+  );
+}
+
+export function loadDefaultInterval(env = process.env) {
+  const duration = parseInterval(env.DEFAULT_SERVICE_INTERVAL || "3m");
+  if (!duration) throw new Error("Invalid DEFAULT_SERVICE_INTERVAL: " + env.DEFAULT_SERVICE_INTERVAL);
+  return duration;
+}
+
+// Picks the interval for one customer: their own "Service Interval" column first,
+// then the interval of their "Plan", then the default.
+// Returns { duration, label, source }: label reads like "6 months", source like "Plan GOLD".
+export function resolveServiceInterval(customer, plans, defaultInterval) {
+  const own = (customer["Service Interval"] || "").trim();
+  if (own) {
+    const duration = parseInterval(own);
+    if (duration) return { duration, label: describeInterval(duration), source: "Service Interval" };
+    log(`   ⚠️  Unreadable Service Interval "${own}" for ${customer["Name"]} - ignoring`);
+  }
+
+  const plan = (customer["Plan"] || "").trim().toUpperCase();
+  if (plan) {
+    if (plans[plan]) return { duration: plans[plan], label: describeInterval(plans[plan]), source: `Plan ${plan}` };
+    log(`   ⚠️  Unknown Plan "${plan}" for ${customer["Name"]} - using default interval`);
+  }
+
+  return { duration: defaultInterval, label: describeInterval(defaultInterval), source: "default" };
+}
+
+// ==== MILEAGE ====
+// With "Avg km/day" and "Service km Interval" filled in, the service falls due after
+// (km interval / km per day) days. "Last Odometer" is only used to say at what reading.
+// Returns { date, dueOdometer } or null when the mileage columns are missing or unreadable.
+export function predictMileageDue(customer, lastVisit) {
+  const kmPerDay = parseKm(customer["Avg km/day"]);
+  const kmInterval = parseKm(customer["Service km Interval"]);
+  if (!kmPerDay || !kmInterval) return null;
+
+  const days = Math.ceil(kmInterval / kmPerDay);
+  return { date: lastVisit.plus({ days }), dueOdometer: dueOdometer(customer) };
+}
+
+export function dueOdometer(customer) {
+  const lastOdometer = parseKm(customer["Last Odometer"]);
+  const kmInterval = parseKm(customer["Service km Interval"]);
+  return lastOdometer && kmInterval ? lastOdometer + kmInterval : null;
+}
+
+export function parseKm(value) {
+  const n = Number(String(value || "").replace(/,/g, "").replace(/\s*km$/i, "").trim());
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
@@ -0,0 +1,366 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { google } from "googleapis";
+
+// ==== STORAGE ADAPTERS ====
+// Every backend exposes the same small surface, modelled on the Sheets
+// values API so mainSync doesn't care where the tabs live:
+//
+//   getValues(sheetName)                  -> whole tab as rows of strings, header first
+//   updateValues(sheetName, startRow, values) -> overwrite cells from column A of 1-based startRow
+//   updateCells(sheetName, cells)         -> write single cells: [{ row (1-based), column (0-based), value }]
+//   appendRow(sheetName, row)             -> add a row after the last non-empty one
+//   clearValues(sheetName)                -> empty the tab, keeping the tab itself
+//   ensureSheet(sheetName)                -> create the tab if it doesn't exist yet
+//   listSheets()                          -> names of the existing tabs
+//   deleteSheet(sheetName)                -> remove the tab (nothing happens if it doesn't exist)
+//
+// A tab that doesn't exist reads as empty.
+
+export function createStorageFromEnv(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || "sheets").toLowerCase();
+
+  if (backend === "sheets") {
+    return createGoogleSheetsStorage({
+      spreadsheetId: env.GOOGLE_SHEET_ID,
+      clientEmail: env.GOOGLE_CLIENT_EMAIL,
+      privateKey: env.GOOGLE_PRIVATE_KEY,
+      projectId: env.GOOGLE_PROJECT_ID,
+    });
+  }
+  if (backend === "file") {
+    if (!env.STORAGE_PATH) throw new Error("Missing STORAGE_PATH env variable for file storage");
+    return createFileStorage(env.STORAGE_PATH);
+  }
+  if (backend === "memory") {
+    return createMemoryStorage();
+  }
+  throw new Error("Unknown STORAGE_BACKEND: " + env.STORAGE_BACKEND);
+}
+
+// ---- Google Sheets ----
+export function createGoogleSheetsStorage({ spreadsheetId, clientEmail, privateKey, projectId, sheets }) {
+  if (!spreadsheetId) throw new Error("Missing GOOGLE_SHEET_ID env variable");
+
+  let client = sheets || null;
+  let knownTitles = null;
+  let sheetIds = null;
+  function getClient() {
+    if (!client) {
+      const auth = new google.auth.GoogleAuth({
+        credentials: {
+          client_email: clientEmail,
+          private_key: (privateKey || "").replace(/\\n/g, "\n"),
+          project_id: projectId,
+        },
+        scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+      });
+      client = google.sheets({ version: "v4", auth });
+    }
+    return client;
+  }
+
+  return {
+    name: "sheets",
+
+    async getValues(sheetName) {
+      let res;
+      try {
+        res = await getClient().spreadsheets.values.get({
+          spreadsheetId,
+          range: sheetName,
+          majorDimension: "ROWS",
+        });
+      } catch (e) {
+        if (isMissingTabError(e)) return [];
+        throw e;
+      }
+      return res.data.values || [];
+    },
+
+    async updateValues(sheetName, startRow, values) {
+      await getClient().spreadsheets.values.update({
+        spreadsheetId,
+        range: `${sheetName}!A${startRow}`,
+        valueInputOption: "RAW",
+        requestBody: { values },
+      });
+    },
+
+    async updateCells(sheetName, cells) {
+      if (cells.length === 0) return;
+      await getClient().spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        requestBody: {
+          valueInputOption: "RAW",
+          data: cells.map(({ row, column, value }) => ({
+            range: `${sheetName}!${columnLetter(column)}${row}`,
+            values: [[cellToString(value)]],
+          })),
+        },
+      });
+    },
+
+    async appendRow(sheetName, row) {
+      await getClient().spreadsheets.values.append({
+        spreadsheetId,
+        range: sheetName,
+        valueInputOption: "RAW",
+        insertDataOption: "INSERT_ROWS",
+        requestBody: { values: [row] },
+      });
+    },
+
+    async clearValues(sheetName) {
+      await getClient().spreadsheets.values.clear({
+        spreadsheetId,
+        range: sheetName,
+      });
+    },
+
+    async ensureSheet(sheetName) {
+      if (!knownTitles) await loadTitles();
+      if (knownTitles.has(sheetName)) return;
+      const res = await getClient().spreadsheets.batchUpdate({
+        spreadsheetId,
+        requestBody: { requests: [{ addSheet: { properties: { title: sheetName } } }] },
+      });
+      knownTitles.add(sheetName);
+      const added = res.data.replies?.[0]?.addSheet?.properties;
+      if (added) sheetIds.set(sheetName, added.sheetId);
+    },
+
+    async listSheets() {
+      await loadTitles();
+      return [...knownTitles];
+    },
+
+    async deleteSheet(sheetName) {
+      if (!knownTitles || !sheetIds.has(sheetName)) await loadTitles();
+      if (!sheetIds.has(sheetName)) return;
+      await getClient().spreadsheets.batchUpdate({
+        spreadsheetId,
+        requestBody: { requests: [{ deleteSheet: { sheetId: sheetIds.get(sheetName) } }] },
+      });
+      knownTitles.delete(sheetName);
+      sheetIds.delete(sheetName);
+    },
+  };
+
+  async function loadTitles() {
+    const res = await getClient().spreadsheets.get({
+      spreadsheetId,
+      fields: "sheets.properties(sheetId,title)",
+    });
+    const properties = (res.data.sheets || []).map(s => s.properties);
+    knownTitles = new Set(properties.map(p => p.title));
+    sheetIds = new Map(properties.map(p => [p.title, p.sheetId]));
+  }
+}
+
+// The values API answers a range on a tab that doesn't exist with
+// 400 "Unable to parse range: <tab>"
+function isMissingTabError(e) {
+  const status = Number(e.code ?? e.status ?? e.response?.status);
+  return status === 400 && /unable to parse range/i.test(e.message || "");
+}
+
+// ---- In-memory ----
+// `tabs` is exposed so callers (and rehearsal scripts) can inspect the result of a run.
+export function createMemoryStorage(initialTabs = {}) {
+  const tabs = {};
+  for (const [name, rows] of Object.entries(initialTabs)) {
+    tabs[name] = rows.map(row => row.map(cellToString));
+  }
+  return { name: "memory", tabs, ...tabOperations(() => tabs, async () => {}) };
+}
+
+// ---- Local files ----
+// A path ending in .json is one file holding { "<tab name>": [[...], ...] }.
+// Anything else is a directory with one "<tab name>.csv" per tab.
+export function createFileStorage(filePath) {
+  const isJson = filePath.toLowerCase().endsWith(".json");
+  let tabs = null;
+
+  async function load() {
+    if (tabs) return tabs;
+    tabs = isJson ? await readJsonTabs(filePath) : await readCsvTabs(filePath);
+    return tabs;
+  }
+
+  // A tab that is gone from `tabs` was deleted
+  async function save(sheetName) {
+    if (isJson) {
+      await fs.writeFile(filePath, JSON.stringify(tabs, null, 2) + "\n");
+    } else if (tabs[sheetName]) {
+      await fs.mkdir(filePath, { recursive: true });
+      await fs.writeFile(path.join(filePath, `${sheetName}.csv`), toCsv(tabs[sheetName]));
+    } else {
+      await fs.rm(path.join(filePath, `${sheetName}.csv`), { force: true });
+    }
+  }
+
+  return { name: "file", path: filePath, ...tabOperations(load, save) };
+}
+
+function tabOperations(load, save) {
+  return {
+    async getValues(sheetName) {
+      const tabs = await load();
+      return (tabs[sheetName] || []).map(row => [...row]);
+    },
+
+    async updateValues(sheetName, startRow, values) {
+      const tabs = await load();
+      const rows = tabs[sheetName] || (tabs[sheetName] = []);
+      values.forEach((row, i) => {
+        const r = startRow - 1 + i;
+        while (rows.length <= r) rows.push([]);
+        row.forEach((cell, c) => {
+          while (rows[r].length < c) rows[r].push("");
+          rows[r][c] = cellToString(cell);
+        });
+      });
+      await save(sheetName);
+    },
+
+    async updateCells(sheetName, cells) {
+      if (cells.length === 0) return;
+      const tabs = await load();
+      const rows = tabs[sheetName] || (tabs[sheetName] = []);
+      for (const { row, column, value } of cells) {
+        while (rows.length < row) rows.push([]);
+        while (rows[row - 1].length < column) rows[row - 1].push("");
+        rows[row - 1][column] = cellToString(value);
+      }
+      await save(sheetName);
+    },
+
+    async appendRow(sheetName, row) {
+      const tabs = await load();
+      const rows = tabs[sheetName] || (tabs[sheetName] = []);
+      while (rows.length > 0 && rows[rows.length - 1].every(cell => cell === "")) rows.pop();
+      rows.push(row.map(cellToString));
+      await save(sheetName);
+    },
+
+    async clearValues(sheetName) {
+      const tabs = await load();
+      tabs[sheetName] = [];
+      await save(sheetName);
+    },
+
+    async ensureSheet(sheetName) {
+      const tabs = await load();
+      if (tabs[sheetName]) return;
+      tabs[sheetName] = [];
+      await save(sheetName);
+    },
+
+    async listSheets() {
+      return Object.keys(await load());
+    },
+
+    async deleteSheet(sheetName) {
+      const tabs = await load();
+      if (!tabs[sheetName]) return;
+      delete tabs[sheetName];
+      await save(sheetName);
+    },
+  };
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+export function columnLetter(index) {
+  let letters = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+function cellToString(value) {
+  return value === null || value === undefined ? "" : String(value);
+}
+
+async function readJsonTabs(filePath) {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return {};
+    throw e;
+  }
+  const parsed = JSON.parse(raw);
+  const tabs = {};
+  for (const [name, rows] of Object.entries(parsed)) {
+    tabs[name] = rows.map(row => row.map(cellToString));
+  }
+  return tabs;
+}
+
+async function readCsvTabs(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir);
+  } catch (e) {
+    if (e.code === "ENOENT") return {};
+    throw e;
+  }
+  const tabs = {};
+  for (const entry of entries) {
+    if (!entry.toLowerCase().endsWith(".csv")) continue;
+    const raw = await fs.readFile(path.join(dir, entry), "utf8");
+    tabs[entry.slice(0, -4)] = parseCsv(raw);
+  }
+  return tabs;
+}
+
+// ==== CSV ====
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+export function toCsv(rows = []) {
+  return rows
+    .map(row => row.map(cell => {
+      const value = cellToString(cell);
+      return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }).join(","))
+    .join("\n") + "\n";
+}
@@ -0,0 +1,238 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { DEFAULT_LANGUAGE, LANGUAGES, parseLanguage } from "./languages.js";
+
+// ==== REMINDER TEMPLATES ====
+// ENV VARS: TEMPLATES_DIR, LOGO_URL
+//
+// Each reminder type has a folder under templates/ holding subject.txt, text.txt,
+// sms.txt and (optionally) body.html; templates/layout.html wraps every HTML body.
+// A row on the "Templates" tab (Type | Language | Subject | Text | HTML | SMS)
+// overrides the files for that type, one non-empty cell at a time, so wording can
+// change without a redeploy.
+//
+// Translations (lib/languages.js) live in templates/<code>/, laid out the same
+// way; without a layout.html there they use the English one. A type with no
+// translation folder and no Templates row for the language goes out in English,
+// and a translated part that is missing comes from the English template.
+//
+// Placeholders:
+//   {{Column}}          value of any Master column, or one of TEMPLATE_VARIABLES
+//   {{Column|Fallback}} Fallback when the value is empty
+//   {{{Column}}}        not HTML-escaped (for the layout's Logo and Content)
+// Unknown placeholders fail at load time, before anything is sent.
+
+const DEFAULT_DIR = fileURLToPath(new URL("../templates/", import.meta.url));
+
+export const TEMPLATE_SHEET_HEADER = ["Type", "Language", "Subject", "Text", "HTML", "SMS"];
+
+const PARTS = {
+  subject: { file: "subject.txt", column: "Subject", required: true },
+  text: { file: "text.txt", column: "Text", required: true },
+  html: { file: "body.html", column: "HTML", required: false },
+  sms: { file: "sms.txt", column: "SMS", required: true },
+};
+
+// Computed per message on top of the Master columns
+export const TEMPLATE_VARIABLES = [
+  "Days Until Due",
+  "Days Overdue",
+  "Due Basis",
+  "Unsubscribe Link",
+  "Booking Link",
+  "Vehicle Count",  // MULTI_VEHICLE only: how many vehicles the message covers
+  "Vehicles",       //   one-line list for subjects and SMS
+  "Vehicle List",   //   one line per vehicle for the text body, each with its booking link
+  "Vehicle Table",  //   <tr> rows for the HTML body (use {{{Vehicle Table}}}), last cell a booking link
+  "Days Until Expiry", // AMC renewals only: whole days until AMC End
+  "Grace Ends",        //   last day a renewal carries on from the old contract
+  "Company Name",
+  "Service Team",
+  "Branch Name",
+  "Branch Phone",
+  "Logo",
+];
+
+// Defaults; each branch in lib/branches.js can set its own
+export const BRANDING = {
+  "Company Name": "Royal Gem AutoCare Nigeria Limited",
+  "Service Team": "Royal Gem Auto Care Service Team",
+  "Branch Name": "Royal Gem AutoCare",
+  "Branch Phone": "",
+};
+
+// {{Name}}, {{Name|Fallback}} or {{{Name}}}; group 1 and 4 are the extra braces of the raw form
+const PLACEHOLDER = /\{\{(\{)?\s*([^{}|]+?)\s*(?:\|([^{}]*))?\}\}(\})?/g;
+
+export async function loadTemplates({
+  types,
+  columns,
+  storage,
+  sheetName = "Templates",
+  dir,
+  branding = BRANDING,
+  env = process.env,
+}) {
+  const templatesDir = dir || env.TEMPLATES_DIR || DEFAULT_DIR;
+  const sheetOverrides = storage ? await readTemplateSheet(storage, sheetName) : {};
+  const known = new Set([...columns, ...TEMPLATE_VARIABLES]);
+  const problems = [];
+  const templates = {}; // language -> type -> parts
+  const layouts = {};
+
+  for (const language of Object.keys(LANGUAGES)) {
+    const translated = language !== DEFAULT_LANGUAGE;
+    const dir = translated ? path.join(templatesDir, language) : templatesDir;
+    const prefix = translated ? `${language}/` : "";
+    templates[language] = {};
+
+    for (const type of types) {
+      const overrides = sheetOverrides[language]?.[type] || {};
+      if (translated && Object.keys(overrides).length === 0 && !(await isDirectory(path.join(dir, type)))) continue;
+      templates[language][type] = {};
+      for (const [part, spec] of Object.entries(PARTS)) {
+        const override = overrides[spec.column];
+        const source = override
+          ? `${sheetName} tab (${type}${translated ? ` ${language}` : ""} ${spec.column})`
+          : `${prefix}${type}/${spec.file}`;
+        const body = override || await readOptional(path.join(dir, type, spec.file));
+
+        if (!body) {
+          // A translation with only some parts (say a Templates row with just
+          // the Subject) takes the rest from English
+          const english = templates[DEFAULT_LANGUAGE][type]?.[part];
+          if (translated && spec.required && english) templates[language][type][part] = english;
+          else if (spec.required) problems.push(`${source}: missing`);
+          continue;
+        }
+        for (const name of placeholdersIn(body)) {
+          if (!known.has(name)) problems.push(`${source}: unknown placeholder {{${name}}}`);
+        }
+        templates[language][type][part] = part === "html" ? body : body.trim();
+      }
+    }
+
+    const layout = await readOptional(path.join(dir, "layout.html"));
+    if (!layout) continue;
+    layouts[language] = layout;
+    for (const name of placeholdersIn(layout)) {
+      if (name !== "Content" && !known.has(name)) problems.push(`${prefix}layout.html: unknown placeholder {{${name}}}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid reminder templates:\n  - ${problems.join("\n  - ")}`);
+  }
+
+  const logoUrl = env.LOGO_URL || "";
+
+  return {
+    // The language a `type` message for someone who prefers `language` goes out in
+    languageFor(type, language = DEFAULT_LANGUAGE) {
+      return templates[language]?.[type] ? language : DEFAULT_LANGUAGE;
+    },
+
+    // vars holds the computed TEMPLATE_VARIABLES for this message. The result
+    // says which language was used.
+    render(type, customer, vars = {}, preferred = DEFAULT_LANGUAGE) {
+      const language = this.languageFor(type, preferred);
+      const template = templates[language][type];
+      if (!template) throw new Error(`No template loaded for ${type}`);
+      const layout = layouts[language] || layouts[DEFAULT_LANGUAGE] || "{{{Content}}}";
+
+      const values = {
+        ...customer,
+        ...branding,
+        Logo: logoUrl
+          ? `<img src="${escapeHtml(logoUrl)}" alt="${escapeHtml(branding["Company Name"])}">`
+          : escapeHtml(branding["Company Name"]),
+        ...vars,
+      };
+
+      const text = fill(template.text, values);
+      const content = template.html ? fill(template.html, values, escapeHtml) : textToHtml(text);
+      return {
+        subject: fill(template.subject, values),
+        text,
+        html: fill(layout, { ...values, Content: content }, escapeHtml),
+        sms: fill(template.sms, values),
+        language,
+      };
+    },
+  };
+}
+
+// The tab is optional: one that doesn't exist reads as empty (lib/storage.js)
+// and means there are no overrides.
+async function readTemplateSheet(storage, sheetName) {
+  const [header = [], ...rows] = await storage.getValues(sheetName);
+  if (header.length === 0) return {};
+  const idx = Object.fromEntries(header.map((h, i) => [h.trim(), i]));
+  if (idx["Type"] === undefined) {
+    throw new Error(`${sheetName} tab needs a "Type" column (${TEMPLATE_SHEET_HEADER.join(" | ")})`);
+  }
+
+  // language -> type -> column; rows with no Language are English
+  const overrides = {};
+  for (const row of rows) {
+    const type = (row[idx["Type"]] || "").trim().toUpperCase();
+    if (!type) continue;
+    const cell = idx["Language"] !== undefined ? row[idx["Language"]] || "" : "";
+    const language = parseLanguage(cell);
+    if (!language) throw new Error(`${sheetName} tab: unknown language "${cell.trim()}" for ${type}`);
+    overrides[language] ??= {};
+    overrides[language][type] = {};
+    for (const column of Object.values(PARTS).map(spec => spec.column)) {
+      const value = idx[column] !== undefined ? row[idx[column]] || "" : "";
+      if (value.trim()) overrides[language][type][column] = value;
+    }
+  }
+  return overrides;
+}
+
+async function readOptional(file) {
+  try {
+    return await fs.readFile(file, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return "";
+    throw e;
+  }
+}
+
+async function isDirectory(dir) {
+  try {
+    return (await fs.stat(dir)).isDirectory();
+  } catch (e) {
+    if (e.code === "ENOENT") return false;
+    throw e;
+  }
+}
+
+function placeholdersIn(body) {
+  return [...body.matchAll(PLACEHOLDER)].map(match => match[2]);
+}
+
+function fill(body, values, escape = v => v) {
+  return body.replace(PLACEHOLDER, (_, open, name, fallback, close) => {
+    const value = values[name];
+    const filled = value === undefined || value === null || value === "" ? (fallback ?? "") : String(value);
+    return open && close ? filled : escape(filled);
+  });
+}
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function textToHtml(text) {
+  return text
+    .split(/\n{2,}/)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br>")}</p>`)
+    .join("\n");
+}
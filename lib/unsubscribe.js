@@ -0,0 +1,37 @@
+import { DateTime } from "luxon";
+import { createBranchStorage } from "./branches.js";
+import { normalizePhone } from "./channels.js";
+import { log } from "./log.js";
+import { SHEET_NAMES, ensureColumns, fetchSheetRows, findRowByKey, updateSheetHeader } from "./master.js";
+
+// ==== UNSUBSCRIBE ====
+// Used by /api/unsubscribe. Only the two subscription cells of the matching row are written.
+export async function unsubscribeCustomer(storage = createBranchStorage(), key) {
+  const sheetName = SHEET_NAMES.MASTER;
+  const { header, rows } = await fetchSheetRows(storage, sheetName);
+  const { header: ensuredHeader, changed } = ensureColumns(header, ["Subscription", "Unsubscribed At"]);
+  if (changed) await updateSheetHeader(storage, sheetName, ensuredHeader);
+
+  const idx = Object.fromEntries(ensuredHeader.map((h, i) => [h, i]));
+  const rowIndex = findRowByKey(rows, idx, key);
+  if (rowIndex === -1) return { found: false };
+
+  const row = rows[rowIndex];
+  const name = row[idx["Name"]] || "";
+  if ((row[idx["Subscription"]] || "").trim().toUpperCase() === "UNSUBSCRIBED") {
+    return { found: true, alreadyUnsubscribed: true, name };
+  }
+
+  // Reminders for vehicles sharing an address are combined, so the link covers all of them
+  const contact = r => (r[idx["Email Add."]] || "").trim().toLowerCase() || normalizePhone(r[idx["Phone Number"]]);
+  const unsubscribedAt = DateTime.now().toISO({ suppressMilliseconds: true });
+  const cells = [];
+  rows.forEach((r, i) => {
+    if (i !== rowIndex && (!contact(row) || contact(r) !== contact(row))) return;
+    cells.push({ row: i + 2, column: idx["Subscription"], value: "UNSUBSCRIBED" });
+    cells.push({ row: i + 2, column: idx["Unsubscribed At"], value: unsubscribedAt });
+  });
+  await storage.updateCells(sheetName, cells);
+  log(`🚫 Unsubscribed ${name} (${key}), ${cells.length / 2} vehicle(s)`);
+  return { found: true, alreadyUnsubscribed: false, name };
+}
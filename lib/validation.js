@@ -0,0 +1,190 @@
+import { DateTime } from "luxon";
+import { normalizePhone } from "./channels.js";
+import { LANGUAGES, parseLanguage } from "./languages.js";
+
+// ==== MASTER DATA VALIDATION ====
+// Runs over the processed customers before any reminder goes out. Every problem
+// is listed on the "Data Issues" tab with its Master row number. ERROR issues
+// stop the row getting reminders until the front desk fixes it; WARNING issues
+// are only listed.
+
+export const DATA_ISSUES_HEADER = [
+  "Checked At",
+  "Row",
+  "Customer ID",
+  "Name",
+  "Column",
+  "Value",
+  "Severity",
+  "Issue",
+];
+
+const CHECKED_COLUMNS = ["Name", "Veh. Reg. No.", "Email Add.", "Phone Number", "Last Visit"];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[A-Za-z]{2,}$/;
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+// Current Nigerian plates: 3-letter area code, 3 digits, 2 letters (e.g. LND-123AA)
+const PLATE_PATTERN = /^([A-Z]{3})(\d{3})([A-Z]{2})$/;
+
+export function isValidEmail(email) {
+  return EMAIL_PATTERN.test(String(email || "").trim());
+}
+
+// E.164 form of the number, or "" if it can't be one. Nigerian numbers written
+// locally (0803..., 803...) get +234; Nigerian mobiles must have 10 digits after it.
+export function toE164(phone) {
+  const normalized = normalizePhone(phone);
+  if (!E164_PATTERN.test(normalized)) return "";
+  if (normalized.startsWith("+234") && normalized.length !== 14) return "";
+  return normalized;
+}
+
+// Upper-cases and collapses separators; standard plates come out as "LND-123AA".
+export function normalizePlate(plate) {
+  const raw = String(plate || "").trim().toUpperCase().replace(/\s+/g, " ");
+  const match = raw.replace(/[\s\-.]/g, "").match(PLATE_PATTERN);
+  return match ? { value: `${match[1]}-${match[2]}${match[3]}`, standard: true } : { value: raw, standard: false };
+}
+
+const DATE_FORMATS = [
+  "dd/MM/yyyy",
+  "MM/dd/yyyy",
+  "dd-MM-yyyy",
+  "MM-dd-yyyy",
+  "d/M/yyyy",
+  "d-M-yyyy",
+];
+
+// Reads a date cell from the Master: ISO (yyyy-MM-dd, with or without a time)
+// or day, month and year separated by "/" or "-". When both orders are valid
+// the day comes first; 04/15/2026 can only be month first. Returns a DateTime,
+// or null for anything else (dots, 4/15/2026, words). The run and the Data
+// Issues checks both read dates with this, so a date the run can't use is
+// always listed as an error.
+export function parseDate(str) {
+  const value = String(str ?? "").trim();
+  if (!value) return null;
+
+  let dt = DateTime.fromISO(value);
+  if (dt.isValid) return dt;
+
+  for (const format of DATE_FORMATS) {
+    dt = DateTime.fromFormat(value, format);
+    if (dt.isValid) return dt;
+  }
+
+  return null;
+}
+
+// Reads a "Last Visit" cell with parseDate. Returns { date, problem, ambiguous }
+// where problem is null, "ambiguous", "unreadable" or "future" (which outranks
+// "ambiguous"). 03/04/2025 is ambiguous because it is a valid date read
+// day-first and month-first; 13/04/2025 is not.
+export function checkVisitDate(str, today = DateTime.now().startOf("day")) {
+  const value = String(str || "").trim();
+  if (!value) return { date: null, problem: null, ambiguous: false };
+
+  const date = parseDate(value);
+  if (!date) return { date: null, problem: "unreadable", ambiguous: false };
+
+  let ambiguous = false;
+  const numeric = value.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  if (numeric) {
+    const [a, b, year] = numeric.slice(1).map(Number);
+    ambiguous = a !== b &&
+      DateTime.fromObject({ year, month: b, day: a }).isValid &&
+      DateTime.fromObject({ year, month: a, day: b }).isValid;
+  }
+
+  const problem = date.startOf("day") > today ? "future" : ambiguous ? "ambiguous" : null;
+  return { date, problem, ambiguous };
+}
+
+// The warning for an ambiguous date says how it was read, so the front desk can
+// tell whether the reminders will go out on the right day.
+function ambiguousDateIssue(date) {
+  return `Ambiguous date, read day first as ${date.toFormat("d MMMM yyyy")} - use yyyy-MM-dd if that's wrong`;
+}
+
+// Returns { issues, cleaned }: cleaned[i] holds normalized values for customers[i]
+// (only the fields that changed). Row numbers assume customers[i] came from Master
+// row i + 2, i.e. customers are in sheet order. Blank rows are ignored.
+export function validateCustomers(customers, { today = DateTime.now().startOf("day") } = {}) {
+  const issues = [];
+  const cleaned = customers.map(() => ({}));
+  const firstRowByPlate = {};
+
+  customers.forEach((customer, index) => {
+    const row = index + 2;
+    if (!CHECKED_COLUMNS.some(col => customer[col])) return;
+
+    const issue = (column, severity, text) => issues.push({
+      row,
+      customerId: customer["Customer ID"] || "",
+      name: customer["Name"] || "",
+      column,
+      value: customer[column] || "",
+      severity,
+      issue: text,
+    });
+
+    const email = customer["Email Add."];
+    if (email && !isValidEmail(email)) {
+      issue("Email Add.", "ERROR", "Not a valid email address");
+    }
+
+    const phone = customer["Phone Number"];
+    if (phone) {
+      const e164 = toE164(phone);
+      if (!e164) issue("Phone Number", "ERROR", "Not a valid phone number");
+      else if (e164 !== phone) cleaned[index]["Phone Number"] = e164;
+    }
+
+    const plate = customer["Veh. Reg. No."];
+    if (!plate) {
+      issue("Veh. Reg. No.", "WARNING", "Registration number missing");
+    } else {
+      const { value, standard } = normalizePlate(plate);
+      if (!standard) issue("Veh. Reg. No.", "WARNING", "Not in the standard ABC-123DE format");
+      if (value !== plate) cleaned[index]["Veh. Reg. No."] = value;
+
+      const key = value.replace(/[\s\-.]/g, "");
+      if (firstRowByPlate[key]) {
+        issue("Veh. Reg. No.", "ERROR", `Duplicate of row ${firstRowByPlate[key]} (same vehicle)`);
+      } else {
+        firstRowByPlate[key] = row;
+      }
+    }
+
+    const { date: lastVisit, problem } = checkVisitDate(customer["Last Visit"], today);
+    if (!customer["Last Visit"]) {
+      issue("Last Visit", "WARNING", "Last Visit missing - no reminder date can be worked out");
+    } else if (problem === "ambiguous") {
+      issue("Last Visit", "WARNING", ambiguousDateIssue(lastVisit));
+    } else if (problem === "unreadable") {
+      issue("Last Visit", "ERROR", "Not a date - use yyyy-MM-dd");
+    } else if (problem === "future") {
+      issue("Last Visit", "ERROR", "Date is in the future");
+    }
+
+    // Contract dates are usually in the future, so only unreadable ones are errors
+    const amc = {};
+    for (const column of ["AMC Start", "AMC End"]) {
+      const { date, problem, ambiguous } = checkVisitDate(customer[column], today);
+      if (problem === "unreadable") {
+        issue(column, "ERROR", "Not a date - use yyyy-MM-dd");
+        continue;
+      }
+      if (ambiguous) issue(column, "WARNING", ambiguousDateIssue(date));
+      amc[column] = date;
+    }
+    if (amc["AMC Start"] && amc["AMC End"] && amc["AMC Start"] >= amc["AMC End"]) {
+      issue("AMC End", "WARNING", "AMC End is not after AMC Start");
+    }
+
+    if (parseLanguage(customer["Language"]) === null) {
+      issue("Language", "WARNING", `Unknown language - reminders go in English (use ${Object.keys(LANGUAGES).join(", ")})`);
+    }
+  });
+
+  return { issues, cleaned };
+}
@@ -0,0 +1,142 @@
+import crypto from "node:crypto";
+import { DateTime } from "luxon";
+import { createBranchStorage } from "./branches.js";
+import { log } from "./log.js";
+import { SHEET_NAMES, ensureColumns, fetchSheetRows, findRowByKey, updateSheetHeader } from "./master.js";
+
+// ==== SENDGRID EVENT WEBHOOK ====
+// ENV VARS: SENDGRID_WEBHOOK_PUBLIC_KEY (the verification key shown when the
+// Signed Event Webhook is enabled in SendGrid)
+//
+// SendGrid signs the timestamp header followed by the raw request body with
+// ECDSA P-256; the signature header is base64 DER. Reminder emails carry the
+// Customer IDs they cover as the "rg_customer_ids" custom arg, and the branch
+// they came from as "rg_branch", which SendGrid copies onto every event.
+
+export const SIGNATURE_HEADER = "x-twilio-email-event-webhook-signature";
+export const TIMESTAMP_HEADER = "x-twilio-email-event-webhook-timestamp";
+export const CUSTOMER_IDS_ARG = "rg_customer_ids";
+export const BRANCH_ARG = "rg_branch";
+
+// Later events in a message's life only replace earlier ones: an "open" that
+// arrives before "delivered" stays OPENED. Bounces and drops always win.
+const STATUS_RANK = {
+  SENT: 0,
+  DEFERRED: 1,
+  DELIVERED: 2,
+  OPENED: 3,
+  CLICKED: 4,
+  BLOCKED: 5,
+  BOUNCED: 6,
+  DROPPED: 6,
+  "SPAM REPORT": 6,
+};
+
+const EVENT_STATUS = {
+  deferred: "DEFERRED",
+  delivered: "DELIVERED",
+  open: "OPENED",
+  click: "CLICKED",
+  bounce: "BOUNCED",
+  dropped: "DROPPED",
+  spamreport: "SPAM REPORT",
+};
+
+export function isWebhookConfigured(env = process.env) {
+  return Boolean(env.SENDGRID_WEBHOOK_PUBLIC_KEY);
+}
+
+export function verifySendGridSignature(rawBody, signature, timestamp, env = process.env) {
+  if (!signature || !timestamp || !env.SENDGRID_WEBHOOK_PUBLIC_KEY) return false;
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.from(env.SENDGRID_WEBHOOK_PUBLIC_KEY.trim(), "base64"),
+      format: "der",
+      type: "spki",
+    });
+    return crypto
+      .createVerify("sha256")
+      .update(timestamp + rawBody)
+      .verify(key, signature, "base64");
+  } catch {
+    return false;
+  }
+}
+
+// Turns a SendGrid payload into [{ email, customerIds, branch, status, detail, invalidAddress, at }].
+// Events we don't track (processed, unsubscribe...) are dropped.
+export function parseSendGridEvents(payload) {
+  if (!Array.isArray(payload)) throw new Error("Expected an array of events");
+  return payload.flatMap(event => {
+    let status = EVENT_STATUS[event.event];
+    if (!status || !event.email) return [];
+
+    // SendGrid reports soft bounces (full mailbox, greylisting...) as bounce type "blocked"
+    if (status === "BOUNCED" && event.type === "blocked") status = "BLOCKED";
+    const detail = event.reason || event.response || "";
+    const invalidAddress = status === "BOUNCED" ||
+      (status === "DROPPED" && /bounced address|invalid/i.test(detail));
+
+    return [{
+      email: String(event.email).trim().toLowerCase(),
+      customerIds: String(event[CUSTOMER_IDS_ARG] || "").split(",").map(id => id.trim()).filter(Boolean),
+      branch: String(event[BRANCH_ARG] || ""),
+      status,
+      detail: String(detail).slice(0, 200),
+      invalidAddress,
+      at: Number(event.timestamp) || null,
+    }];
+  });
+}
+
+export function statusRank(status) {
+  return STATUS_RANK[String(status || "").split(":")[0].trim()] ?? -1;
+}
+
+// ==== DELIVERY EVENTS ====
+// Used by /api/events with events from parseSendGridEvents. Rows are found by
+// the Customer IDs on the event, or by address for mail sent before those were
+// attached; a row whose address has changed since is left alone.
+export async function recordEmailEvents(storage = createBranchStorage(), events) {
+  const sheetName = SHEET_NAMES.MASTER;
+  const { header, rows } = await fetchSheetRows(storage, sheetName);
+  const { header: ensuredHeader, changed } = ensureColumns(header, ["Delivery Status", "Delivery Updated At", "Bounced Email"]);
+  if (changed) await updateSheetHeader(storage, sheetName, ensuredHeader);
+
+  const idx = Object.fromEntries(ensuredHeader.map((h, i) => [h, i]));
+  const emailOf = row => (row[idx["Email Add."]] || "").trim().toLowerCase();
+  const status = rows.map(row => row[idx["Delivery Status"]] || "");
+  const cells = new Map();
+  const setCell = (rowIndex, column, value) => {
+    cells.set(`${rowIndex}:${column}`, { row: rowIndex + 2, column: idx[column], value });
+  };
+  let matched = 0, unmatched = 0, bounced = 0;
+
+  for (const event of events) {
+    const candidates = event.customerIds.length > 0
+      ? event.customerIds.map(id => findRowByKey(rows, idx, id))
+      : rows.map((_, i) => i);
+    const targets = candidates.filter(i => i !== -1 && emailOf(rows[i]) === event.email);
+    if (targets.length === 0) {
+      unmatched++;
+      continue;
+    }
+    matched++;
+    if (event.invalidAddress) bounced++;
+
+    const at = event.at ? DateTime.fromSeconds(event.at) : DateTime.now();
+    for (const i of targets) {
+      if (event.invalidAddress) setCell(i, "Bounced Email", event.email);
+      if (statusRank(event.status) < statusRank(status[i])) continue;
+      status[i] = event.detail && event.status !== "OPENED" && event.status !== "CLICKED"
+        ? `${event.status}: ${event.detail}`
+        : event.status;
+      setCell(i, "Delivery Status", status[i]);
+      setCell(i, "Delivery Updated At", at.toISO({ suppressMilliseconds: true }));
+    }
+  }
+
+  await storage.updateCells(sheetName, [...cells.values()]);
+  log(`📬 Delivery events: ${matched} matched, ${unmatched} unmatched, ${bounced} invalid addresses`);
+  return { matched, unmatched, bounced };
+}
@@ -0,0 +1,29 @@
+// Local stand-in for the SMS/WhatsApp provider. Run it, then set
+// SMS_API_BASE_URL=http://localhost:4010 and every text message is printed
+// here instead of being delivered. Set SMS_STUB_FAIL=1 to answer with errors.
+import http from "node:http";
+
+const port = Number(process.env.SMS_STUB_PORT || 4010);
+let count = 0;
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", chunk => { body += chunk; });
+  req.on("end", () => {
+    count++;
+    console.log(`\n📨 #${count} ${req.method} ${req.url}`);
+    console.log(`   ${body}`);
+
+    if (process.env.SMS_STUB_FAIL === "1") {
+      res.writeHead(500, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ message: "Stub failure" }));
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ message_id: `stub-${count}`, sid: `SMstub${count}`, message: "Successfully Sent" }));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`📱 SMS stub listening on http://localhost:${port}`);
+});
@@ -0,0 +1,144 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { DateTime } from "luxon";
+import { AMC_COLUMNS, RENEWAL_TYPES, amcStatus, loadRenewalConfig, renewalType } from "../lib/amc.js";
+import { loadBusinessCalendar } from "../lib/calendar.js";
+import { REQUIRED_COLUMNS, processCustomers } from "../lib/master.js";
+import { loadOutbox, loadSendConfig, OUTBOX_HEADER } from "../lib/outbox.js";
+import { sendRenewalReminders } from "../lib/reminders.js";
+import { loadDefaultInterval, loadServicePlans } from "../lib/schedule.js";
+import { createMemoryStorage } from "../lib/storage.js";
+import { loadTemplates } from "../lib/templates.js";
+import { createFakeChannels, freezeClock } from "./helpers.js";
+
+// Monday 15 June 2026, 10:00 in Lagos
+const NOW = "2026-06-15T10:00:00+01:00";
+const HEADER = ["Customer ID", "Name", "Veh. Reg. No.", "Email Add.", "Last Visit", "AMC Start", "AMC End", "Renewal History"];
+const CONFIG = loadRenewalConfig({});
+
+async function run(rows, { storage = createMemoryStorage(), dryRun = false } = {}) {
+  const customers = processCustomers(rows, HEADER, {
+    plans: loadServicePlans({}),
+    defaultInterval: loadDefaultInterval({}),
+    calendar: loadBusinessCalendar({}),
+    renewal: CONFIG,
+  });
+  const { channels, sent } = createFakeChannels();
+  const templates = await loadTemplates({ types: RENEWAL_TYPES, columns: [...REQUIRED_COLUMNS, ...AMC_COLUMNS], env: {} });
+  const result = await sendRenewalReminders(customers, {
+    dryRun,
+    templates,
+    outbox: dryRun ? null : await loadOutbox(storage),
+    renewal: CONFIG,
+    sendConfig: loadSendConfig({}),
+    calendar: loadBusinessCalendar({}),
+    channels,
+  });
+  return { ...result, customers, sent, storage };
+}
+
+let restore;
+beforeEach(() => { restore = freezeClock(NOW); });
+afterEach(() => restore());
+
+describe("renewal settings", () => {
+  test("defaults to 30, 14 and 0 days before expiry plus a notice a week after", () => {
+    assert.deepEqual(CONFIG, { cadence: [-30, -14, 0, 7], graceDays: 30 });
+  });
+
+  test("drops steps past the grace period and rejects bad values", () => {
+    assert.deepEqual(loadRenewalConfig({ AMC_RENEWAL_CADENCE: "0, -60, 20", AMC_GRACE_DAYS: "10" }).cadence, [-60, 0]);
+    assert.throws(() => loadRenewalConfig({ AMC_RENEWAL_CADENCE: "-30,soon" }), /Invalid step "soon"/);
+    assert.throws(() => loadRenewalConfig({ AMC_GRACE_DAYS: "-1" }), /Invalid AMC_GRACE_DAYS/);
+    assert.throws(() => loadRenewalConfig({ AMC_RENEWAL_CADENCE: "40", AMC_GRACE_DAYS: "30" }), /no step inside the grace period/);
+  });
+
+  test("picks the template and status from days until AMC End", () => {
+    assert.deepEqual([30, 0, -1].map(renewalType), ["AMC_RENEWAL", "AMC_EXPIRES_TODAY", "AMC_GRACE"]);
+    const today = DateTime.fromISO("2026-06-15");
+    const status = date => amcStatus(DateTime.fromISO(date), today, CONFIG);
+    assert.deepEqual(
+      ["2026-07-16", "2026-07-15", "2026-06-15", "2026-05-16", "2026-05-15"].map(status),
+      ["ACTIVE", "EXPIRING", "EXPIRING", "GRACE", "EXPIRED"]
+    );
+  });
+});
+
+describe("sendRenewalReminders", () => {
+  const row = (id, end, history = "") => [id, id, "LND-123AA", `${id}@example.com`, "2026-05-01", "2025-07-15", end, history];
+
+  test("sends each step once and marks expired contracts", async () => {
+    const { decisions, sent, customers } = await run([
+      row("early", "2026-07-16"),
+      row("window", "2026-07-15"),
+      row("today", "2026-06-15"),
+      row("grace", "2026-06-08"),
+      row("expired", "2026-05-01"),
+      ["RG-NOAMC", "No AMC", "LND-456BB", "x@example.com", "2026-05-01", "", "", ""],
+    ]);
+
+    assert.deepEqual(
+      decisions.map(d => [d.name, d.decision, d.emailType, d.daysUntilDue]),
+      [
+        ["early", "SKIPPED", null, 31],
+        ["window", "SENT", "AMC_RENEWAL", 30],
+        ["today", "SENT", "AMC_EXPIRES_TODAY", 0],
+        ["grace", "SENT", "AMC_GRACE", -7],
+        ["expired", "SKIPPED", null, -45],
+      ]
+    );
+    assert.deepEqual(customers.map(c => c["AMC Status"]), ["ACTIVE", "EXPIRING", "EXPIRING", "GRACE", "EXPIRED", ""]);
+    assert.equal(sent.length, 3);
+    assert.match(sent[2].message.text, /ended on 2026-06-08/);
+    assert.match(sent[2].message.text, /until 08-07-2026/);
+
+    const window = customers[1];
+    assert.equal(window["Last Renewal Sent"], "2026-06-15");
+    assert.equal(window["Renewal Type"], "AMC_RENEWAL");
+    assert.equal(window["Renewal History"], "due 2026-07-15: -30@2026-06-15");
+    assert.equal(window["Last Email Sent"], "");
+  });
+
+  test("a step in Renewal History isn't sent again, and a new AMC End starts over", async () => {
+    const { decisions, sent } = await run([
+      row("same", "2026-07-15", "due 2026-07-15: -30@2026-06-15"),
+      row("renewed", "2026-07-15", "due 2025-07-15: -30@2025-06-15, -14@2025-07-01, 0@2025-07-15"),
+    ]);
+    assert.equal(decisions[0].decision, "SKIPPED");
+    assert.match(decisions[0].reason, /Day -30 renewal reminder already sent on 2026-06-15/);
+    assert.equal(decisions[1].decision, "SENT");
+    assert.equal(sent.length, 1);
+  });
+
+  test("records a renewal the Outbox shows as sent instead of resending it", async () => {
+    const first = await run([row("RG-A", "2026-07-15")]);
+    const outbox = await loadOutbox(first.storage);
+    assert.deepEqual(Object.keys(outbox.sentReminders()), ["RG-A:amc-2026-07-15:-30"]);
+
+    const second = await run([row("RG-A", "2026-07-15")], { storage: first.storage });
+    assert.equal(second.sent.length, 0);
+    assert.match(second.decisions[0].reason, /sent by an earlier run/);
+  });
+
+  test("cancels its own queued renewals that are no longer due, and nothing else", async () => {
+    const storage = createMemoryStorage({
+      Outbox: [
+        OUTBOX_HEADER,
+        OUTBOX_HEADER.map(col => ({ "Message ID": "renewed", "Reminders": "RG-A:amc-2026-07-15:-30", "Status": "RETRY" }[col] || "")),
+        OUTBOX_HEADER.map(col => ({ "Message ID": "service", "Reminders": "RG-A:2026-06-22:-7", "Status": "PENDING" }[col] || "")),
+      ],
+    });
+    await run([row("RG-A", "2027-07-15")], { storage });
+
+    const outbox = await loadOutbox(storage);
+    assert.equal(outbox.get("renewed")["Status"], "CANCELLED");
+    assert.equal(outbox.get("service")["Status"], "PENDING");
+  });
+
+  test("a dry run renders but sends nothing", async () => {
+    const { decisions, sent } = await run([row("window", "2026-07-15")], { dryRun: true });
+    assert.equal(sent.length, 0);
+    assert.equal(decisions[0].decision, "WOULD_SEND");
+    assert.match(decisions[0].subject, /Contract Ends Soon/);
+  });
+});
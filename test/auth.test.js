@@ -0,0 +1,70 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import handler from "../api/sync.js";
+import { checkBearer, checkReportAuth, createRejectionLog } from "../lib/auth.js";
+import { createFileStorage } from "../lib/storage.js";
+import { createFakeRequest, createFakeResponse, MASTER_HEADER, setEnv } from "./helpers.js";
+
+const ENV = { SYNC_SECRET: "sync-secret", DASHBOARD_PASSWORD: "open sesame" };
+
+describe("checkBearer and checkReportAuth", () => {
+  const req = authorization => ({ headers: authorization ? { authorization } : {} });
+
+  test("accept only the configured secrets", () => {
+    assert.equal(checkBearer(req("Bearer sync-secret"), ENV), null);
+    assert.equal(checkBearer(req("Bearer nope"), ENV), "invalid bearer token");
+    assert.equal(checkBearer(req(), ENV), "missing bearer token");
+  });
+
+  test("reports also take the dashboard password", () => {
+    const basic = password => `Basic ${Buffer.from(`anyone:${password}`).toString("base64")}`;
+    assert.equal(checkReportAuth(req(basic("open sesame")), ENV), null);
+    assert.equal(checkReportAuth(req(basic("guess")), ENV), "invalid password");
+    assert.equal(checkReportAuth(req("Bearer sync-secret"), ENV), null);
+  });
+});
+
+describe("createRejectionLog", () => {
+  test("notes one rejection per interval and counts the rest", () => {
+    let clock = 0;
+    const rejections = createRejectionLog({ intervalMs: 60_000, now: () => clock });
+
+    assert.equal(rejections.note("Rejected A"), "Rejected A");
+    clock = 10_000;
+    assert.equal(rejections.note("Rejected B"), null);
+    assert.equal(rejections.note("Rejected C"), null);
+    clock = 60_000;
+    assert.equal(rejections.note("Rejected D"), "Rejected D (and 2 more since the last note)");
+    clock = 200_000;
+    assert.equal(rejections.note("Rejected E"), "Rejected E");
+  });
+});
+
+describe("/api/sync without a valid token", () => {
+  let dir, file, restoreEnv;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "rgac-auth-"));
+    file = path.join(dir, "sheet.json");
+    await fs.writeFile(file, JSON.stringify({ "ALL AMC CLIENT": [MASTER_HEADER] }));
+    restoreEnv = setEnv({ ...ENV, STORAGE_BACKEND: "file", STORAGE_PATH: file });
+  });
+  afterEach(async () => {
+    restoreEnv();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test("answers 401 every time but writes one Status Log note for a burst", async () => {
+    for (const authorization of ["Bearer wrong", "Bearer also-wrong", undefined]) {
+      const res = createFakeResponse();
+      await handler(createFakeRequest({ url: "/api/sync", headers: authorization ? { authorization } : {} }), res);
+      assert.equal(res.statusCode, 401);
+    }
+
+    const log = await createFileStorage(file).getValues("Status Log");
+    assert.equal(log.filter(row => /Rejected sync trigger/.test(row.join(" "))).length, 1);
+  });
+});
@@ -0,0 +1,138 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { listBackups, mainSync, restoreMaster } from "../index.js";
+import { createBackupStore, diffValues, loadBackupConfig, takeSnapshot } from "../lib/backups.js";
+import { loadBranches, withBranchTabs } from "../lib/branches.js";
+import { createGoogleSheetsStorage, createMemoryStorage } from "../lib/storage.js";
+import { createFakeChannels, createFakeSheetsClient, freezeClock, MASTER_HEADER } from "./helpers.js";
+
+const SHEET = "ALL AMC CLIENT";
+const OPTIONS = { prefix: "Master Backup", branchId: "main" };
+
+// A restore pads the snapshot with blanks to cover what it replaces; Sheets reads those back as nothing
+const trimmed = values => values
+  .map(row => row.slice(0, row.findLastIndex(value => value !== "") + 1))
+  .filter(row => row.length > 0);
+
+let restore;
+beforeEach(() => { restore = freezeClock("2026-06-15T10:00:00+01:00"); });
+afterEach(() => restore());
+
+describe("snapshots", () => {
+  test("settings default to 14 backup tabs and reject bad values", () => {
+    assert.deepEqual(loadBackupConfig({}), { target: "sheet", dir: "backups", keep: 14 });
+    assert.throws(() => loadBackupConfig({ BACKUP_TARGET: "s3" }), /Unknown BACKUP_TARGET/);
+    assert.throws(() => loadBackupConfig({ BACKUP_KEEP: "0" }), /Invalid BACKUP_KEEP/);
+    assert.equal(createBackupStore(createMemoryStorage(), { target: "off" }, OPTIONS), null);
+  });
+
+  test("are dated tabs, and only the newest BACKUP_KEEP are kept", async () => {
+    const storage = createMemoryStorage({ "Master Backup notes": [["keep me"]] });
+    const store = createBackupStore(storage, { target: "sheet" }, OPTIONS);
+    for (const n of [1, 2, 3]) await takeSnapshot(store, [["Name"], [`v${n}`]], 2);
+
+    assert.deepEqual(await store.list(), ["2026-06-15 10-00-01", "2026-06-15 10-00-02"]);
+    assert.deepEqual(Object.keys(storage.tabs).sort(), [
+      "Master Backup 2026-06-15 10-00-01",
+      "Master Backup 2026-06-15 10-00-02",
+      "Master Backup notes",
+    ]);
+    assert.deepEqual(await store.load("2026-06-15 10-00-02"), [["Name"], ["v3"]]);
+    assert.equal(await store.load("2026-06-15 10-00-00"), null);
+  });
+
+  test("can be JSON files, one folder per branch", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rgac-backups-"));
+    try {
+      const store = createBackupStore(null, { target: "file", dir }, OPTIONS);
+      const { name } = await takeSnapshot(store, [["Name"], ["Ada"]], 14);
+      assert.deepEqual(fs.readdirSync(path.join(dir, "main")), [`${name}.json`]);
+      assert.deepEqual(await store.load(name), [["Name"], ["Ada"]]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("a branch's backup tabs use its own prefix", async () => {
+    const [, lekki] = loadBranches({
+      BRANCHES: JSON.stringify([{ id: "ikeja" }, { id: "lekki", sheetId: "x", tabs: { "Master Backup": "Lekki Backup" } }]),
+    });
+    const storage = createMemoryStorage();
+    const store = createBackupStore(withBranchTabs(storage, lekki), { target: "sheet" }, OPTIONS);
+    await takeSnapshot(store, [["Name"]], 14);
+    assert.deepEqual(Object.keys(storage.tabs), ["Lekki Backup 2026-06-15 10-00-00"]);
+    assert.deepEqual(await store.list(), ["2026-06-15 10-00-00"]);
+  });
+
+  test("diffValues lists every changed cell by column name", () => {
+    const before = [["Name", "Customer ID"], ["Ada", ""], ["Bo", "RG-B"]];
+    const after = [["Name", "Customer ID", "Subscription"], ["Ada", "RG-A"], ["Bo", "RG-B", ""]];
+    assert.deepEqual(diffValues(before, after), [
+      { row: 1, column: "C", customerId: "", before: "", after: "Subscription" },
+      { row: 2, column: "Customer ID", customerId: "RG-A", before: "", after: "RG-A" },
+    ]);
+  });
+});
+
+describe("Master backups around a run", () => {
+  let fake, storage;
+  const original = [MASTER_HEADER, ["Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"]];
+
+  beforeEach(() => {
+    fake = createFakeSheetsClient({ [SHEET]: original });
+    storage = createGoogleSheetsStorage({ spreadsheetId: "test", sheets: fake.sheets });
+  });
+
+  test("a run snapshots the Master first and logs the cells it changed", async () => {
+    const { channels } = createFakeChannels();
+    const summary = await mainSync(storage, { channels });
+
+    assert.equal(summary.backup, "2026-06-15 10-00-00");
+    assert.deepEqual(fake.tabs["Master Backup 2026-06-15 10-00-00"], original);
+
+    const [header, ...log] = fake.tabs["Change Log"];
+    assert.deepEqual(header.slice(0, 4), ["Changed At", "Snapshot", "Source", "Row"]);
+    assert.equal(log.length, summary.masterCellsChanged);
+    const cell = column => log.find(row => row[3] === "2" && row[5] === column);
+    assert.deepEqual(cell("Email Type").slice(1, 3), ["2026-06-15 10-00-00", "sync"]);
+    assert.deepEqual(cell("Email Type").slice(6), ["", "ADVANCE_7DAY"]);
+    assert.match(cell("Customer ID")[7], /^RG-/);
+    assert.equal(cell("Email Type")[4], cell("Customer ID")[7]);
+  });
+
+  test("a dry run takes no snapshot", async () => {
+    const { channels } = createFakeChannels();
+    const plan = await mainSync(storage, { dryRun: true, channels });
+    assert.equal(plan.backup, undefined);
+    assert.deepEqual(await listBackups(storage), []);
+  });
+
+  test("restore puts a snapshot back and can itself be undone", async () => {
+    const { channels } = createFakeChannels();
+    await mainSync(storage, { channels });
+    const afterRun = fake.tabs[SHEET].map(row => [...row]);
+
+    const result = await restoreMaster(storage, "2026-06-15 10-00-00");
+    assert.equal(result.ok, true);
+    assert.equal(result.backup, "2026-06-15 10-00-01");
+    assert.deepEqual(trimmed(fake.tabs[SHEET]), original);
+    assert.match(fake.tabs["Status Log"].at(-1)[4], /^Restored the Master from snapshot 2026-06-15 10-00-00/);
+    assert.ok(fake.tabs["Change Log"].some(row => row[2] === "restore 2026-06-15 10-00-00"));
+
+    await restoreMaster(storage, result.backup);
+    assert.deepEqual(trimmed(fake.tabs[SHEET]), trimmed(afterRun));
+    assert.deepEqual(await restoreMaster(storage, "2020-01-01 00-00-00"), { ok: false, error: 'No snapshot "2020-01-01 00-00-00"' });
+  });
+
+  test("restore is refused while a run holds the lock", async () => {
+    const { channels } = createFakeChannels();
+    await mainSync(storage, { channels });
+    fake.tabs["Sync Lock"] = [["Owner", "Locked At", "Expires At"], ["other", "2026-06-15T09:59:00+01:00", "2026-06-15T10:04:00+01:00"]];
+    const result = await restoreMaster(storage, "2026-06-15 10-00-00");
+    assert.equal(result.ok, false);
+    assert.match(result.error, /A run holds the lock/);
+  });
+});
@@ -0,0 +1,186 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { DateTime } from "luxon";
+import { bookAppointment, getBookingOptions, mainSync } from "../index.js";
+import { availableSlots, loadBookingConfig, parseSlot } from "../lib/booking.js";
+import { loadBusinessCalendar } from "../lib/calendar.js";
+import { acquireLock } from "../lib/lock.js";
+import { createGoogleSheetsStorage, createMemoryStorage } from "../lib/storage.js";
+import { createFakeChannels, createFakeSheetsClient, freezeClock, MASTER_HEADER, setEnv } from "./helpers.js";
+
+const SHEET = "ALL AMC CLIENT";
+
+// Monday 15 June 2026; Sundays are closed
+const NOW = "2026-06-15T10:00:00+01:00";
+
+describe("availableSlots", () => {
+  const config = loadBookingConfig({ BOOKING_SLOT_TIMES: "09:00,15:00", BOOKING_DAYS_AHEAD: "7", BOOKING_SLOT_CAPACITY: "2" });
+  const now = DateTime.fromISO(NOW);
+
+  test("offers every time from tomorrow on, skipping closed days", () => {
+    const slots = availableSlots(config, {}, now, loadBusinessCalendar({}));
+    assert.equal(slots[0], "2026-06-16 09:00");
+    assert.equal(slots.length, 12);
+    assert.ok(!slots.some(slot => slot.startsWith("2026-06-21")));
+  });
+
+  test("drops slots that are full", () => {
+    const slots = availableSlots(config, { "2026-06-16 09:00": 2, "2026-06-16 15:00": 1 }, now, loadBusinessCalendar({}));
+    assert.equal(slots[0], "2026-06-16 15:00");
+  });
+
+  test("settings are checked", () => {
+    assert.throws(() => loadBookingConfig({ BOOKING_SLOT_TIMES: "9am" }), /Invalid time "9am"/);
+    assert.equal(parseSlot("2026-06-16 09:00").hour, 9);
+    assert.equal(parseSlot("tomorrow"), null);
+  });
+});
+
+describe("bookAppointment", () => {
+  let restore, restoreEnv, fake, storage;
+
+  beforeEach(() => {
+    restore = freezeClock(NOW);
+    restoreEnv = setEnv({ BOOKING_SLOT_TIMES: "09:00,11:00", BOOKING_DAYS_AHEAD: "3", BOOKING_SLOT_CAPACITY: "1" });
+    // The fake fails on tabs that don't exist, like the Sheets API
+    fake = createFakeSheetsClient({
+      [SHEET]: [
+        ["Customer ID", ...MASTER_HEADER],
+        ["RG-1", "Ada", "LND-123AA", "ada@example.com", "08031234567", "2026-03-22"],
+        ["RG-2", "Bo", "LND-456BB", "bo@example.com", "", "2026-03-12"],
+      ],
+    });
+    storage = createGoogleSheetsStorage({ spreadsheetId: "test", sheets: fake.sheets });
+  });
+  afterEach(() => {
+    restore();
+    restoreEnv();
+  });
+
+  const bookedFor = () => {
+    const [header, ...rows] = fake.tabs[SHEET];
+    return rows.map(row => row[header.indexOf("Booked For")] || "");
+  };
+
+  test("the first booking creates the Appointments tab", async () => {
+    const options = await getBookingOptions(storage, "RG-1");
+    assert.equal(options.slots[0], "2026-06-16 09:00");
+
+    assert.deepEqual(await bookAppointment(storage, "RG-1", "2026-06-16 09:00"), { ok: true, slot: "2026-06-16 09:00" });
+    const [header, row] = fake.tabs["Appointments"];
+    assert.deepEqual(header, ["Booked At", "Customer Key", "Name", "Veh. Reg. No.", "Phone Number", "Email Add.", "Slot"]);
+    assert.deepEqual(row.slice(1), ["RG-1", "Ada", "LND-123AA", "08031234567", "ada@example.com", "2026-06-16 09:00"]);
+    assert.deepEqual(bookedFor(), ["2026-06-16 09:00", ""]);
+  });
+
+  test("a full slot can't be booked", async () => {
+    await bookAppointment(storage, "RG-1", "2026-06-16 09:00");
+    assert.deepEqual(await bookAppointment(storage, "RG-2", "2026-06-16 09:00"), { ok: false, error: "That slot is no longer available" });
+    assert.ok(!(await getBookingOptions(storage, "RG-2")).slots.includes("2026-06-16 09:00"));
+    assert.deepEqual(await bookAppointment(storage, "RG-404", "2026-06-16 11:00"), { ok: false, error: "Customer not found" });
+  });
+
+  test("rebooking frees the earlier slot", async () => {
+    await bookAppointment(storage, "RG-1", "2026-06-16 09:00");
+    assert.ok((await getBookingOptions(storage, "RG-1")).slots.includes("2026-06-16 09:00"));
+
+    assert.equal((await bookAppointment(storage, "RG-1", "2026-06-16 11:00")).ok, true);
+    assert.equal((await bookAppointment(storage, "RG-2", "2026-06-16 09:00")).ok, true);
+    assert.deepEqual(bookedFor(), ["2026-06-16 11:00", "2026-06-16 09:00"]);
+  });
+
+  test("two customers racing for the last place don't both get it", async () => {
+    const results = await Promise.all([
+      bookAppointment(storage, "RG-1", "2026-06-16 09:00"),
+      bookAppointment(storage, "RG-2", "2026-06-16 09:00"),
+    ]);
+
+    assert.equal(results.filter(result => result.ok).length, 1);
+    assert.equal(fake.tabs["Appointments"].length, 2);
+  });
+
+  test("is turned away while a run holds the lock", async () => {
+    await acquireLock(storage, "Sync Lock");
+    const result = await bookAppointment(storage, "RG-1", "2026-06-16 09:00");
+
+    assert.equal(result.ok, false);
+    assert.equal(result.busy, true);
+    assert.equal(fake.tabs["Appointments"], undefined);
+  });
+});
+
+describe("a booking during a sync", () => {
+  let restore, restoreEnv;
+  beforeEach(() => {
+    restore = freezeClock(NOW);
+    restoreEnv = setEnv({ BOOKING_SLOT_TIMES: "09:00", BOOKING_DAYS_AHEAD: "3", BOOKING_SLOT_CAPACITY: "1" });
+  });
+  afterEach(() => {
+    restore();
+    restoreEnv();
+  });
+
+  const master = () => createMemoryStorage({
+    [SHEET]: [
+      ["Customer ID", ...MASTER_HEADER],
+      ["RG-1", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"],
+    ],
+  });
+
+  test("the run waits for the booking instead of skipping the day", async () => {
+    const storage = master();
+    // Hold the booking between its capacity check and its writes
+    let finishBooking;
+    const gate = new Promise(resolve => { finishBooking = resolve; });
+    const slowStorage = { ...storage, appendRow: async (...args) => { await gate; return storage.appendRow(...args); } };
+    const booking = bookAppointment(slowStorage, "RG-1", "2026-06-16 09:00");
+    while (!storage.tabs["Sync Lock"]?.[1]?.[0]) await new Promise(resolve => setImmediate(resolve));
+
+    const { channels, sent } = createFakeChannels();
+    const sync = mainSync(storage, { channels });
+    setTimeout(finishBooking, 200);
+    const [booked, summary] = await Promise.all([booking, sync]);
+
+    assert.equal(booked.ok, true);
+    assert.notEqual(summary.skipped, true);
+    assert.equal(summary.remindersSent, 1);
+    assert.equal(sent.length, 1);
+  });
+
+  test("a run still skips when the lock stays taken past SYNC_LOCK_WAIT_SECONDS", async () => {
+    const restoreWait = setEnv({ SYNC_LOCK_WAIT_SECONDS: "0" });
+    try {
+      const storage = master();
+      await acquireLock(storage, "Sync Lock");
+      const { channels, sent } = createFakeChannels();
+      const summary = await mainSync(storage, { channels });
+
+      assert.equal(summary.skipped, true);
+      assert.equal(sent.length, 0);
+    } finally {
+      restoreWait();
+    }
+  });
+});
+
+describe("reminders for booked customers", () => {
+  let restore;
+  beforeEach(() => { restore = freezeClock(NOW); });
+  afterEach(() => restore());
+
+  test("an upcoming booking stops due and overdue reminders but not advance ones", async () => {
+    const storage = createMemoryStorage({
+      [SHEET]: [
+        [...MASTER_HEADER, "Booked For"],
+        ["Ada", "LND-123AA", "ada@example.com", "", "2026-03-10", "2026-06-17 09:00"],
+        ["Bo", "LND-456BB", "bo@example.com", "", "2026-03-22", "2026-06-17 09:00"],
+        ["Cy", "LND-789CC", "cy@example.com", "", "2026-03-10", "2026-06-01 09:00"],
+      ],
+    });
+    const { channels, sent } = createFakeChannels();
+    const summary = await mainSync(storage, { channels });
+
+    assert.deepEqual(sent.map(s => s.to), ["bo@example.com", "cy@example.com"]);
+    assert.equal(summary.decisions[0].reason, "Booked for 2026-06-17 09:00");
+  });
+});
@@ -0,0 +1,207 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { mainSync, syncBranches } from "../index.js";
+import { findBranch, loadBranches, withBranchTabs } from "../lib/branches.js";
+import { verifyToken } from "../lib/links.js";
+import { createFileStorage, createGoogleSheetsStorage } from "../lib/storage.js";
+import { createFakeChannels, createFakeSheetsClient, freezeClock, MASTER_HEADER, setEnv } from "./helpers.js";
+
+const BRANCHES = [
+  { id: "ikeja", name: "Royal Gem AutoCare Ikeja", sheetId: "sheet-ikeja", phone: "0803 000 1111" },
+  {
+    id: "lekki",
+    name: "Royal Gem AutoCare Lekki",
+    sheetId: "sheet-lekki",
+    senderName: "Royal Gem Lekki",
+    senderEmail: "lekki@example.com",
+    signature: "The Lekki Service Team",
+    phone: "0803 000 2222",
+    tabs: { "ALL AMC CLIENT": "Lekki Clients" },
+  },
+];
+
+describe("loadBranches", () => {
+  test("without BRANCHES there is one branch with the standard tabs and branding", () => {
+    const [main, ...rest] = loadBranches({ GOOGLE_SHEET_ID: "abc" });
+    assert.equal(rest.length, 0);
+    assert.equal(main.id, "main");
+    assert.equal(main.default, true);
+    assert.equal(main.sheetId, "abc");
+    assert.equal(main.tabs["ALL AMC CLIENT"], "ALL AMC CLIENT");
+    assert.equal(main.branding["Service Team"], "Royal Gem Auto Care Service Team");
+    assert.deepEqual(main.sender, { name: "Royal Gem AutoCare Nigeria Limited", email: "" });
+  });
+
+  test("reads each branch's sheet, tabs, sender and signature", () => {
+    const [ikeja, lekki] = loadBranches({ BRANCHES: JSON.stringify(BRANCHES) });
+    assert.equal(ikeja.default, true);
+    assert.equal(lekki.default, false);
+    assert.equal(lekki.sheetId, "sheet-lekki");
+    assert.equal(lekki.tabs["ALL AMC CLIENT"], "Lekki Clients");
+    assert.equal(lekki.tabs["Status Log"], "Status Log");
+    assert.deepEqual(lekki.sender, { name: "Royal Gem Lekki", email: "lekki@example.com" });
+    assert.equal(lekki.branding["Service Team"], "The Lekki Service Team");
+    assert.equal(lekki.branding["Branch Phone"], "0803 000 2222");
+    assert.equal(ikeja.branding["Service Team"], "Royal Gem Auto Care Service Team");
+  });
+
+  test("reads BRANCHES_FILE", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rgac-branches-"));
+    try {
+      const file = path.join(dir, "branches.json");
+      fs.writeFileSync(file, JSON.stringify(BRANCHES));
+      assert.deepEqual(loadBranches({ BRANCHES_FILE: file }).map(b => b.id), ["ikeja", "lekki"]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("rejects config it can't run", () => {
+    const load = branches => loadBranches({ BRANCHES: JSON.stringify(branches), GOOGLE_SHEET_ID: "shared" });
+    assert.throws(() => loadBranches({ BRANCHES: "[{" }), /BRANCHES is not valid JSON/);
+    assert.throws(() => load([]), /non-empty array/);
+    assert.throws(() => load([{ id: "Ikeja HQ" }]), /Invalid branch id "Ikeja HQ"/);
+    assert.throws(() => load([{ id: "a" }, { id: "a", sheetId: "other" }]), /lists "a" twice/);
+    assert.throws(() => load([{ id: "a", tabs: { "Clients": "x" } }]), /unknown tab "Clients"/);
+    assert.throws(
+      () => load([{ id: "a" }, { id: "b", tabs: { "ALL AMC CLIENT": "B Clients" } }]),
+      /"a" and "b" share a spreadsheet: give the "REMINDER SHEET" tab a different name/
+    );
+  });
+
+  test("findBranch falls back to the first branch only when no id is given", () => {
+    const branches = loadBranches({ BRANCHES: JSON.stringify(BRANCHES) });
+    assert.equal(findBranch(branches, "").id, "ikeja");
+    assert.equal(findBranch(branches, "lekki").id, "lekki");
+    assert.equal(findBranch(branches, "abuja"), null);
+  });
+});
+
+describe("mainSync per branch", () => {
+  const savedEnv = {};
+  let restore, branches, fakes;
+
+  beforeEach(() => {
+    restore = freezeClock("2026-06-15T10:00:00+01:00");
+    for (const key of ["PUBLIC_BASE_URL", "LINK_SIGNING_SECRET"]) savedEnv[key] = process.env[key];
+    process.env.PUBLIC_BASE_URL = "https://reminders.example.com";
+    process.env.LINK_SIGNING_SECRET = "test-secret";
+    branches = loadBranches({ BRANCHES: JSON.stringify(BRANCHES) });
+    fakes = {
+      ikeja: createFakeSheetsClient({
+        "ALL AMC CLIENT": [MASTER_HEADER, ["Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"]],
+      }),
+      lekki: createFakeSheetsClient({
+        "Lekki Clients": [
+          MASTER_HEADER,
+          ["Bo", "LND-456BB", "bo@example.com", "", "2026-03-22"],
+          ["Cy", "LND-789CC", "cy@example.com", "", "2026-03-22"],
+        ],
+      }),
+    };
+  });
+  afterEach(() => {
+    restore();
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  const run = async branch => {
+    const storage = withBranchTabs(
+      createGoogleSheetsStorage({ spreadsheetId: branch.sheetId, sheets: fakes[branch.id].sheets }),
+      branch
+    );
+    const { channels, sent } = createFakeChannels({ branch });
+    return { summary: await mainSync(storage, { branch, channels }), sent };
+  };
+
+  test("each branch keeps its own results, tabs and Status Log", async () => {
+    const [ikeja, lekki] = branches;
+    const first = await run(ikeja);
+    const second = await run(lekki);
+
+    assert.equal(first.summary.branch, "ikeja");
+    assert.equal(first.summary.remindersSent, 1);
+    assert.equal(second.summary.branch, "lekki");
+    assert.equal(second.summary.remindersSent, 2);
+
+    const { tabs } = fakes.lekki;
+    assert.equal(tabs["ALL AMC CLIENT"], undefined);
+    assert.equal(tabs["Lekki Clients"][1][tabs["Lekki Clients"][0].indexOf("Email Type")], "ADVANCE_7DAY");
+    assert.deepEqual(tabs["Status Log"][0].slice(1), ["2", "2", "0", "", "lekki"]);
+    assert.equal(fakes.ikeja.tabs["Status Log"][0][5], "ikeja");
+  });
+
+  test("messages go out with the branch's sender, signature, phone and links", async () => {
+    const [ikeja, lekki] = branches;
+    const { sent } = await run(lekki);
+    const [{ message, meta }] = sent;
+
+    assert.deepEqual(meta.sender, { name: "Royal Gem Lekki", email: "lekki@example.com" });
+    assert.equal(meta.branch, "lekki");
+    assert.match(message.text, /The Lekki Service Team/);
+    assert.match(message.sms, /^Royal Gem AutoCare Lekki: .* Call 0803 000 2222 to book early\.$/);
+
+    const link = new URL(message.unsubscribeUrl);
+    const [key, token] = [link.searchParams.get("c"), link.searchParams.get("t")];
+    assert.equal(link.searchParams.get("b"), "lekki");
+    assert.equal(verifyToken("unsubscribe", key, token, process.env, "lekki"), true);
+    assert.equal(verifyToken("unsubscribe", key, token, process.env, ""), false);
+
+    // The default branch's links look like they did before branches
+    const first = new URL((await run(ikeja)).sent[0].message.unsubscribeUrl);
+    assert.equal(first.searchParams.has("b"), false);
+  });
+});
+
+describe("syncBranches", () => {
+  let dir, restore, restoreEnv;
+
+  beforeEach(() => {
+    restore = freezeClock("2026-06-15T10:00:00+01:00");
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "rgac-branches-"));
+    const file = id => path.join(dir, `${id}.json`);
+    fs.writeFileSync(file("ikeja"), JSON.stringify({
+      "ALL AMC CLIENT": [MASTER_HEADER, ["Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"]],
+    }));
+    fs.writeFileSync(file("lekki"), JSON.stringify({
+      "Lekki Clients": [MASTER_HEADER, ["Bo", "LND-456BB", "bo@example.com", "", "2026-03-22"]],
+    }));
+    restoreEnv = setEnv({
+      BRANCHES: JSON.stringify(BRANCHES.map(b => ({ ...b, storagePath: file(b.id) }))),
+      STORAGE_BACKEND: "file",
+      SEND_TIME_BUDGET_SECONDS: "1",
+    });
+  });
+  afterEach(() => {
+    restore();
+    restoreEnv();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("all branches share one send time budget", async () => {
+    const { channels, sent } = createFakeChannels();
+    // The first branch's only message takes longer than the whole budget
+    const slowChannels = {
+      ...channels,
+      EMAIL: { ...channels.EMAIL, send: async (...args) => {
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        return channels.EMAIL.send(...args);
+      } },
+    };
+    const [ikeja, lekki] = await syncBranches({ channels: slowChannels });
+
+    assert.equal(ikeja.remindersSent, 1);
+    assert.equal(lekki.remindersSent, 0);
+    assert.deepEqual(sent.map(s => s.to), ["ada@example.com"]);
+    const outbox = await createFileStorage(path.join(dir, "lekki.json")).getValues("Outbox");
+    assert.equal(outbox[1][outbox[0].indexOf("Status")], "PENDING");
+    const statusLog = await createFileStorage(path.join(dir, "lekki.json")).getValues("Status Log");
+    assert.equal(statusLog.at(-1)[5], "lekki");
+  });
+});
@@ -0,0 +1,113 @@
+import { test, describe, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { loadBusinessCalendar } from "../lib/calendar.js";
+import { cadenceStep, DEFAULT_CADENCE, formatHistory, loadCadence, parseHistory } from "../lib/cadence.js";
+import { REQUIRED_COLUMNS, processCustomers } from "../lib/master.js";
+import { loadOutbox, loadSendConfig } from "../lib/outbox.js";
+import { COMBINED_TYPE, REMINDER_TYPES, sendReminders } from "../lib/reminders.js";
+import { loadDefaultInterval, loadServicePlans } from "../lib/schedule.js";
+import { createMemoryStorage } from "../lib/storage.js";
+import { loadTemplates } from "../lib/templates.js";
+import { createFakeChannels, freezeClock } from "./helpers.js";
+
+// Monday 15 June 2026. Last Visit 2026-03-15 makes today the due date.
+const HEADER = ["Customer ID", "Name", "Veh. Reg. No.", "Email Add.", "Phone Number", "Last Visit", "Reminder History"];
+
+let restore;
+afterEach(() => restore?.());
+
+async function runOn(date, history = "", cadence = DEFAULT_CADENCE) {
+  restore?.();
+  restore = freezeClock(`${date}T10:00:00+01:00`);
+  const customers = processCustomers([["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-15", history]], HEADER, {
+    plans: loadServicePlans({}),
+    defaultInterval: loadDefaultInterval({}),
+    calendar: loadBusinessCalendar({}),
+  });
+  const { channels, sent } = createFakeChannels();
+  const result = await sendReminders(customers, {
+    templates: await loadTemplates({ types: [...REMINDER_TYPES, COMBINED_TYPE], columns: REQUIRED_COLUMNS, env: {} }),
+    outbox: await loadOutbox(createMemoryStorage()),
+    channels,
+    cadence,
+    sendConfig: loadSendConfig({}),
+    calendar: loadBusinessCalendar({}),
+  });
+  const [customer] = result.updatedCustomers;
+  return { ...result, sent, customer, history: customer["Reminder History"] };
+}
+
+describe("loadCadence", () => {
+  test("reads, sorts and de-duplicates REMINDER_CADENCE", () => {
+    assert.deepEqual(loadCadence({}), [-7, -1, 0, 3, 14, 30]);
+    assert.deepEqual(loadCadence({ REMINDER_CADENCE: "7, -3, 0, 7" }), [-3, 0, 7]);
+    assert.throws(() => loadCadence({ REMINDER_CADENCE: "-7,soon" }), /Invalid step "soon"/);
+  });
+});
+
+describe("Reminder History", () => {
+  test("round-trips through parseHistory and formatHistory", () => {
+    const history = parseHistory("due 2026-06-15: 0@2026-06-15, -7@2026-06-08");
+    assert.deepEqual(history, { dueDate: "2026-06-15", sent: { "-7": "2026-06-08", 0: "2026-06-15" } });
+    assert.equal(formatHistory(history), "due 2026-06-15: -7@2026-06-08, 0@2026-06-15");
+  });
+
+  test("unreadable history counts as none", () => {
+    assert.deepEqual(parseHistory(""), { dueDate: "", sent: {} });
+    assert.deepEqual(parseHistory("sent last week"), { dueDate: "", sent: {} });
+  });
+});
+
+describe("cadenceStep", () => {
+  const history = sent => ({ dueDate: "2026-06-15", sent });
+
+  test("picks the latest step reached", () => {
+    assert.deepEqual(cadenceStep(DEFAULT_CADENCE, -8, history({})), { action: "WAIT" });
+    assert.deepEqual(cadenceStep(DEFAULT_CADENCE, -7, history({})), { action: "SEND", step: -7 });
+    assert.deepEqual(cadenceStep(DEFAULT_CADENCE, 5, history({})), { action: "SEND", step: 3 });
+  });
+
+  test("a step that went out isn't repeated, and the last one ends the cadence", () => {
+    assert.deepEqual(cadenceStep(DEFAULT_CADENCE, 5, history({ 3: "2026-06-18" })), { action: "SENT", step: 3, sentOn: "2026-06-18" });
+    assert.deepEqual(cadenceStep(DEFAULT_CADENCE, 45, history({ 30: "2026-07-15" })), { action: "DONE", step: 30, sentOn: "2026-07-15" });
+  });
+});
+
+describe("overdue follow-ups", () => {
+  test("go out on the cadence days, not every day", async () => {
+    const day3 = await runOn("2026-06-18", "due 2026-06-15: 0@2026-06-15");
+    assert.equal(day3.sent.length, 1);
+    assert.equal(day3.history, "due 2026-06-15: 0@2026-06-15, 3@2026-06-18");
+
+    const day4 = await runOn("2026-06-19", day3.history);
+    assert.equal(day4.sent.length, 0);
+    assert.match(day4.decisions[0].reason, /Day \+3 reminder already sent on 2026-06-18/);
+
+    const day14 = await runOn("2026-06-29", day3.history);
+    assert.equal(day14.sent.length, 1);
+    assert.equal(day14.decisions[0].emailType, "OVERDUE");
+  });
+
+  test("missed steps aren't sent late: only the current one goes out", async () => {
+    const { history } = await runOn("2026-06-15");
+    assert.equal(history, "due 2026-06-15: 0@2026-06-15");
+  });
+
+  test("after the last step the row is flagged for a phone call", async () => {
+    const { sent, customer, decisions } = await runOn("2026-07-20", "due 2026-06-15: 30@2026-07-15");
+    assert.equal(sent.length, 0);
+    assert.equal(customer["Manual Contact"], "CALL - NO RESPONSE");
+    assert.match(decisions[0].reason, /All reminders sent \(last on 2026-07-15\)/);
+  });
+
+  test("follow a custom cadence", async () => {
+    const cadence = loadCadence({ REMINDER_CADENCE: "0,2" });
+    const early = await runOn("2026-06-08", "", cadence);
+    assert.equal(early.sent.length, 0);
+
+    const overdue = await runOn("2026-06-17", "due 2026-06-15: 0@2026-06-15", cadence);
+    assert.equal(overdue.sent.length, 1);
+    const done = await runOn("2026-06-20", overdue.history, cadence);
+    assert.equal(done.customer["Manual Contact"], "CALL - NO RESPONSE");
+  });
+});
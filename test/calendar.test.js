@@ -0,0 +1,56 @@
+import { test, describe, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import { DateTime, Settings } from "luxon";
+import { applyBusinessTimezone, loadBusinessCalendar, nextBusinessDay, sendingBlockedReason } from "../lib/calendar.js";
+
+describe("applyBusinessTimezone", () => {
+  afterEach(() => applyBusinessTimezone({}));
+
+  test("sets luxon's default zone from BUSINESS_TIMEZONE, Lagos by default", () => {
+    assert.equal(applyBusinessTimezone({ BUSINESS_TIMEZONE: "Europe/London" }), "Europe/London");
+    assert.equal(Settings.defaultZone.name, "Europe/London");
+    assert.equal(applyBusinessTimezone({}), "Africa/Lagos");
+    assert.throws(() => applyBusinessTimezone({ BUSINESS_TIMEZONE: "Lagos" }), /Invalid BUSINESS_TIMEZONE: "Lagos"/);
+  });
+
+  test("importing the module leaves the zone alone", () => {
+    const script = 'import { Settings } from "luxon"; await import("./lib/calendar.js"); await import("./index.js"); console.log(Settings.defaultZone.name);';
+    const zone = execFileSync(process.execPath, ["--input-type=module", "-e", script], {
+      env: { ...process.env, TZ: "UTC" },
+      encoding: "utf8",
+    });
+    assert.equal(zone.trim(), "UTC");
+  });
+});
+
+describe("business calendar", () => {
+  const at = iso => DateTime.fromISO(iso);
+
+  test("skips closed days and holidays", () => {
+    const calendar = loadBusinessCalendar({ PUBLIC_HOLIDAYS: "2026-06-12" });
+    assert.equal(nextBusinessDay(at("2026-06-12"), calendar).toISODate(), "2026-06-13");
+    assert.equal(nextBusinessDay(at("2026-06-14"), calendar).toISODate(), "2026-06-15");
+    assert.throws(() => loadBusinessCalendar({ CLOSED_WEEKDAYS: "8" }), /Invalid weekday "8"/);
+  });
+
+  test("only sends inside SEND_HOURS", () => {
+    const calendar = loadBusinessCalendar({});
+    assert.equal(sendingBlockedReason(at("2026-06-15T07:59"), calendar), "outside sending hours (08:00-20:00)");
+    assert.equal(sendingBlockedReason(at("2026-06-15T08:00"), calendar), null);
+    assert.equal(sendingBlockedReason(at("2026-06-14T10:00"), calendar), "Sunday - workshop closed");
+    assert.equal(sendingBlockedReason(at("2026-06-15T06:00"), loadBusinessCalendar({ SEND_HOURS: "" })), null);
+  });
+
+  test("the scheduled run isn't on the edge of the default sending hours", () => {
+    const { crons } = JSON.parse(fs.readFileSync(new URL("../vercel.json", import.meta.url), "utf8"));
+    const [minute, hour] = crons.find(cron => cron.path === "/api/sync").schedule.split(" ").map(Number);
+    const run = DateTime.fromObject({ year: 2026, month: 6, day: 15, hour, minute }, { zone: "UTC" }).setZone("Africa/Lagos");
+    const calendar = loadBusinessCalendar({});
+
+    for (const drift of [-15, 0, 15]) {
+      assert.equal(sendingBlockedReason(run.plus({ minutes: drift }), calendar), null, `${drift} minutes`);
+    }
+  });
+});
@@ -0,0 +1,154 @@
+import { test, describe, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { mainSync } from "../index.js";
+import { normalizePhone, sendTextMessage } from "../lib/channels.js";
+import { resolveChannel } from "../lib/reminders.js";
+import { createMemoryStorage } from "../lib/storage.js";
+import { createFakeChannels, freezeClock, MASTER_HEADER } from "./helpers.js";
+
+const SHEET = "ALL AMC CLIENT";
+
+describe("normalizePhone", () => {
+  test("turns local numbers into E.164", () => {
+    assert.equal(normalizePhone("0803 123 4567"), "+2348031234567");
+    assert.equal(normalizePhone("803-123-4567"), "+2348031234567");
+    assert.equal(normalizePhone("+234 803 123 4567"), "+2348031234567");
+    assert.equal(normalizePhone("00447700900123"), "+447700900123");
+    assert.equal(normalizePhone(""), "");
+  });
+});
+
+// A stand-in provider like scripts/sms-stub-server.js that keeps what it received
+describe("sendTextMessage", () => {
+  let server, baseUrl, received, status;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", chunk => { body += chunk; });
+      req.on("end", () => {
+        received.push({ url: req.url, headers: req.headers, body });
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ message: status === 200 ? "Successfully Sent" : "Stub failure" }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => new Promise(resolve => server.close(resolve)));
+  beforeEach(() => {
+    received = [];
+    status = 200;
+  });
+
+  test("posts to Termii with the WhatsApp sender for WhatsApp", async () => {
+    const env = { SMS_PROVIDER: "termii", SMS_API_BASE_URL: baseUrl, SMS_API_KEY: "key", SMS_SENDER_ID: "RoyalGem", WHATSAPP_SENDER_ID: "2348000000000" };
+    await sendTextMessage("sms", "0803 123 4567", "Hello", env);
+    await sendTextMessage("whatsapp", "0803 123 4567", "Hello", env);
+
+    const [sms, whatsapp] = received.map(r => ({ url: r.url, ...JSON.parse(r.body) }));
+    assert.deepEqual(sms, {
+      url: "/api/sms/send", api_key: "key", to: "2348031234567", from: "RoyalGem", sms: "Hello", type: "plain", channel: "generic",
+    });
+    assert.equal(whatsapp.channel, "whatsapp");
+    assert.equal(whatsapp.from, "2348000000000");
+  });
+
+  test("posts a form to Twilio with basic auth", async () => {
+    const env = { SMS_PROVIDER: "twilio", SMS_API_BASE_URL: baseUrl, TWILIO_ACCOUNT_SID: "AC1", TWILIO_AUTH_TOKEN: "secret", SMS_SENDER_ID: "+15550000000" };
+    await sendTextMessage("whatsapp", "08031234567", "Hello", env);
+
+    const [request] = received;
+    assert.equal(request.url, "/2010-04-01/Accounts/AC1/Messages.json");
+    assert.equal(request.headers.authorization, "Basic " + Buffer.from("AC1:secret").toString("base64"));
+    assert.deepEqual(Object.fromEntries(new URLSearchParams(request.body)), {
+      To: "whatsapp:+2348031234567", From: "whatsapp:+15550000000", Body: "Hello",
+    });
+  });
+
+  test("surfaces the provider's status on errors", async () => {
+    status = 503;
+    const env = { SMS_PROVIDER: "termii", SMS_API_BASE_URL: baseUrl };
+    await assert.rejects(sendTextMessage("sms", "08031234567", "Hello", env), error => {
+      assert.equal(error.status, 503);
+      assert.match(error.message, /Termii responded 503/);
+      return true;
+    });
+    await assert.rejects(sendTextMessage("sms", "", "Hello", env), /Invalid phone number/);
+  });
+});
+
+describe("resolveChannel", () => {
+  const { channels: textChannels } = createFakeChannels({ textEnabled: true });
+  const { channels: emailOnly } = createFakeChannels();
+  const both = { "Email Add.": "ada@example.com", "Phone Number": "+2348031234567" };
+
+  test("follows the customer's preference when that channel can reach them", () => {
+    assert.equal(resolveChannel({ ...both, "Preferred Channel": "whatsapp" }, textChannels), "WHATSAPP");
+    assert.equal(resolveChannel({ ...both, "Preferred Channel": "SMS" }, textChannels), "SMS");
+  });
+
+  test("falls back to email, then SMS", () => {
+    assert.equal(resolveChannel(both, textChannels), "EMAIL");
+    assert.equal(resolveChannel({ ...both, "Email Add.": "", "Preferred Channel": "EMAIL" }, textChannels), "SMS");
+    assert.equal(resolveChannel({ ...both, "Preferred Channel": "SMS" }, emailOnly), "EMAIL");
+    assert.equal(resolveChannel({ "Phone Number": "+2348031234567" }, emailOnly), null);
+  });
+});
+
+describe("mainSync with text channels", () => {
+  let restore, storage;
+
+  beforeEach(() => {
+    restore = freezeClock("2026-06-15T10:00:00+01:00");
+    storage = createMemoryStorage({
+      [SHEET]: [
+        [...MASTER_HEADER, "Preferred Channel"],
+        ["Ada", "LND-123AA", "", "08031234567", "2026-03-22", ""],
+        ["Bo", "LND-456BB", "bo@example.com", "08039876543", "2026-03-22", "WhatsApp"],
+      ],
+    });
+  });
+  afterEach(() => restore());
+
+  const master = () => {
+    const [header, ...rows] = storage.tabs[SHEET];
+    return rows.map(row => Object.fromEntries(header.map((h, i) => [h, row[i] || ""])));
+  };
+
+  test("reaches phone-only customers and tracks each channel in its own columns", async () => {
+    const { channels, sent } = createFakeChannels({ textEnabled: true });
+    await mainSync(storage, { channels });
+
+    assert.deepEqual(sent.map(s => [s.channel, s.to]), [["SMS", "+2348031234567"], ["WHATSAPP", "+2348039876543"]]);
+    assert.match(sent[0].message.text, /LND-123AA/);
+
+    const [ada, bo] = master();
+    assert.equal(ada["Last SMS Sent"], "2026-06-15");
+    assert.equal(ada["SMS Type"], "ADVANCE_7DAY");
+    assert.equal(ada["Last Email Sent"], "");
+    assert.equal(bo["Last WhatsApp Sent"], "2026-06-15");
+    assert.equal(bo["Last Email Sent"], "");
+  });
+
+  test("a second run doesn't send the same step on another channel", async () => {
+    const { channels, sent } = createFakeChannels({ textEnabled: true });
+    await mainSync(storage, { channels });
+
+    const rows = storage.tabs[SHEET];
+    rows[2][rows[0].indexOf("Preferred Channel")] = "EMAIL";
+    const second = await mainSync(storage, { channels });
+
+    assert.equal(sent.length, 2);
+    assert.equal(second.skipped.alreadySent, 2);
+  });
+
+  test("without SMS_PROVIDER phone-only customers are skipped with a reason", async () => {
+    const { channels, sent } = createFakeChannels();
+    const summary = await mainSync(storage, { channels });
+
+    assert.deepEqual(sent.map(s => s.to), ["bo@example.com"]);
+    assert.equal(summary.decisions[0].reason, "No email address and SMS_PROVIDER not configured");
+  });
+});
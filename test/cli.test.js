@@ -0,0 +1,137 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { formatTable, loadConfig, parseCommand, parseEnvFile, readConfigFile } from "../lib/cli.js";
+import { log, setLogger } from "../lib/log.js";
+import { MASTER_HEADER } from "./helpers.js";
+
+describe("parseCommand", () => {
+  test("reads the command and its options", () => {
+    const { command, options } = parseCommand(["send", "--customer", "RG-A", "-c", "rgac.json"]);
+    assert.equal(command, "send");
+    assert.equal(options.customer, "RG-A");
+    assert.equal(options.config, "rgac.json");
+    assert.equal(parseCommand(["export"]).options.format, "csv");
+  });
+
+  test("rejects what it can't run", () => {
+    assert.throws(() => parseCommand([]), /No command given/);
+    assert.throws(() => parseCommand(["resend"]), /Unknown command "resend"/);
+    assert.throws(() => parseCommand(["sync", "now"]), /Unexpected argument "now"/);
+    assert.throws(() => parseCommand(["send"]), /send needs --customer/);
+    assert.throws(() => parseCommand(["restore"]), /restore needs --snapshot/);
+    assert.throws(() => parseCommand(["export", "--format", "xlsx"]), /Unknown export format "xlsx"/);
+    assert.throws(() => parseCommand(["sync", "--dry"]), /Unknown option/);
+  });
+
+  test("--help wins over everything else", () => {
+    assert.equal(parseCommand(["send", "--help"]).command, "help");
+  });
+});
+
+describe("parseEnvFile", () => {
+  test("handles comments, quotes and multi-line keys", () => {
+    const values = parseEnvFile([
+      "# settings",
+      "STORAGE_BACKEND=file",
+      "export SEND_HOURS = 08:00-18:00  # Lagos",
+      "EMAIL_USER='a#b@example.com'",
+      'GOOGLE_PRIVATE_KEY="-----BEGIN-----\\nabc\\n-----END-----"',
+      'SIGNATURE="Line one',
+      'Line two"',
+      "",
+    ].join("\n"));
+    assert.deepEqual(values, {
+      STORAGE_BACKEND: "file",
+      SEND_HOURS: "08:00-18:00",
+      EMAIL_USER: "a#b@example.com",
+      GOOGLE_PRIVATE_KEY: "-----BEGIN-----\nabc\n-----END-----",
+      SIGNATURE: "Line one\nLine two",
+    });
+  });
+});
+
+describe("config files", () => {
+  let dir;
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), "rgac-cli-")); });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("JSON values that aren't strings are passed on as JSON", () => {
+    const file = path.join(dir, "rgac.json");
+    fs.writeFileSync(file, JSON.stringify({ STORAGE_BACKEND: "file", SERVICE_PLANS: { Gold: "2 months" }, SMS_ENABLED: true }));
+    assert.deepEqual(readConfigFile(file), {
+      STORAGE_BACKEND: "file",
+      SERVICE_PLANS: '{"Gold":"2 months"}',
+      SMS_ENABLED: "true",
+    });
+  });
+
+  test("a JSON file must hold an object", () => {
+    const file = path.join(dir, "rgac.json");
+    fs.writeFileSync(file, "[]");
+    assert.throws(() => readConfigFile(file), /must hold an object/);
+  });
+
+  test("uses .env by default and never overrides the environment", () => {
+    fs.writeFileSync(path.join(dir, ".env"), "STORAGE_BACKEND=file\nEMAIL_PROVIDER=smtp\n");
+    const env = { EMAIL_PROVIDER: "sendgrid" };
+    assert.equal(loadConfig(undefined, env, dir), path.join(dir, ".env"));
+    assert.deepEqual(env, { EMAIL_PROVIDER: "sendgrid", STORAGE_BACKEND: "file" });
+  });
+
+  test("no config file is fine unless one was asked for", () => {
+    assert.equal(loadConfig(undefined, {}, dir), null);
+    assert.throws(() => loadConfig("missing.env", {}, dir), /ENOENT/);
+  });
+});
+
+describe("formatTable", () => {
+  test("pads columns and cuts long cells", () => {
+    const table = formatTable(
+      [{ name: "Ada", reason: "Not due yet (8 days away)" }, { name: "Bo\nBello", reason: "" }],
+      [{ key: "name", label: "Name" }, { key: "reason", label: "Reason", width: 10 }]
+    );
+    assert.equal(table, [
+      "Name      Reason",
+      "--------  ----------",
+      "Ada       Not due y…",
+      "Bo Bello",
+    ].join("\n"));
+  });
+});
+
+describe("run log", () => {
+  test("log() goes to the logger that is set, not console.log", () => {
+    const lines = [];
+    const previous = setLogger((...args) => lines.push(args.join(" ")));
+    try {
+      log("Fetched", 3, "rows");
+    } finally {
+      setLogger(previous);
+    }
+    assert.deepEqual(lines, ["Fetched 3 rows"]);
+  });
+
+  test("cli.js hides it unless --verbose", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rgac-cli-"));
+    try {
+      const file = path.join(dir, "sheet.json");
+      fs.writeFileSync(file, JSON.stringify({ "ALL AMC CLIENT": [MASTER_HEADER, ["Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"]] }));
+      const cli = args => execFileSync(process.execPath, [fileURLToPath(new URL("../cli.js", import.meta.url)), "validate", ...args], {
+        cwd: dir,
+        env: { ...process.env, STORAGE_BACKEND: "file", STORAGE_PATH: file },
+        encoding: "utf8",
+      });
+
+      const quiet = cli([]);
+      assert.equal(quiet.trim(), "1 rows checked: 0 error(s), 0 warning(s)");
+      assert.match(cli(["--verbose"]), /PROCESSING CUSTOMERS[\s\S]*1 rows checked/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,156 @@
+import { test, describe, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { loadBusinessCalendar } from "../lib/calendar.js";
+import { processCustomers } from "../lib/master.js";
+import { loadDefaultInterval, loadServicePlans } from "../lib/schedule.js";
+import { checkVisitDate, parseDate, validateCustomers } from "../lib/validation.js";
+import { freezeClock, MASTER_HEADER } from "./helpers.js";
+
+// Defaults: 3-month interval, Sundays closed
+const options = { plans: loadServicePlans({}), defaultInterval: loadDefaultInterval({}), calendar: loadBusinessCalendar({}) };
+
+describe("parseDate", () => {
+  for (const [input, expected] of [
+    ["2026-04-15", "2026-04-15"],
+    ["2026-04-15T09:30:00", "2026-04-15"],
+    ["15/04/2026", "2026-04-15"],
+    ["15-04-2026", "2026-04-15"],
+    ["5/4/2026", "2026-04-05"],
+    ["5-4-2026", "2026-04-05"],
+    ["04/15/2026", "2026-04-15"],
+  ]) {
+    test(`reads ${input}`, () => {
+      assert.equal(parseDate(input).toISODate(), expected);
+    });
+  }
+
+  test("reads day first when both orders are valid", () => {
+    assert.equal(parseDate("03/04/2026").toISODate(), "2026-04-03");
+  });
+
+  test("returns null for blanks and non-dates", () => {
+    assert.equal(parseDate(""), null);
+    assert.equal(parseDate(undefined), null);
+    assert.equal(parseDate("last spring"), null);
+    assert.equal(parseDate("31/02/2026"), null);
+  });
+
+  test("doesn't read dots or single-digit month-first dates", () => {
+    assert.equal(parseDate("13.04.2025"), null);
+    assert.equal(parseDate("03.04.2025"), null);
+    assert.equal(parseDate("3/13/2025"), null);
+  });
+});
+
+describe("checkVisitDate", () => {
+  let restore;
+  afterEach(() => restore?.());
+
+  test("flags day/month ambiguity, unreadable and future dates", () => {
+    restore = freezeClock("2026-10-19T10:00:00+01:00");
+    assert.equal(checkVisitDate("03/04/2026").problem, "ambiguous");
+    assert.equal(checkVisitDate("03/04/2026").date.toISODate(), parseDate("03/04/2026").toISODate());
+    assert.equal(checkVisitDate("04/04/2026").problem, null);
+    assert.equal(checkVisitDate("13/04/2026").problem, null);
+    assert.equal(checkVisitDate("soon").problem, "unreadable");
+    assert.equal(checkVisitDate("2026-10-20").problem, "future");
+    assert.equal(checkVisitDate("2026-10-19").problem, null);
+  });
+
+  test("a date the run can't read is an error, whatever the validator could make of it", () => {
+    restore = freezeClock("2026-10-19T10:00:00+01:00");
+    for (const value of ["13.04.2025", "03.04.2025", "3/13/2025"]) {
+      assert.equal(checkVisitDate(value).problem, "unreadable", value);
+    }
+    const { issues } = validateCustomers([
+      { "Name": "Ada", "Veh. Reg. No.": "LND-123AA", "Last Visit": "13.04.2025" },
+      { "Name": "Bo", "Veh. Reg. No.": "LND-456BB", "Last Visit": "3/13/2025" },
+      { "Name": "Cy", "Veh. Reg. No.": "LND-789CC", "Last Visit": "2025-04-13", "AMC End": "03.04.2026" },
+    ]);
+    assert.deepEqual(issues.map(i => [i.row, i.column, i.severity, i.issue]), [
+      [2, "Last Visit", "ERROR", "Not a date - use yyyy-MM-dd"],
+      [3, "Last Visit", "ERROR", "Not a date - use yyyy-MM-dd"],
+      [4, "AMC End", "ERROR", "Not a date - use yyyy-MM-dd"],
+    ]);
+  });
+
+  test("a dotted Last Visit holds the row back instead of skipping it silently", () => {
+    restore = freezeClock("2026-10-19T10:00:00+01:00");
+    const customers = processCustomers([["Ada", "LND-123AA", "ada@example.com", "", "13.04.2025"]], MASTER_HEADER, options);
+    assert.equal(customers[0]["Next Reminder Date"], "");
+    assert.equal(validateCustomers(customers).issues[0].severity, "ERROR");
+  });
+
+  test("an ambiguous date is a warning that says how it was read", () => {
+    restore = freezeClock("2026-10-19T10:00:00+01:00");
+    const { issues } = validateCustomers([
+      { "Name": "Ada", "Veh. Reg. No.": "LND-123AA", "Last Visit": "03/04/2026" },
+      { "Name": "Bo", "Veh. Reg. No.": "LND-456BB", "Last Visit": "11/12/2026" },
+    ]);
+    assert.deepEqual(issues.map(i => [i.row, i.severity, i.issue]), [
+      [2, "WARNING", "Ambiguous date, read day first as 3 April 2026 - use yyyy-MM-dd if that's wrong"],
+      [3, "ERROR", "Date is in the future"],
+    ]);
+  });
+
+  test("an ambiguous Last Visit still gets its reminder, dated day first", () => {
+    restore = freezeClock("2026-10-19T10:00:00+01:00");
+    const [customer] = processCustomers([["Ada", "LND-123AA", "ada@example.com", "", "03/04/2026"]], MASTER_HEADER, options);
+    assert.equal(customer["Next Reminder Date"], "03-07-2026");
+  });
+
+  test("AMC dates may be in the future but not unreadable or out of order", () => {
+    restore = freezeClock("2026-10-19T10:00:00+01:00");
+    const customer = (plate, start, end) => ({ "Name": "Ada", "Veh. Reg. No.": plate, "Last Visit": "2026-09-01", "AMC Start": start, "AMC End": end });
+    const { issues } = validateCustomers([
+      customer("LND-123AA", "2026-09-01", "2027-08-31"),
+      customer("LND-456BB", "2026-09-01", "03/04/2027"),
+      customer("LND-789CC", "2026-09-01", "2026-08-31"),
+    ]);
+    assert.deepEqual(issues.map(i => [i.row, i.column, i.severity]), [
+      [3, "AMC End", "WARNING"],
+      [4, "AMC End", "WARNING"],
+    ]);
+    assert.match(issues[0].issue, /read day first as 3 April 2027/);
+  });
+});
+
+describe("processCustomers", () => {
+  const run = rows => processCustomers(rows, MASTER_HEADER, options);
+
+  test("sets the next reminder date one interval after Last Visit, in dd-MM-yyyy", () => {
+    const [customer] = run([["Ada", "LND-123AA", "ada@example.com", "", "2026-07-15"]]);
+    assert.equal(customer["Next Reminder Date"], "15-10-2026");
+    assert.equal(customer["Interval Applied"], "3 months");
+    assert.equal(customer["Due Trigger"], "TIME");
+  });
+
+  test("gives the same date whichever format Last Visit is written in", () => {
+    const dates = run([
+      ["A", "", "a@example.com", "", "2026-07-15"],
+      ["B", "", "b@example.com", "", "15/07/2026"],
+      ["C", "", "c@example.com", "", "15-07-2026"],
+    ]).map(c => c["Next Reminder Date"]);
+    assert.deepEqual(dates, ["15-10-2026", "15-10-2026", "15-10-2026"]);
+  });
+
+  test("moves a due date off a closed day", () => {
+    // 2026-07-18 + 3 months is Sunday 2026-10-18
+    const [customer] = run([["Ada", "", "ada@example.com", "", "2026-07-18"]]);
+    assert.equal(customer["Next Reminder Date"], "19-10-2026");
+  });
+
+  test("leaves the date blank when Last Visit can't be read", () => {
+    const [customer] = run([["Ada", "", "ada@example.com", "", "whenever"]]);
+    assert.equal(customer["Next Reminder Date"], "");
+  });
+
+  test("marks rows without email or phone as MISSING CONTACT", () => {
+    const [missing, hasPhone] = run([
+      ["Ada", "", "", "", "2026-07-15"],
+      ["Bo", "", "", "08031234567", "2026-07-15"],
+    ]);
+    assert.equal(missing["Manual Contact"], "MISSING CONTACT");
+    assert.equal(hasPhone["Manual Contact"], "");
+  });
+});
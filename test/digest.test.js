@@ -0,0 +1,52 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mainSync } from "../index.js";
+import { OUTBOX_HEADER, readOutbox } from "../lib/outbox.js";
+import { createMemoryStorage } from "../lib/storage.js";
+import { createFakeChannels, freezeClock, MASTER_HEADER, setEnv } from "./helpers.js";
+
+const SHEET = "ALL AMC CLIENT";
+
+describe("staff digest", () => {
+  let restore, restoreEnv;
+  beforeEach(() => {
+    restore = freezeClock("2026-06-15T10:00:00+01:00");
+    restoreEnv = setEnv({ STAFF_DIGEST_TO: "desk@example.com" });
+  });
+  afterEach(() => {
+    restoreEnv();
+    restore();
+  });
+
+  const storage = outbox => createMemoryStorage({
+    [SHEET]: [MASTER_HEADER, ["Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"]],
+    Outbox: [OUTBOX_HEADER, ...outbox.map(values => OUTBOX_HEADER.map(col => values[col] || ""))],
+  });
+  const digests = sent => sent.filter(s => s.to.includes("desk@example.com"));
+
+  test("goes out once a day alongside the reminders", async () => {
+    const tabs = storage([]);
+    const first = createFakeChannels();
+    await mainSync(tabs, { channels: first.channels });
+    const second = createFakeChannels();
+    await mainSync(tabs, { channels: second.channels });
+
+    assert.equal(digests(first.sent).length, 1);
+    assert.match(digests(first.sent)[0].message.subject, /Service reminder digest 2026-06-15/);
+    assert.equal(second.sent.length, 0);
+  });
+
+  test("replaces an earlier digest still waiting to go out", async () => {
+    const tabs = storage([
+      { "Message ID": "yesterday", "Channel": "EMAIL", "To": "desk@example.com", "Reminders": "digest:2026-06-14", "Status": "RETRY", "Attempts": "1", "Next Attempt At": "2026-06-14T08:05:00+01:00" },
+    ]);
+    const { channels, sent } = createFakeChannels();
+    await mainSync(tabs, { channels });
+
+    const messages = await readOutbox(tabs, "Outbox");
+    const status = reminders => messages.find(m => m["Reminders"] === reminders)["Status"];
+    assert.equal(status("digest:2026-06-15"), "SENT");
+    assert.equal(status("digest:2026-06-14"), "CANCELLED");
+    assert.equal(digests(sent).length, 1);
+  });
+});
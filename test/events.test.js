@@ -0,0 +1,140 @@
+import { test, describe, before, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { Readable } from "node:stream";
+import handler from "../api/events.js";
+import { recordEmailEvents } from "../index.js";
+import { createFileStorage, createMemoryStorage } from "../lib/storage.js";
+import { parseSendGridEvents, SIGNATURE_HEADER, TIMESTAMP_HEADER, verifySendGridSignature } from "../lib/webhooks.js";
+import { createFakeResponse, freezeClock, MASTER_HEADER, setEnv } from "./helpers.js";
+
+const SHEET = "ALL AMC CLIENT";
+const TIMESTAMP = "1781514000";
+
+let privateKey, publicKey;
+before(() => {
+  const pair = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  privateKey = pair.privateKey;
+  publicKey = pair.publicKey.export({ format: "der", type: "spki" }).toString("base64");
+});
+
+const sign = body => crypto.createSign("sha256").update(TIMESTAMP + body).sign(privateKey, "base64");
+
+const event = (type, extra = {}) => ({
+  email: "ada@example.com",
+  event: type,
+  rg_customer_ids: "RG-1",
+  timestamp: 1781514000,
+  ...extra,
+});
+
+describe("verifySendGridSignature", () => {
+  test("accepts the raw body as signed and nothing else", () => {
+    const env = { SENDGRID_WEBHOOK_PUBLIC_KEY: publicKey };
+    const body = JSON.stringify([event("delivered")]);
+    assert.equal(verifySendGridSignature(body, sign(body), TIMESTAMP, env), true);
+    assert.equal(verifySendGridSignature(body.replace("delivered", "open"), sign(body), TIMESTAMP, env), false);
+    assert.equal(verifySendGridSignature(body, sign(body), "1781514001", env), false);
+    assert.equal(verifySendGridSignature(body, "", TIMESTAMP, env), false);
+  });
+});
+
+describe("recordEmailEvents", () => {
+  let restore;
+  beforeEach(() => { restore = freezeClock("2026-06-15T10:00:00+01:00"); });
+  afterEach(() => restore());
+
+  test("moves Delivery Status forward only, and flags hard bounces", async () => {
+    const storage = createMemoryStorage({
+      [SHEET]: [
+        ["Customer ID", ...MASTER_HEADER, "Delivery Status"],
+        ["RG-1", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22", "SENT"],
+        ["RG-2", "Bo", "LND-456BB", "bo@example.com", "", "2026-03-22", "SENT"],
+      ],
+    });
+    const events = parseSendGridEvents([
+      event("open"),
+      event("delivered"),
+      event("bounce", { email: "bo@example.com", rg_customer_ids: "RG-2", reason: "550 No such user" }),
+    ]);
+    const counts = await recordEmailEvents(storage, events);
+
+    assert.deepEqual(counts, { matched: 3, unmatched: 0, bounced: 1 });
+    const [header, ada, bo] = storage.tabs[SHEET];
+    assert.equal(ada[header.indexOf("Delivery Status")], "OPENED");
+    assert.equal(bo[header.indexOf("Delivery Status")], "BOUNCED: 550 No such user");
+    assert.equal(bo[header.indexOf("Bounced Email")], "bo@example.com");
+  });
+});
+
+describe("/api/events", () => {
+  let dir, file, restoreEnv;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "rgac-events-"));
+    file = path.join(dir, "sheet.json");
+    await fs.writeFile(file, JSON.stringify({
+      [SHEET]: [["Customer ID", ...MASTER_HEADER, "Delivery Status"], ["RG-1", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22", "SENT"]],
+    }));
+    restoreEnv = setEnv({ SENDGRID_WEBHOOK_PUBLIC_KEY: publicKey, STORAGE_BACKEND: "file", STORAGE_PATH: file });
+  });
+  afterEach(async () => {
+    restoreEnv();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  // With "helpers": false the body arrives as the unread request stream
+  const streamRequest = (body, headers) =>
+    Object.assign(Readable.from([Buffer.from(body)]), { method: "POST", url: "/api/events", headers });
+
+  const call = async req => {
+    const res = createFakeResponse({ helpers: false });
+    await handler(req, res);
+    return { status: res.statusCode, body: JSON.parse(res.body) };
+  };
+
+  const deliveryStatus = async () => {
+    const [header, row] = await createFileStorage(file).getValues(SHEET);
+    return row[header.indexOf("Delivery Status")];
+  };
+
+  test("reads the signed body from the request stream", async () => {
+    const body = JSON.stringify([event("delivered")]);
+    const headers = { [SIGNATURE_HEADER]: sign(body), [TIMESTAMP_HEADER]: TIMESTAMP };
+    const res = await call(streamRequest(body, headers));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { ok: true, received: 1, matched: 1, unmatched: 0, bounced: 0 });
+    assert.equal(await deliveryStatus(), "DELIVERED");
+  });
+
+  test("accepts a body the platform kept as a Buffer", async () => {
+    const body = JSON.stringify([event("open")]);
+    const headers = { [SIGNATURE_HEADER]: sign(body), [TIMESTAMP_HEADER]: TIMESTAMP };
+    const res = await call({ method: "POST", url: "/api/events", headers, body: Buffer.from(body) });
+
+    assert.equal(res.status, 200);
+    assert.equal(await deliveryStatus(), "OPENED");
+  });
+
+  test("refuses a body that was already parsed, since the signature can't be checked", async () => {
+    const body = JSON.stringify([event("delivered")]);
+    const headers = { [SIGNATURE_HEADER]: sign(body), [TIMESTAMP_HEADER]: TIMESTAMP };
+    const res = await call({ method: "POST", url: "/api/events", headers, body: JSON.parse(body) });
+
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /already parsed/);
+    assert.equal(await deliveryStatus(), "SENT");
+  });
+
+  test("refuses a wrong signature and other methods", async () => {
+    const body = JSON.stringify([event("delivered")]);
+    const headers = { [SIGNATURE_HEADER]: sign("[]"), [TIMESTAMP_HEADER]: TIMESTAMP };
+    assert.equal((await call(streamRequest(body, headers))).status, 401);
+    assert.equal((await call({ method: "GET", url: "/api/events", headers: {} })).status, 405);
+    assert.equal(await deliveryStatus(), "SENT");
+  });
+});
@@ -0,0 +1,174 @@
+import { DateTime, Settings } from "luxon";
+import { applyBusinessTimezone } from "../lib/calendar.js";
+import { createChannels } from "../lib/reminders.js";
+
+// Shared fakes for the test suite: a Sheets API client for createGoogleSheetsStorage,
+// send functions that record instead of sending, and a frozen clock.
+
+// Like the entry points, tests work in the workshop's zone (Africa/Lagos)
+applyBusinessTimezone({});
+
+export const MASTER_HEADER = ["Name", "Veh. Reg. No.", "Email Add.", "Phone Number", "Last Visit"];
+
+// Freezes luxon's clock (everything in lib/ reads the time through luxon) at an
+// ISO instant. Returns a function that restores the real clock.
+export function freezeClock(iso) {
+  const millis = DateTime.fromISO(iso, { setZone: true }).toMillis();
+  Settings.now = () => millis;
+  return () => { Settings.now = () => Date.now(); };
+}
+
+// Implements the parts of googleapis' sheets.spreadsheets the storage adapter
+// calls, over in-memory tabs. `calls` keeps every write for assertions.
+export function createFakeSheetsClient(initialTabs = {}) {
+  const tabs = {};
+  for (const [name, rows] of Object.entries(initialTabs)) tabs[name] = rows.map(row => row.map(String));
+  const calls = [];
+  const sheetIds = new Map(Object.keys(tabs).map((title, i) => [title, i + 1]));
+  const sheetIdOf = title => {
+    if (!sheetIds.has(title)) sheetIds.set(title, sheetIds.size + 1000);
+    return sheetIds.get(title);
+  };
+
+  const parseRange = range => {
+    const [, tab, letters, row] = range.match(/^(.*?)(?:!([A-Z]+)(\d+))?$/);
+    const column = letters ? [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1 : 0;
+    return { tab, column, row: row ? Number(row) : 1 };
+  };
+  // Like the real API, the values methods fail on a tab that doesn't exist
+  const tabRows = range => {
+    const { tab } = parseRange(range);
+    if (!tabs[tab]) {
+      throw Object.assign(new Error(`Unable to parse range: ${range}`), { code: 400, status: 400 });
+    }
+    return tabs[tab];
+  };
+  const write = (range, values) => {
+    const rows = tabRows(range);
+    const { column, row } = parseRange(range);
+    values.forEach((values, r) => {
+      while (rows.length < row + r) rows.push([]);
+      const target = rows[row + r - 1];
+      values.forEach((value, c) => {
+        while (target.length < column + c) target.push("");
+        target[column + c] = String(value);
+      });
+    });
+  };
+
+  const sheets = {
+    spreadsheets: {
+      async get() {
+        return { data: { sheets: Object.keys(tabs).map(title => ({ properties: { sheetId: sheetIdOf(title), title } })) } };
+      },
+      async batchUpdate({ requestBody }) {
+        const replies = [];
+        for (const request of requestBody.requests) {
+          if (request.addSheet) {
+            const { title } = request.addSheet.properties;
+            tabs[title] ||= [];
+            replies.push({ addSheet: { properties: { sheetId: sheetIdOf(title), title } } });
+          } else if (request.deleteSheet) {
+            calls.push({ method: "deleteSheet", sheetId: request.deleteSheet.sheetId });
+            const title = [...sheetIds].find(([, id]) => id === request.deleteSheet.sheetId)?.[0];
+            delete tabs[title];
+            sheetIds.delete(title);
+            replies.push({});
+          }
+        }
+        return { data: { replies } };
+      },
+      values: {
+        async get({ range }) {
+          const rows = tabRows(range);
+          // Like the real API: trailing empty cells and rows are not returned
+          const trimmed = rows.map(row => {
+            const copy = [...row];
+            while (copy.length > 0 && copy[copy.length - 1] === "") copy.pop();
+            return copy;
+          });
+          while (trimmed.length > 0 && trimmed[trimmed.length - 1].length === 0) trimmed.pop();
+          return { data: { values: trimmed.length > 0 ? trimmed : undefined } };
+        },
+        async update({ range, requestBody }) {
+          calls.push({ method: "update", range, values: requestBody.values });
+          write(range, requestBody.values);
+          return { data: {} };
+        },
+        async batchUpdate({ requestBody }) {
+          calls.push({ method: "batchUpdate", data: requestBody.data });
+          for (const { range, values } of requestBody.data) write(range, values);
+          return { data: {} };
+        },
+        async append({ range, requestBody }) {
+          calls.push({ method: "append", range, values: requestBody.values });
+          const rows = tabRows(range);
+          while (rows.length > 0 && rows[rows.length - 1].every(cell => cell === "")) rows.pop();
+          write(`${parseRange(range).tab}!A${rows.length + 1}`, requestBody.values);
+          return { data: {} };
+        },
+        async clear({ range }) {
+          calls.push({ method: "clear", range });
+          tabRows(range).length = 0;
+          return { data: {} };
+        },
+      },
+    },
+  };
+  return { sheets, tabs, calls };
+}
+
+// Channels whose send functions record the message. `fail(to)` may return an
+// Error to throw for that recipient; `branch` is passed on to createChannels.
+export function createFakeChannels({ fail = () => null, textEnabled = false, branch } = {}) {
+  const sent = [];
+  const record = channel => async (to, message, meta = {}) => {
+    const error = fail(to);
+    if (error) throw error;
+    sent.push({ channel, to, message, meta });
+  };
+  const channels = createChannels({
+    email: record("EMAIL"),
+    text: (kind, to, text) => record(kind.toUpperCase())(to, { text }),
+    close: () => {},
+    textEnabled,
+    branch,
+  });
+  return { channels, sent };
+}
+
+// The parts of Vercel's request and response objects the api/ handlers use.
+// `res.body` holds whatever was sent. Without `helpers` the response only has
+// Node's own methods, like a route deployed with "helpers": false.
+export function createFakeRequest({ method = "GET", url = "/", headers = {}, body } = {}) {
+  return { method, url, headers, body };
+}
+
+export function createFakeResponse({ helpers = true } = {}) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; return this; },
+    end(body) { this.body = body; return this; },
+  };
+  if (!helpers) return res;
+  return {
+    ...res,
+    status(code) { this.statusCode = code; return this; },
+    send(body) { this.body = body; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+// Sets environment variables for one test; returns a function that puts them back.
+export function setEnv(vars) {
+  const saved = Object.fromEntries(Object.keys(vars).map(name => [name, process.env[name]]));
+  Object.assign(process.env, vars);
+  return () => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  };
+}
@@ -0,0 +1,199 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { DateTime } from "luxon";
+import { mainSync } from "../index.js";
+import { AMC_COLUMNS, RENEWAL_TYPES } from "../lib/amc.js";
+import { loadBusinessCalendar } from "../lib/calendar.js";
+import { DEFAULT_CADENCE } from "../lib/cadence.js";
+import { formatDate, LANGUAGES, parseLanguage, translateInterval } from "../lib/languages.js";
+import { REQUIRED_COLUMNS, processCustomers } from "../lib/master.js";
+import { loadOutbox, loadSendConfig } from "../lib/outbox.js";
+import { COMBINED_TYPE, REMINDER_TYPES, sendReminders } from "../lib/reminders.js";
+import { loadDefaultInterval, loadServicePlans } from "../lib/schedule.js";
+import { createGoogleSheetsStorage, createMemoryStorage } from "../lib/storage.js";
+import { loadTemplates } from "../lib/templates.js";
+import { createFakeChannels, createFakeSheetsClient, freezeClock, MASTER_HEADER } from "./helpers.js";
+
+// Monday 15 June 2026; a Last Visit of 22 March makes the 7-day reminder due today
+const HEADER = ["Customer ID", "Name", "Veh. Reg. No.", "Email Add.", "Phone Number", "Last Visit", "Language"];
+const TYPES = [...REMINDER_TYPES, COMBINED_TYPE];
+
+async function run(rows, templateOptions = {}) {
+  const customers = processCustomers(rows, HEADER, {
+    plans: loadServicePlans({}),
+    defaultInterval: loadDefaultInterval({}),
+    calendar: loadBusinessCalendar({}),
+  });
+  const { channels, sent } = createFakeChannels();
+  const result = await sendReminders(customers, {
+    templates: await loadTemplates({ types: TYPES, columns: REQUIRED_COLUMNS, env: {}, ...templateOptions }),
+    outbox: await loadOutbox(createMemoryStorage()),
+    channels,
+    cadence: DEFAULT_CADENCE,
+    sendConfig: loadSendConfig({}),
+    calendar: loadBusinessCalendar({}),
+  });
+  return { ...result, sent };
+}
+
+let restore;
+beforeEach(() => { restore = freezeClock("2026-06-15T10:00:00+01:00"); });
+afterEach(() => restore());
+
+describe("languages", () => {
+  test("the Language column takes a code or a name", () => {
+    assert.equal(parseLanguage(""), "en");
+    assert.equal(parseLanguage("yo"), "yo");
+    assert.equal(parseLanguage(" Yoruba "), "yo");
+    assert.equal(parseLanguage("Pidgin"), "pcm");
+    assert.equal(parseLanguage("HAUSA"), "ha");
+    assert.equal(parseLanguage("Igbo"), "ig");
+    assert.equal(parseLanguage("French"), null);
+  });
+
+  test("dates and intervals are written for the language", () => {
+    const date = DateTime.fromISO("2026-06-22");
+    assert.equal(formatDate(date), "22-06-2026");
+    assert.equal(formatDate(date, "yo"), "22 Oṣù Òkúdu 2026");
+    assert.equal(formatDate(date, "ha"), "22 Yuni 2026");
+    assert.equal(translateInterval("3 months", "ig"), "ọnwa 3");
+    assert.equal(translateInterval("1 week", "ha"), "mako 1");
+    assert.equal(translateInterval("3 months", "pcm"), "3 months");
+  });
+
+  test("every email type is translated into every language", async () => {
+    const types = [...TYPES, ...RENEWAL_TYPES];
+    const templates = await loadTemplates({ types, columns: [...REQUIRED_COLUMNS, ...AMC_COLUMNS], env: {} });
+    for (const language of Object.keys(LANGUAGES)) {
+      for (const type of types) assert.equal(templates.languageFor(type, language), language, `${language} ${type}`);
+    }
+  });
+});
+
+describe("localized reminders", () => {
+  test("go out in the customer's language, with its dates", async () => {
+    const { sent, decisions, updatedCustomers } = await run([
+      ["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22", "Yoruba"],
+      ["RG-B", "Bo", "LND-456BB", "bo@example.com", "", "2026-03-22", ""],
+    ]);
+    const [ada, bo] = sent.map(s => s.message);
+
+    assert.equal(ada.subject, "Ìránnilétí Ìtọ́jú Ọkọ̀ Tó Ń Bọ̀ - Ada");
+    assert.match(ada.text, /Ìtọ́jú tó kàn: 22 Oṣù Òkúdu 2026/);
+    assert.match(ada.text, /àkókò \(ní gbogbo oṣù 3\)/);
+    assert.match(ada.html, /<html lang="yo">/);
+    assert.equal(decisions[0].language, "yo");
+    assert.equal(updatedCustomers[0]["Language Used"], "yo");
+
+    assert.equal(bo.subject, "Upcoming Service Reminder - Bo");
+    assert.match(bo.text, /Next Service Due: 22-06-2026/);
+    assert.equal(updatedCustomers[1]["Language Used"], "en");
+  });
+
+  test("a combined message follows the most urgent vehicle's language", async () => {
+    const { sent } = await run([
+      ["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22", "pidgin"],
+      ["RG-B", "Ada", "LND-456BB", "ada@example.com", "", "2026-03-15", "ig"],
+    ]);
+    const [{ message }] = sent;
+    assert.match(message.subject, /^Ncheta Ọrụ Maka Ụgbọ Ala 2 Gị/);
+    assert.match(message.text, /- LND-456BB: oge ya bụ taa/);
+    assert.match(message.text, /- LND-123AA: oge ya bụ 22 Jun 2026 \(n'ime ụbọchị 7\)/);
+  });
+
+  test("fall back to English when the type has no translation", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rgac-templates-"));
+    try {
+      fs.cpSync(new URL("../templates/", import.meta.url), dir, { recursive: true });
+      fs.rmSync(path.join(dir, "ha", "ADVANCE_7DAY"), { recursive: true });
+      const { sent, updatedCustomers } = await run(
+        [["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22", "Hausa"]],
+        { dir }
+      );
+      assert.equal(sent[0].message.subject, "Upcoming Service Reminder - Ada");
+      assert.match(sent[0].message.text, /Next Service Due: 22-06-2026/);
+      assert.equal(updatedCustomers[0]["Language Used"], "en");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("a Templates tab row with a Language overrides that translation", async () => {
+    const storage = createMemoryStorage({
+      "Templates": [
+        ["Type", "Language", "Subject"],
+        ["ADVANCE_7DAY", "Hausa", "Tunatarwa - {{Name}}"],
+        ["ADVANCE_7DAY", "", "Reminder - {{Name}}"],
+      ],
+    });
+    const { sent } = await run([
+      ["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22", "ha"],
+      ["RG-B", "Bo", "LND-456BB", "bo@example.com", "", "2026-03-22", ""],
+    ], { storage });
+    assert.deepEqual(sent.map(s => s.message.subject), ["Tunatarwa - Ada", "Reminder - Bo"]);
+
+    storage.tabs["Templates"][1][1] = "Klingon";
+    await assert.rejects(
+      loadTemplates({ types: TYPES, columns: REQUIRED_COLUMNS, storage, env: {} }),
+      /Templates tab: unknown language "Klingon" for ADVANCE_7DAY/
+    );
+  });
+
+  test("a partial Templates tab row for an untranslated type takes the other parts from English", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rgac-templates-"));
+    try {
+      fs.cpSync(new URL("../templates/", import.meta.url), dir, { recursive: true });
+      fs.rmSync(path.join(dir, "yo", "ADVANCE_7DAY"), { recursive: true });
+      const storage = createMemoryStorage({
+        "Templates": [["Type", "Language", "Subject"], ["ADVANCE_7DAY", "Yoruba", "Ìránnilétí - {{Name}}"]],
+      });
+      const { sent, updatedCustomers } = await run([
+        ["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22", "yo"],
+        ["RG-B", "Bo", "LND-456BB", "bo@example.com", "", "2026-03-22", ""],
+      ], { storage, dir });
+
+      assert.deepEqual(sent.map(s => s.message.subject), ["Ìránnilétí - Ada", "Upcoming Service Reminder - Bo"]);
+      assert.match(sent[0].message.text, /^Dear Ada,/);
+      assert.match(sent[0].message.sms, /: Dear Ada, your vehicle LND-123AA is due for service/);
+      assert.equal(updatedCustomers[0]["Language Used"], "yo");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("mainSync with a Language column", () => {
+  test("records the language used and flags unknown languages", async () => {
+    const fake = createFakeSheetsClient({
+      "ALL AMC CLIENT": [
+        [...MASTER_HEADER, "Language"],
+        ["Ada", "LND-123AA", "ada@example.com", "", "2026-03-22", "Igbo"],
+        ["Bo", "LND-456BB", "bo@example.com", "", "2026-03-22", "Klingon"],
+      ],
+    });
+    const storage = createGoogleSheetsStorage({ spreadsheetId: "test", sheets: fake.sheets });
+    const { channels, sent } = createFakeChannels();
+    await mainSync(storage, { channels });
+
+    const [header, ...rows] = fake.tabs["ALL AMC CLIENT"];
+    const column = name => rows.map(row => row[header.indexOf(name)]);
+    assert.deepEqual(column("Language Used"), ["ig", "en"]);
+    assert.match(sent[0].message.subject, /^Ncheta/);
+
+    const runDetails = fake.tabs["Run Details"];
+    assert.deepEqual(runDetails.slice(1).map(row => row[runDetails[0].indexOf("Language")]), ["ig", "en"]);
+
+    const [issue] = fake.tabs["Data Issues"].slice(1);
+    assert.deepEqual(issue.slice(4, 7), ["Language", "Klingon", "WARNING"]);
+  });
+
+  test("adds no language column to a Master without one", async () => {
+    const fake = createFakeSheetsClient({ "ALL AMC CLIENT": [MASTER_HEADER, ["Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"]] });
+    const { channels } = createFakeChannels();
+    await mainSync(createGoogleSheetsStorage({ spreadsheetId: "test", sheets: fake.sheets }), { channels });
+    assert.equal(fake.tabs["ALL AMC CLIENT"][0].includes("Language Used"), false);
+  });
+});
@@ -0,0 +1,165 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  REQUIRED_COLUMNS,
+  assignCustomerIds,
+  customerKey,
+  ensureColumns,
+  fetchSheetRows,
+  findRowByKey,
+  updateReminderFieldsInMaster,
+  writeCustomerIds,
+} from "../lib/master.js";
+import { createGoogleSheetsStorage } from "../lib/storage.js";
+import { createFakeSheetsClient, freezeClock, MASTER_HEADER } from "./helpers.js";
+
+const SHEET = "ALL AMC CLIENT";
+
+describe("ensureColumns", () => {
+  test("appends missing columns after the existing ones, in required order", () => {
+    const { header, changed } = ensureColumns(["Name", "Notes", "Email Add."], ["Customer ID", "Name", "Email Add.", "Phone Number"]);
+    assert.equal(changed, true);
+    assert.deepEqual(header, ["Name", "Notes", "Email Add.", "Customer ID", "Phone Number"]);
+  });
+
+  test("reports no change when every column is there", () => {
+    const original = ["Phone Number", "Name"];
+    const { header, changed } = ensureColumns(original, ["Name", "Phone Number"]);
+    assert.equal(changed, false);
+    assert.deepEqual(header, original);
+    assert.notEqual(header, original);
+  });
+
+  test("extends an empty header to the full required set", () => {
+    const { header } = ensureColumns([], REQUIRED_COLUMNS);
+    assert.deepEqual(header, REQUIRED_COLUMNS);
+  });
+});
+
+describe("assignCustomerIds", () => {
+  test("fills missing and duplicate IDs and leaves blank rows alone", () => {
+    const header = ["Customer ID", "Name"];
+    const rows = [["RG-1", "Ada"], ["", "Bo"], ["RG-1", "Cy"], ["", ""]];
+    const assigned = assignCustomerIds(rows, header);
+    assert.deepEqual(assigned.map(a => a.rowIndex), [1, 2]);
+    assert.equal(rows[0][0], "RG-1");
+    assert.match(rows[1][0], /^RG-[A-Z2-9]{8}$/);
+    assert.notEqual(rows[2][0], "RG-1");
+    assert.equal(rows[3][0], "");
+  });
+});
+
+describe("writeCustomerIds", () => {
+  const header = ["Customer ID", "Name", "Veh. Reg. No."];
+  let fake, storage;
+
+  beforeEach(() => {
+    fake = createFakeSheetsClient({ [SHEET]: [header, ["", "Ada", "LND-123AA"], ["", "Bo", "LND-456BB"]] });
+    storage = createGoogleSheetsStorage({ spreadsheetId: "test", sheets: fake.sheets });
+  });
+
+  test("writes new IDs cell by cell", async () => {
+    const { rows } = await fetchSheetRows(storage, SHEET);
+    const snapshot = rows.map(row => [...row]);
+    const assigned = assignCustomerIds(rows, header);
+
+    assert.equal(await writeCustomerIds(storage, SHEET, assigned, snapshot, header), 0);
+    assert.deepEqual(fake.tabs[SHEET].slice(1).map(row => row[0]), assigned.map(a => a.id));
+    assert.deepEqual(fake.calls.map(c => c.method), ["batchUpdate"]);
+  });
+
+  test("skips rows that moved or were renamed since they were read", async () => {
+    const { rows } = await fetchSheetRows(storage, SHEET);
+    const snapshot = rows.map(row => [...row]);
+    const assigned = assignCustomerIds(rows, header);
+    fake.tabs[SHEET].splice(1, 0, ["", "Cy", "LND-789CC"]);
+
+    assert.equal(await writeCustomerIds(storage, SHEET, assigned, snapshot, header), 2);
+    assert.deepEqual(fake.tabs[SHEET].slice(1).map(row => row[0]), ["", "", ""]);
+  });
+});
+
+describe("finding a customer's row", () => {
+  const idx = { "Customer ID": 0, "Name": 1, "Veh. Reg. No.": 2 };
+  const rows = [["RG-1", "Ada", "LND-123AA"], ["RG-2", "Ada", "KJA 456 BB"]];
+
+  test("by Customer ID, or by the Name|plate key older links carry", () => {
+    assert.equal(findRowByKey(rows, idx, "RG-2"), 1);
+    assert.equal(findRowByKey(rows, idx, "Ada|kja-456-bb"), 1);
+    assert.equal(findRowByKey(rows, idx, "RG-3"), -1);
+    assert.equal(findRowByKey(rows, idx, "Bo|LND-123AA"), -1);
+  });
+
+  test("customerKey falls back to Name|plate before an ID is assigned", () => {
+    assert.equal(customerKey({ "Customer ID": "RG-1", "Name": "Ada" }), "RG-1");
+    assert.equal(customerKey({ "Name": "Ada", "Veh. Reg. No.": "LND-123AA" }), "Ada|LND-123AA");
+  });
+});
+
+describe("Master write-back", () => {
+  const header = ["Customer ID", ...MASTER_HEADER, "Manual Contact", "Last Email Sent", "Email Type"];
+  let fake, storage, restore;
+
+  beforeEach(() => {
+    restore = freezeClock("2026-06-15T10:00:00+01:00");
+    fake = createFakeSheetsClient({
+      [SHEET]: [
+        header,
+        ["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22", "", "", ""],
+        ["RG-B", "Bo", "LND-456BB", "bo@example.com", "", "2026-03-12", "", "", ""],
+      ],
+    });
+    storage = createGoogleSheetsStorage({ spreadsheetId: "test", sheets: fake.sheets });
+  });
+  afterEach(() => restore());
+
+  const customersFrom = (rows, changes) => rows.map(row => ({
+    ...Object.fromEntries(header.map((h, i) => [h, row[i] || ""])),
+    ...changes[row[0]],
+  }));
+
+  test("writes only the cells that changed, in one batch, matched by Customer ID", async () => {
+    const snapshot = await fetchSheetRows(storage, SHEET);
+    const customers = customersFrom(snapshot.rows, { "RG-B": { "Last Email Sent": "2026-06-15", "Email Type": "OVERDUE" } });
+    // Someone sorts the sheet while the run is sending
+    fake.tabs[SHEET] = [header, fake.tabs[SHEET][2], fake.tabs[SHEET][1]];
+
+    const { cellsWritten, conflicts } = await updateReminderFieldsInMaster(storage, customers, snapshot, SHEET);
+    assert.equal(cellsWritten, 2);
+    assert.deepEqual(conflicts, []);
+    const writes = fake.calls.filter(c => c.method === "batchUpdate");
+    assert.equal(writes.length, 1);
+    assert.deepEqual(writes[0].data.map(d => d.range), [`${SHEET}!H2`, `${SHEET}!I2`]);
+    assert.deepEqual(fake.tabs[SHEET][1].slice(7), ["2026-06-15", "OVERDUE"]);
+    assert.deepEqual(fake.tabs[SHEET][2].slice(7), ["", ""]);
+  });
+
+  test("leaves a cell edited during the run alone and reports it", async () => {
+    const snapshot = await fetchSheetRows(storage, SHEET);
+    const customers = customersFrom(snapshot.rows, { "RG-A": { "Manual Contact": "CALL - NO RESPONSE", "Last Email Sent": "2026-06-15" } });
+    fake.tabs[SHEET][1][6] = "CALLED 14/06";
+
+    const { cellsWritten, conflicts } = await updateReminderFieldsInMaster(storage, customers, snapshot, SHEET);
+    assert.equal(cellsWritten, 1);
+    assert.deepEqual(conflicts, ["RG-A Ada: Manual Contact was edited during the run"]);
+    assert.equal(fake.tabs[SHEET][1][6], "CALLED 14/06");
+    assert.equal(fake.tabs[SHEET][1][7], "2026-06-15");
+  });
+
+  test("skips a row whose customer details changed or that was deleted", async () => {
+    const snapshot = await fetchSheetRows(storage, SHEET);
+    const customers = customersFrom(snapshot.rows, {
+      "RG-A": { "Last Email Sent": "2026-06-15" },
+      "RG-B": { "Last Email Sent": "2026-06-15" },
+    });
+    fake.tabs[SHEET][1][3] = "ada.new@example.com";
+    fake.tabs[SHEET].splice(2, 1);
+
+    const { cellsWritten, conflicts } = await updateReminderFieldsInMaster(storage, customers, snapshot, SHEET);
+    assert.equal(cellsWritten, 0);
+    assert.deepEqual(conflicts, [
+      "RG-A Ada: Email Add. changed during the run",
+      "RG-B Bo: row no longer in Master",
+    ]);
+  });
+});
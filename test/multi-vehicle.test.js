@@ -0,0 +1,159 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mainSync } from "../index.js";
+import { loadBusinessCalendar } from "../lib/calendar.js";
+import { DEFAULT_CADENCE } from "../lib/cadence.js";
+import { REQUIRED_COLUMNS, processCustomers } from "../lib/master.js";
+import { loadOutbox, loadSendConfig } from "../lib/outbox.js";
+import { COMBINED_TYPE, REMINDER_TYPES, sendReminders } from "../lib/reminders.js";
+import { loadDefaultInterval, loadServicePlans } from "../lib/schedule.js";
+import { createMemoryStorage } from "../lib/storage.js";
+import { loadTemplates } from "../lib/templates.js";
+import { createFakeChannels, freezeClock, setEnv } from "./helpers.js";
+
+// Monday 15 June 2026. Due dates are three months after Last Visit, so
+// 2026-03-22 is due in 7 days, 2026-03-15 today and 2026-03-12 three days ago.
+const NOW = "2026-06-15T10:00:00+01:00";
+const HEADER = ["Customer ID", "Name", "Veh. Reg. No.", "Email Add.", "Phone Number", "Last Visit"];
+
+async function run(rows, { fail, textEnabled = false } = {}) {
+  const { channels, sent } = createFakeChannels({ fail, textEnabled });
+  const customers = processCustomers(rows, HEADER, {
+    plans: loadServicePlans({}),
+    defaultInterval: loadDefaultInterval({}),
+    calendar: loadBusinessCalendar({}),
+  });
+  const result = await sendReminders(customers, {
+    templates: await loadTemplates({ types: [...REMINDER_TYPES, COMBINED_TYPE], columns: REQUIRED_COLUMNS, env: {} }),
+    outbox: await loadOutbox(createMemoryStorage()),
+    channels,
+    cadence: DEFAULT_CADENCE,
+    sendConfig: loadSendConfig({}),
+    calendar: loadBusinessCalendar({}),
+  });
+  return { ...result, sent };
+}
+
+let restore;
+beforeEach(() => { restore = freezeClock(NOW); });
+afterEach(() => restore());
+
+describe("combined reminders", () => {
+  test("list every due vehicle in one message, most overdue first", async () => {
+    const { sent } = await run([
+      ["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"],
+      ["RG-B", "Ada", "LND-456BB", "ada@example.com", "", "2026-03-15"],
+      ["RG-C", "Ada", "LND-789CC", "ada@example.com", "", "2026-03-12"],
+    ]);
+
+    assert.equal(sent.length, 1);
+    const { subject, text } = sent[0].message;
+    assert.equal(subject, "Service Reminder for Your 3 Vehicles - Ada");
+    const plates = text.split("\n").filter(line => line.startsWith("- ")).map(line => line.slice(2, 11));
+    assert.deepEqual(plates, ["LND-789CC", "LND-456BB", "LND-123AA"]);
+    assert.deepEqual(sent[0].meta.customerIds, ["RG-C", "RG-B", "RG-A"]);
+  });
+
+  test("each vehicle's row keeps its own type and cadence", async () => {
+    const { updatedCustomers, decisions } = await run([
+      ["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"],
+      ["RG-B", "Ada", "LND-456BB", "ada@example.com", "", "2026-03-12"],
+    ]);
+
+    assert.deepEqual(updatedCustomers.map(c => [c["Email Type"], c["Last Email Sent"], c["Reminder History"]]), [
+      ["ADVANCE_7DAY", "2026-06-15", "due 2026-06-22: -7@2026-06-15"],
+      ["OVERDUE", "2026-06-15", "due 2026-06-12: 3@2026-06-15"],
+    ]);
+    assert.ok(decisions.every(d => d.decision === "SENT" && /combined with 1 other vehicle/.test(d.reason)));
+  });
+
+  test("give each vehicle its own booking link", async () => {
+    const restoreEnv = setEnv({ PUBLIC_BASE_URL: "https://rgac.example.com", LINK_SIGNING_SECRET: "secret" });
+    try {
+      const { sent } = await run([
+        ["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"],
+        ["RG-B", "Ada", "LND-456BB", "ada@example.com", "", "2026-03-12"],
+      ]);
+
+      assert.equal(sent.length, 1);
+      const { text, html } = sent[0].message;
+      const lines = text.split("\n");
+      const linkUnder = plate => lines[lines.findIndex(line => line.startsWith(`- ${plate}`)) + 1].trim();
+      assert.equal(new URL(linkUnder("LND-456BB")).searchParams.get("c"), "RG-B");
+      assert.equal(new URL(linkUnder("LND-123AA")).searchParams.get("c"), "RG-A");
+      const htmlLinks = [...html.matchAll(/<td><a href="([^"]+)">Book<\/a><\/td>/g)].map(m => new URL(m[1].replaceAll("&amp;", "&")));
+      assert.deepEqual(htmlLinks.map(url => url.searchParams.get("c")), ["RG-B", "RG-A"]);
+    } finally {
+      restoreEnv();
+    }
+  });
+
+  test("vehicles that aren't due that day are left out", async () => {
+    const { sent, decisions } = await run([
+      ["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"],
+      ["RG-B", "Ada", "LND-456BB", "ada@example.com", "", "2026-04-20"],
+    ]);
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].message.subject, "Upcoming Service Reminder - Ada");
+    assert.deepEqual(sent[0].meta.customerIds, ["RG-A"]);
+    assert.equal(decisions[1].decision, "SKIPPED");
+  });
+
+  test("different addresses get separate messages; case doesn't matter", async () => {
+    const { sent } = await run([
+      ["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"],
+      ["RG-B", "Ada", "LND-456BB", " ADA@Example.com", "", "2026-03-22"],
+      ["RG-C", "Bo", "LND-789CC", "bo@example.com", "", "2026-03-22"],
+    ]);
+
+    assert.deepEqual(sent.map(s => s.meta.customerIds ?? s.to), [["RG-A", "RG-B"], ["RG-C"]]);
+  });
+
+  test("text messages are grouped by phone number in any format", async () => {
+    const { sent } = await run([
+      ["RG-A", "Ada", "LND-123AA", "", "0803 123 4567", "2026-03-22"],
+      ["RG-B", "Ada", "LND-456BB", "", "+2348031234567", "2026-03-15"],
+    ], { textEnabled: true });
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].channel, "SMS");
+    assert.ok(sent[0].message.text.includes("2 of your vehicles are due for service: LND-456BB (due today), LND-123AA (due 22-06-2026 (in 7 days))."));
+  });
+
+  test("a message that fails is recorded on every vehicle in it", async () => {
+    const { failed, decisions, updatedCustomers } = await run([
+      ["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"],
+      ["RG-B", "Ada", "LND-456BB", "ada@example.com", "", "2026-03-12"],
+    ], { fail: () => new Error("Mailbox full") });
+
+    assert.equal(failed, 1);
+    assert.deepEqual(decisions.map(d => d.decision), ["FAILED", "FAILED"]);
+    assert.ok(updatedCustomers.every(c => !c["Reminder History"]));
+  });
+});
+
+describe("combined reminders through mainSync", () => {
+  test("write the tracking columns back to each vehicle's Master row", async () => {
+    const storage = createMemoryStorage({
+      "ALL AMC CLIENT": [
+        HEADER,
+        ["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"],
+        ["RG-B", "Bo", "LND-999ZZ", "bo@example.com", "", "2026-03-22"],
+        ["RG-C", "Ada", "LND-456BB", "ada@example.com", "", "2026-03-12"],
+      ],
+    });
+    const { channels, sent } = createFakeChannels();
+    await mainSync(storage, { channels });
+
+    assert.equal(sent.length, 2);
+    const [header, ...rows] = storage.tabs["ALL AMC CLIENT"];
+    const column = name => rows.map(row => row[header.indexOf(name)]);
+    assert.deepEqual(column("Email Type"), ["ADVANCE_7DAY", "ADVANCE_7DAY", "OVERDUE"]);
+    assert.deepEqual(column("Reminder History"), [
+      "due 2026-06-22: -7@2026-06-15",
+      "due 2026-06-22: -7@2026-06-15",
+      "due 2026-06-12: 3@2026-06-15",
+    ]);
+  });
+});
@@ -0,0 +1,168 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mainSync } from "../index.js";
+import { createRateLimiter, isTransientError, loadOutbox, loadSendConfig, messageKind, OUTBOX_HEADER, retryDelaySeconds } from "../lib/outbox.js";
+import { createMemoryStorage } from "../lib/storage.js";
+import { createFakeChannels, freezeClock, MASTER_HEADER, setEnv } from "./helpers.js";
+
+const NOW = "2026-06-15T10:00:00+01:00";
+
+// An Outbox row from the named columns, in OUTBOX_HEADER order
+function row(values) {
+  return OUTBOX_HEADER.map(col => values[col] || "");
+}
+
+let restore;
+beforeEach(() => { restore = freezeClock(NOW); });
+afterEach(() => restore());
+
+describe("loadSendConfig", () => {
+  test("reads the limits, with defaults", () => {
+    assert.deepEqual(loadSendConfig({}), {
+      ratePerMinute: 30,
+      maxAttempts: 5,
+      retryBaseSeconds: 60,
+      timeBudgetSeconds: 40,
+      keepDays: 90,
+    });
+    assert.equal(loadSendConfig({ OUTBOX_KEEP_DAYS: "30" }).keepDays, 30);
+    assert.throws(() => loadSendConfig({ OUTBOX_KEEP_DAYS: "0" }), /Invalid OUTBOX_KEEP_DAYS/);
+  });
+
+  test("retries back off exponentially", () => {
+    const config = loadSendConfig({});
+    assert.deepEqual([1, 2, 3, 4].map(n => retryDelaySeconds(n, config)), [60, 120, 240, 480]);
+  });
+
+  test("transient and permanent errors", () => {
+    assert.equal(isTransientError({ responseCode: 451 }), true);
+    assert.equal(isTransientError({ responseCode: 550 }), false);
+    assert.equal(isTransientError({ code: 429 }), true);
+    assert.equal(isTransientError({ code: 400 }), false);
+    assert.equal(isTransientError({ code: "ECONNRESET" }), true);
+    assert.equal(isTransientError(new Error("Invalid recipient")), false);
+  });
+});
+
+describe("prune", () => {
+  const storage = () => createMemoryStorage({
+    Outbox: [
+      OUTBOX_HEADER,
+      row({ "Message ID": "old-sent", "Queued At": "2026-01-02T08:00:00+01:00", "Status": "SENT", "Sent At": "2026-01-02T08:00:05+01:00" }),
+      row({ "Message ID": "old-retry", "Queued At": "2026-01-03T08:00:00+01:00", "Status": "RETRY", "Next Attempt At": "2026-01-03T08:01:00+01:00" }),
+      row({ "Message ID": "old-cancelled", "Queued At": "2026-02-01T08:00:00+01:00", "Status": "CANCELLED" }),
+      row({ "Message ID": "recent-sent", "Queued At": "2026-06-01T08:00:00+01:00", "Status": "SENT", "Sent At": "2026-06-01T08:00:05+01:00" }),
+    ],
+  });
+
+  test("drops finished messages older than the cut-off and keeps the rest in order", async () => {
+    const tabs = storage();
+    const outbox = await loadOutbox(tabs);
+    assert.equal(await outbox.prune(90), 2);
+
+    assert.deepEqual(tabs.tabs["Outbox"].map(r => r[0]), ["Message ID", "old-retry", "recent-sent", "", ""]);
+    assert.equal(outbox.get("old-sent"), undefined);
+    assert.equal(outbox.get("recent-sent").row, 3);
+  });
+
+  test("new messages and updates go to the right rows afterwards", async () => {
+    const tabs = storage();
+    const outbox = await loadOutbox(tabs);
+    await outbox.prune(90);
+    await outbox.enqueue([{ id: "new", channel: "EMAIL", to: "ada@example.com", reminders: ["RG-1:2026-06-22:-7"] }]);
+    await outbox.update("recent-sent", { "Last Error": "late bounce" });
+
+    const ids = tabs.tabs["Outbox"].map(r => r[0]);
+    assert.deepEqual(ids, ["Message ID", "old-retry", "recent-sent", "new", ""]);
+    assert.equal(tabs.tabs["Outbox"][2][OUTBOX_HEADER.indexOf("Last Error")], "late bounce");
+
+    const reloaded = await loadOutbox(tabs);
+    assert.equal(reloaded.get("new")["Status"], "PENDING");
+    await reloaded.enqueue([{ id: "newer", channel: "EMAIL", to: "bo@example.com", reminders: ["RG-2:2026-06-22:-7"] }]);
+    assert.equal(tabs.tabs["Outbox"][4][0], "newer");
+  });
+
+  test("keeps columns added by hand with their rows", async () => {
+    const tabs = storage();
+    tabs.tabs["Outbox"][0].push("Note");
+    tabs.tabs["Outbox"][4].push("called her");
+    await (await loadOutbox(tabs)).prune(90);
+
+    const [header, , recent] = tabs.tabs["Outbox"];
+    assert.equal(recent[header.indexOf("Note")], "called her");
+  });
+
+  test("does nothing when nothing is old enough", async () => {
+    const tabs = storage();
+    assert.equal(await (await loadOutbox(tabs)).prune(365), 0);
+    assert.equal(tabs.tabs["Outbox"].length, 5);
+  });
+
+  test("runs as part of a sync, using OUTBOX_KEEP_DAYS", async () => {
+    const restoreEnv = setEnv({ OUTBOX_KEEP_DAYS: "30" });
+    try {
+      const tabs = storage();
+      tabs.tabs["ALL AMC CLIENT"] = [MASTER_HEADER, ["Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"]];
+      const { channels } = createFakeChannels();
+      await mainSync(tabs, { channels });
+
+      const ids = tabs.tabs["Outbox"].map(r => r[0]).filter(Boolean);
+      assert.deepEqual(ids.slice(0, 3), ["Message ID", "old-retry", "recent-sent"]);
+      assert.equal(ids.length, 4);
+    } finally {
+      restoreEnv();
+    }
+  });
+});
+
+describe("cancelExcept", () => {
+  const storage = () => createMemoryStorage({
+    Outbox: [
+      OUTBOX_HEADER,
+      row({ "Message ID": "service", "Reminders": "RG-1:2026-06-22:-7", "Status": "PENDING" }),
+      row({ "Message ID": "resend", "Reminders": "RG-2:2026-06-12:resend@2026-06-14T09:00:00.000+01:00", "Status": "RETRY" }),
+      row({ "Message ID": "renewal", "Reminders": "RG-3:amc-2026-07-15:-30", "Status": "RETRY", "Next Attempt At": "2026-06-15T10:05:00+01:00" }),
+      row({ "Message ID": "digest", "Reminders": "digest:2026-06-14", "Status": "PENDING" }),
+    ],
+  });
+
+  test("tells the passes' messages apart by their reminder keys", () => {
+    assert.equal(messageKind(["RG-1:2026-06-22:-7", "RG-4:2026-06-22:-7"]), "reminder");
+    assert.equal(messageKind(["RG-2:2026-06-12:resend@2026-06-14T09:00:00.000+01:00"]), "reminder");
+    assert.equal(messageKind(["RG-3:amc-2026-07-15:-30"]), "renewal");
+    assert.equal(messageKind(["digest:2026-06-14"]), "digest");
+  });
+
+  test("only cancels messages of the given kind", async () => {
+    const tabs = storage();
+    const outbox = await loadOutbox(tabs);
+    assert.equal(await outbox.cancelExcept(new Set(), "reminder"), 2);
+
+    const status = id => outbox.get(id)["Status"];
+    assert.deepEqual(["service", "resend", "renewal", "digest"].map(status), ["CANCELLED", "CANCELLED", "RETRY", "PENDING"]);
+    assert.equal(await outbox.cancelExcept(new Set(["renewal"]), "renewal"), 0);
+    assert.equal(await outbox.cancelExcept(new Set(), "digest"), 1);
+    assert.equal((await loadOutbox(tabs)).get("renewal")["Status"], "RETRY");
+  });
+});
+
+describe("createRateLimiter", () => {
+  test("waits for the oldest send to leave the one-minute window", async () => {
+    let clock = 0;
+    const waits = [];
+    const limiter = createRateLimiter(2, [], {
+      now: () => clock,
+      sleep: async ms => { waits.push(ms); clock += ms; },
+    });
+    assert.equal(await limiter.wait(), true);
+    clock = 10_000;
+    assert.equal(await limiter.wait(), true);
+    assert.equal(await limiter.wait(), true);
+    assert.deepEqual(waits, [50_000]);
+  });
+
+  test("gives up when the next free slot is past the deadline", async () => {
+    const limiter = createRateLimiter(1, [0], { now: () => 1_000, sleep: async () => {} });
+    assert.equal(await limiter.wait(30_000), false);
+  });
+});
@@ -0,0 +1,76 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mainSync } from "../index.js";
+import { createMemoryStorage } from "../lib/storage.js";
+import { createFakeChannels, freezeClock, MASTER_HEADER } from "./helpers.js";
+
+const SHEET = "ALL AMC CLIENT";
+
+describe("dry runs", () => {
+  let restore, storage;
+
+  beforeEach(() => {
+    restore = freezeClock("2026-06-15T10:00:00+01:00");
+    storage = createMemoryStorage({
+      [SHEET]: [
+        [...MASTER_HEADER, "Subscription"],
+        ["Ada", "LND-123AA", "ada@example.com", "08031234567", "2026-03-22", ""],
+        ["Bo", "LND-456BB", "", "", "2026-03-12", ""],
+        ["Cy", "LND-789CC", "cy@example.com", "", "2026-05-01", ""],
+        ["Di", "LND-111DD", "di@example.com", "", "2026-03-15", "UNSUBSCRIBED"],
+      ],
+    });
+  });
+  afterEach(() => restore());
+
+  const byName = plan => Object.fromEntries(plan.map(entry => [entry.name, entry]));
+
+  test("return the rendered message for everyone who would get one", async () => {
+    const { channels } = createFakeChannels();
+    const plan = await mainSync(storage, { dryRun: true, channels });
+
+    assert.equal(plan.dryRun, true);
+    assert.equal(plan.processed, 4);
+    assert.equal(plan.wouldSend, 1);
+
+    const { Ada } = byName(plan.plan);
+    assert.equal(Ada.decision, "WOULD_SEND");
+    assert.equal(Ada.channel, "EMAIL");
+    assert.equal(Ada.emailType, "ADVANCE_7DAY");
+    assert.equal(Ada.daysUntilDue, 7);
+    assert.equal(Ada.subject, "Upcoming Service Reminder - Ada");
+    assert.match(Ada.text, /Ada/);
+    assert.match(Ada.html, /<html/i);
+  });
+
+  test("give a reason for everyone who wouldn't", async () => {
+    const { channels } = createFakeChannels();
+    const { plan } = await mainSync(storage, { dryRun: true, channels });
+    const { Bo, Cy, Di } = byName(plan);
+
+    assert.deepEqual([Bo.decision, Cy.decision, Di.decision], ["SKIPPED", "SKIPPED", "SKIPPED"]);
+    assert.match(Bo.reason, /MISSING CONTACT/);
+    assert.match(Cy.reason, /Not due yet \(47 days away\)/);
+    assert.equal(Di.reason, "Subscription is UNSUBSCRIBED");
+    assert.equal(Di.subject, undefined);
+  });
+
+  test("send nothing and write nothing, even when the Master needs new columns", async () => {
+    const before = structuredClone(storage.tabs);
+    const { channels, sent } = createFakeChannels();
+    await mainSync(storage, { dryRun: true, channels });
+
+    assert.deepEqual(sent, []);
+    assert.deepEqual(storage.tabs, before);
+  });
+
+  test("match what a real run then sends", async () => {
+    const { channels, sent } = createFakeChannels();
+    const { plan } = await mainSync(storage, { dryRun: true, channels });
+    await mainSync(storage, { channels });
+
+    const planned = plan.filter(entry => entry.decision === "WOULD_SEND");
+    assert.deepEqual(sent.map(s => s.to), planned.map(entry => entry.email));
+    assert.equal(sent[0].message.subject, planned[0].subject);
+  });
+});
@@ -0,0 +1,173 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { loadBusinessCalendar } from "../lib/calendar.js";
+import { DEFAULT_CADENCE } from "../lib/cadence.js";
+import { REQUIRED_COLUMNS, processCustomers } from "../lib/master.js";
+import { loadOutbox, loadSendConfig, messageId } from "../lib/outbox.js";
+import { COMBINED_TYPE, REMINDER_TYPES, reminderType, sendReminders } from "../lib/reminders.js";
+import { loadDefaultInterval, loadServicePlans } from "../lib/schedule.js";
+import { createMemoryStorage } from "../lib/storage.js";
+import { loadTemplates } from "../lib/templates.js";
+import { createFakeChannels, freezeClock } from "./helpers.js";
+
+// Monday 15 June 2026, 10:00 in Lagos. Due dates are three months after Last Visit.
+const NOW = "2026-06-15T10:00:00+01:00";
+const HEADER = ["Customer ID", "Name", "Veh. Reg. No.", "Email Add.", "Phone Number", "Last Visit", "Subscription", "Reminder History"];
+
+function customers(rows) {
+  return processCustomers(rows, HEADER, {
+    plans: loadServicePlans({}),
+    defaultInterval: loadDefaultInterval({}),
+    calendar: loadBusinessCalendar({}),
+  });
+}
+
+async function run(rows, { storage = createMemoryStorage(), fail } = {}) {
+  const { channels, sent } = createFakeChannels({ fail });
+  const templates = await loadTemplates({ types: [...REMINDER_TYPES, COMBINED_TYPE], columns: REQUIRED_COLUMNS, env: {} });
+  const outbox = await loadOutbox(storage);
+  const result = await sendReminders(customers(rows), {
+    templates,
+    outbox,
+    channels,
+    cadence: DEFAULT_CADENCE,
+    sendConfig: loadSendConfig({}),
+    calendar: loadBusinessCalendar({}),
+  });
+  return { ...result, sent, storage };
+}
+
+let restore;
+beforeEach(() => { restore = freezeClock(NOW); });
+afterEach(() => restore());
+
+describe("reminderType", () => {
+  test("picks the template from whole days until due", () => {
+    assert.equal(reminderType(7), "ADVANCE_7DAY");
+    assert.equal(reminderType(1), "ADVANCE_7DAY");
+    assert.equal(reminderType(0), "DUE_TODAY");
+    assert.equal(reminderType(-1), "OVERDUE");
+    assert.equal(reminderType(-30), "OVERDUE");
+  });
+});
+
+describe("when reminders go out", () => {
+  test("nothing is sent 8 days before the due date", async () => {
+    const { decisions, sent } = await run([["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-23"]]);
+    assert.equal(sent.length, 0);
+    assert.equal(decisions[0].decision, "SKIPPED");
+    assert.equal(decisions[0].daysUntilDue, 8);
+    assert.match(decisions[0].reason, /Not due yet \(8 days away\)/);
+  });
+
+  test("the advance reminder goes out exactly 7 days before", async () => {
+    const { decisions, sent, updatedCustomers } = await run([["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"]]);
+    assert.equal(sent.length, 1);
+    assert.equal(decisions[0].decision, "SENT");
+    assert.equal(decisions[0].emailType, "ADVANCE_7DAY");
+    assert.equal(updatedCustomers[0]["Reminder History"], "due 2026-06-22: -7@2026-06-15");
+    assert.equal(updatedCustomers[0]["Last Email Sent"], "2026-06-15");
+  });
+
+  test("the day before still uses the advance template", async () => {
+    const { decisions } = await run([["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-16"]]);
+    assert.equal(decisions[0].emailType, "ADVANCE_7DAY");
+    assert.match(decisions[0].reason, /day -1 reminder/);
+  });
+
+  test("due today and overdue", async () => {
+    const { decisions, sent } = await run([
+      ["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-15"],
+      ["RG-B", "Bo", "LND-456BB", "bo@example.com", "", "2026-03-12"],
+    ]);
+    assert.deepEqual(decisions.map(d => [d.emailType, d.daysUntilDue]), [["DUE_TODAY", 0], ["OVERDUE", -3]]);
+    assert.equal(sent.length, 2);
+  });
+});
+
+describe("dedupe", () => {
+  test("a step already in Reminder History isn't sent again", async () => {
+    const { decisions, sent } = await run([
+      ["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22", "", "due 2026-06-22: -7@2026-06-15"],
+    ]);
+    assert.equal(sent.length, 0);
+    assert.equal(decisions[0].decision, "SKIPPED");
+    assert.match(decisions[0].reason, /already sent on 2026-06-15/);
+  });
+
+  test("history for an older due date doesn't count", async () => {
+    const { sent } = await run([
+      ["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22", "", "due 2026-03-22: -7@2026-03-15"],
+    ]);
+    assert.equal(sent.length, 1);
+  });
+
+  test("a reminder the Outbox shows as sent is recorded, not resent", async () => {
+    const rows = [["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"]];
+    const first = await run(rows);
+    assert.equal(first.sent.length, 1);
+
+    // Same Master as before: the first run never wrote its tracking back
+    const second = await run(rows, { storage: first.storage });
+    assert.equal(second.sent.length, 0);
+    assert.equal(second.decisions[0].decision, "SENT");
+    assert.match(second.decisions[0].reason, /sent by an earlier run/);
+    assert.equal(second.updatedCustomers[0]["Reminder History"], "due 2026-06-22: -7@2026-06-15");
+  });
+
+  test("vehicles sharing an address get one combined message", async () => {
+    const { sent, decisions } = await run([
+      ["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"],
+      ["RG-B", "Ada", "LND-456BB", "ADA@example.com", "", "2026-03-12"],
+    ]);
+    assert.equal(sent.length, 1);
+    assert.deepEqual(sent[0].meta.customerIds, ["RG-B", "RG-A"]);
+    assert.ok(decisions.every(d => d.decision === "SENT"));
+  });
+
+  test("a transient failure is queued for retry and counted once", async () => {
+    const error = Object.assign(new Error("try later"), { responseCode: 451 });
+    const { decisions, failed, queued, storage } = await run(
+      [["RG-A", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"]],
+      { fail: () => error }
+    );
+    assert.equal(failed, 0);
+    assert.equal(queued, 1);
+    assert.equal(decisions[0].decision, "QUEUED");
+    const outbox = await loadOutbox(storage);
+    const id = messageId("EMAIL", "ada@example.com", ["RG-A:2026-06-22:-7"]);
+    assert.equal(outbox.get(id)["Status"], "RETRY");
+  });
+});
+
+describe("subscription states", () => {
+  const row = (id, subscription) => [id, id, "LND-123AA", `${id}@example.com`, "", "2026-03-22", subscription];
+
+  test("only UNSUBSCRIBED and NOT SUBSCRIBED stop reminders", async () => {
+    const { decisions } = await run([
+      row("blank", ""),
+      row("subscribed", "SUBSCRIBED"),
+      row("lowercase", " subscribed "),
+      row("unknown", "MAYBE"),
+      row("unsubscribed", "UNSUBSCRIBED"),
+      row("not", "not subscribed"),
+    ]);
+    assert.deepEqual(
+      decisions.map(d => [d.name, d.decision]),
+      [
+        ["blank", "SENT"],
+        ["subscribed", "SENT"],
+        ["lowercase", "SENT"],
+        ["unknown", "SENT"],
+        ["unsubscribed", "SKIPPED"],
+        ["not", "SKIPPED"],
+      ]
+    );
+  });
+
+  test("rows flagged for manual contact are skipped", async () => {
+    const { decisions } = await run([["RG-A", "Ada", "LND-123AA", "", "", "2026-03-22"]]);
+    assert.equal(decisions[0].decision, "SKIPPED");
+    assert.match(decisions[0].reason, /MISSING CONTACT/);
+  });
+});
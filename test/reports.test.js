@@ -0,0 +1,123 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { getDueCustomers, getStats } from "../index.js";
+import { renderDashboard } from "../lib/dashboard.js";
+import { OUTBOX_HEADER } from "../lib/outbox.js";
+import { createMemoryStorage } from "../lib/storage.js";
+import { freezeClock, MASTER_HEADER } from "./helpers.js";
+
+const SHEET = "ALL AMC CLIENT";
+// Monday 15 June 2026
+const NOW = "2026-06-15T10:00:00+01:00";
+
+const sent = (reminders, sentAt) => OUTBOX_HEADER.map(col => ({
+  "Message ID": `${reminders}@${sentAt}`,
+  "Channel": "EMAIL",
+  "Reminders": reminders,
+  "Status": "SENT",
+  "Sent At": sentAt,
+}[col] || ""));
+
+function storage() {
+  return createMemoryStorage({
+    [SHEET]: [
+      ["Customer ID", ...MASTER_HEADER, "Manual Contact", "Reminder History"],
+      // Reminded for the March cycle, came back in March; reminded again in June
+      ["RG-1", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22", "", "due 2026-06-22: -7@2026-06-15"],
+      // Reminded for June, not back yet. The sheet still shows a flag from an old run
+      ["RG-2", "Bo", "LND-456BB", "bo@example.com", "", "2026-03-12", "FIX DATA", "due 2026-06-12: 3@2026-06-15"],
+      // Every step of the cadence went out
+      ["RG-3", "Cy", "LND-789CC", "cy@example.com", "", "2026-02-18", "", "due 2026-05-18: 30@2026-06-15"],
+      ["RG-4", "Di", "LND-111DD", "not-an-email", "", "2026-04-01", "", ""],
+      ["RG-5", "Ed", "", "", "", "2026-04-01", "", ""],
+    ],
+    Outbox: [
+      OUTBOX_HEADER,
+      sent("RG-1:2026-03-23:-7", "2026-03-16T08:00:00+01:00"),
+      sent("RG-1:2026-03-23:-1", "2026-03-22T08:00:00+01:00"),
+      sent("RG-1:2026-06-22:-7", "2026-06-15T08:00:00+01:00"),
+      sent("RG-2:2026-06-12:-7, RG-4:2026-06-12:-7", "2026-06-05T08:00:00+01:00"),
+      sent("RG-3:amc-2026-07-15:-30", "2026-06-15T08:00:00+01:00"),
+      sent("digest:2026-06-15", "2026-06-15T08:00:00+01:00"),
+      sent("RG-9:2026-01-01:0", "2026-01-01T08:00:00+01:00"),
+    ],
+  });
+}
+
+let restore;
+beforeEach(() => { restore = freezeClock(NOW); });
+afterEach(() => restore());
+
+describe("getStats", () => {
+  test("counts conversion per reminder cycle from the Outbox", async () => {
+    const { conversion } = await getStats(storage(), { weeks: 16 });
+
+    // RG-1 March (converted), RG-1 June, RG-2 June, RG-4 June; RG-9 is before the window
+    assert.deepEqual(conversion, { reminded: 4, converted: 1, rate: 25, averageDaysToVisit: 6 });
+  });
+
+  test("a cycle stays converted after the next cycle starts", async () => {
+    const { conversion } = await getStats(storage(), { weeks: 16 });
+    restore();
+    restore = freezeClock("2026-06-25T10:00:00+01:00");
+    const later = await getStats(storage(), { weeks: 16 });
+
+    assert.equal(later.conversion.converted, conversion.converted);
+  });
+
+  test("works out Manual Contact flags instead of reading them back", async () => {
+    const { manualContact, missingContact } = await getStats(storage());
+
+    assert.deepEqual(manualContact, { "CALL - NO RESPONSE": 1, "FIX DATA": 1, "MISSING CONTACT": 1 });
+    assert.deepEqual(missingContact, [{ row: 6, customerId: "RG-5", name: "Ed", vehicle: "" }]);
+  });
+
+  test("reads without writing or logging", async () => {
+    const tabs = storage();
+    const before = JSON.stringify(tabs.tabs);
+    const logged = [];
+    const { log } = console;
+    console.log = (...args) => logged.push(args);
+    try {
+      await getStats(tabs);
+      await getDueCustomers(tabs);
+    } finally {
+      console.log = log;
+    }
+
+    assert.equal(JSON.stringify(tabs.tabs), before);
+    assert.deepEqual(logged, []);
+  });
+
+  test("a spreadsheet without an Outbox has no conversion yet", async () => {
+    const tabs = storage();
+    delete tabs.tabs["Outbox"];
+    const { conversion } = await getStats(tabs);
+
+    assert.deepEqual(conversion, { reminded: 0, converted: 0, rate: null, averageDaysToVisit: null });
+    assert.equal(tabs.tabs["Outbox"], undefined);
+  });
+});
+
+describe("getDueCustomers", () => {
+  test("lists vehicles due soon, most overdue first", async () => {
+    const due = await getDueCustomers(storage(), { days: 7 });
+
+    assert.deepEqual(due.map(d => [d.customerId, d.dueDate, d.status]), [
+      ["RG-3", "2026-05-18", "OVERDUE"],
+      ["RG-2", "2026-06-12", "OVERDUE"],
+      ["RG-1", "2026-06-22", "UPCOMING"],
+    ]);
+    assert.equal(due[1].manualContact, "");
+    assert.deepEqual((await getDueCustomers(storage(), { days: 7, includeOverdue: false })).map(d => d.customerId), ["RG-1"]);
+  });
+});
+
+describe("renderDashboard", () => {
+  test("shows the conversion per cycle", async () => {
+    const tabs = storage();
+    const html = renderDashboard(await getStats(tabs, { weeks: 16 }), await getDueCustomers(tabs));
+
+    assert.match(html, /1 of 4 reminder cycles ended with the vehicle back for a service, after 6 days on average/);
+  });
+});
@@ -0,0 +1,69 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mainSync } from "../index.js";
+import { createMemoryStorage } from "../lib/storage.js";
+import { createFakeChannels, freezeClock, MASTER_HEADER } from "./helpers.js";
+
+const SHEET = "ALL AMC CLIENT";
+
+describe("Run Details", () => {
+  let restore, storage;
+
+  beforeEach(() => {
+    restore = freezeClock("2026-06-15T10:00:00+01:00");
+    storage = createMemoryStorage({
+      [SHEET]: [
+        MASTER_HEADER,
+        ["Ada", "LND-123AA", "ada@example.com", "08031234567", "2026-03-22"],
+        ["Bo", "LND-456BB", "", "", "2026-03-12"],
+        ["Cy", "LND-789CC", "cy@example.com", "", "2026-05-01"],
+        ["Ed", "LND-222EE", "ed@example.com", "", "2026-03-15"],
+      ],
+    });
+  });
+  afterEach(() => restore());
+
+  const runDetails = () => {
+    const [header, ...rows] = storage.tabs["Run Details"];
+    return rows.map(row => Object.fromEntries(header.map((h, i) => [h, row[i] || ""])));
+  };
+
+  test("has one row per customer saying what happened and why", async () => {
+    const { channels } = createFakeChannels({ fail: to => to === "ed@example.com" ? new Error("Mailbox full") : null });
+    const summary = await mainSync(storage, { channels });
+
+    const rows = runDetails();
+    assert.deepEqual(rows.map(r => [r.Name, r.Decision]), [
+      ["Ada", "SENT"], ["Bo", "SKIPPED"], ["Cy", "SKIPPED"], ["Ed", "FAILED"],
+    ]);
+    const [ada, bo, cy, ed] = rows;
+    assert.match(ada["Customer Key"], /^RG-/);
+    assert.equal(ada["Email Type"], "ADVANCE_7DAY");
+    assert.equal(ada["Days Until Due"], "7");
+    assert.equal(ada["Channel"], "EMAIL");
+    assert.match(bo["Reason"], /MISSING CONTACT/);
+    assert.equal(cy["Days Until Due"], "47");
+    assert.match(ed["Send Error"], /^Mailbox full/);
+
+    assert.deepEqual(summary.decisions.map(d => d.decision), rows.map(r => r.Decision));
+    assert.equal(summary.skipped.noContact, 1);
+    assert.equal(summary.skipped.notDue, 1);
+  });
+
+  test("only holds the latest run", async () => {
+    const { channels } = createFakeChannels();
+    await mainSync(storage, { channels });
+    await mainSync(storage, { channels });
+
+    const rows = runDetails();
+    assert.equal(rows.length, 4);
+    assert.equal(rows[0].Decision, "SKIPPED");
+    assert.match(rows[0].Reason, /already sent on 2026-06-15/);
+  });
+
+  test("a dry run leaves it alone", async () => {
+    const { channels } = createFakeChannels();
+    await mainSync(storage, { dryRun: true, channels });
+    assert.equal(storage.tabs["Run Details"], undefined);
+  });
+});
@@ -0,0 +1,137 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { DateTime } from "luxon";
+import { loadBusinessCalendar } from "../lib/calendar.js";
+import { REQUIRED_COLUMNS, processCustomers } from "../lib/master.js";
+import { REMINDER_TYPES, renderReminder } from "../lib/reminders.js";
+import {
+  describeInterval,
+  dueOdometer,
+  loadDefaultInterval,
+  loadServicePlans,
+  parseInterval,
+  parseKm,
+  predictMileageDue,
+  resolveServiceInterval,
+} from "../lib/schedule.js";
+import { loadTemplates } from "../lib/templates.js";
+import { freezeClock, MASTER_HEADER } from "./helpers.js";
+
+let restore;
+beforeEach(() => { restore = freezeClock("2026-06-15T10:00:00+01:00"); });
+afterEach(() => restore());
+
+describe("service intervals", () => {
+  test("parseInterval reads short and long spellings", () => {
+    assert.deepEqual(parseInterval("45d"), { days: 45 });
+    assert.deepEqual(parseInterval("2W"), { weeks: 2 });
+    assert.deepEqual(parseInterval("6 months"), { months: 6 });
+    assert.deepEqual(parseInterval("1y"), { years: 1 });
+    for (const bad of ["", "6", "0m", "3 fortnights", "-1m"]) assert.equal(parseInterval(bad), null, bad);
+  });
+
+  test("describeInterval", () => {
+    assert.equal(describeInterval({ months: 1 }), "1 month");
+    assert.equal(describeInterval({ days: 45 }), "45 days");
+  });
+
+  test("SERVICE_PLANS adds to and overrides the built-in plans", () => {
+    const plans = loadServicePlans({ SERVICE_PLANS: '{"gold": "6m", "FLEET": "2w"}' });
+    assert.deepEqual(plans, { AMC: { months: 3 }, FLEET: { weeks: 2 }, GOLD: { months: 6 } });
+    assert.throws(() => loadServicePlans({ SERVICE_PLANS: "{" }), /not valid JSON/);
+    assert.throws(() => loadServicePlans({ SERVICE_PLANS: '{"GOLD": "often"}' }), /Invalid interval "often" for plan GOLD/);
+    assert.throws(() => loadDefaultInterval({ DEFAULT_SERVICE_INTERVAL: "soon" }), /Invalid DEFAULT_SERVICE_INTERVAL/);
+  });
+
+  test("a customer's own interval beats their plan, which beats the default", () => {
+    const plans = loadServicePlans({ SERVICE_PLANS: '{"GOLD": "6m"}' });
+    const fallback = loadDefaultInterval({});
+    const pick = customer => resolveServiceInterval(customer, plans, fallback);
+
+    assert.deepEqual(pick({ "Service Interval": "45d", "Plan": "GOLD" }), { duration: { days: 45 }, label: "45 days", source: "Service Interval" });
+    assert.deepEqual(pick({ "Plan": "gold" }), { duration: { months: 6 }, label: "6 months", source: "Plan GOLD" });
+    assert.equal(pick({ "Service Interval": "whenever", "Plan": "GOLD" }).source, "Plan GOLD");
+    assert.equal(pick({ "Plan": "PLATINUM" }).source, "default");
+    assert.equal(pick({}).label, "3 months");
+  });
+});
+
+describe("processCustomers with intervals", () => {
+  const header = [...MASTER_HEADER, "Service Interval", "Plan"];
+  const run = (rows, env = {}) => processCustomers(rows, header, {
+    plans: loadServicePlans(env),
+    defaultInterval: loadDefaultInterval(env),
+    calendar: loadBusinessCalendar({}),
+  });
+
+  test("dates each vehicle by the interval that applies to it", () => {
+    const customers = run([
+      ["Ada", "", "a@example.com", "", "2026-05-01", "45d", ""],
+      ["Bo", "", "b@example.com", "", "2026-05-01", "", "FLEET"],
+      ["Cy", "", "c@example.com", "", "2026-05-01", "", ""],
+    ]);
+    assert.deepEqual(customers.map(c => [c["Next Reminder Date"], c["Interval Applied"]]), [
+      ["15-06-2026", "45 days"],
+      ["01-06-2026", "1 month"],
+      ["01-08-2026", "3 months"],
+    ]);
+  });
+
+  test("DEFAULT_SERVICE_INTERVAL replaces the 3-month fallback", () => {
+    const [customer] = run([["Ada", "", "a@example.com", "", "2026-05-01", "", ""]], { DEFAULT_SERVICE_INTERVAL: "6m" });
+    assert.equal(customer["Next Reminder Date"], "02-11-2026");
+    assert.equal(customer["Interval Applied"], "6 months");
+  });
+
+  test("the reminder tells the customer which interval applied", async () => {
+    const templates = await loadTemplates({ types: REMINDER_TYPES, columns: REQUIRED_COLUMNS, env: {} });
+    const [customer] = run([["Ada", "LND-123AA", "a@example.com", "", "2026-05-01", "45d", ""]]);
+    const { text, html } = renderReminder(templates, "DUE_TODAY", customer, 0);
+
+    assert.match(text, /time \(every 45 days\)/);
+    assert.match(html, /time \(every 45 days\)/);
+  });
+});
+
+describe("mileage", () => {
+  const header = [...MASTER_HEADER, "Last Odometer", "Avg km/day", "Service km Interval"];
+  const run = rows => processCustomers(rows, header, {
+    plans: loadServicePlans({}),
+    defaultInterval: loadDefaultInterval({}),
+    calendar: loadBusinessCalendar({}),
+  });
+
+  test("parseKm reads readings with separators and units", () => {
+    assert.equal(parseKm("12,500 km"), 12500);
+    assert.equal(parseKm(" 80 "), 80);
+    for (const bad of ["", "0", "-5", "lots"]) assert.equal(parseKm(bad), null, bad);
+  });
+
+  test("predictMileageDue divides the km interval by the daily distance", () => {
+    const lastVisit = DateTime.fromISO("2026-05-01");
+    const due = predictMileageDue({ "Last Odometer": "40,000", "Avg km/day": "120", "Service km Interval": "5000" }, lastVisit);
+    assert.equal(due.date.toISODate(), "2026-06-12");
+    assert.equal(due.dueOdometer, 45000);
+    assert.equal(predictMileageDue({ "Avg km/day": "120" }, lastVisit), null);
+    assert.equal(dueOdometer({ "Service km Interval": "5000" }), null);
+  });
+
+  test("whichever of mileage or time comes first sets the due date", () => {
+    const [heavy, light, none] = run([
+      ["Ada", "", "a@example.com", "", "2026-05-01", "40000", "120", "5000"],
+      ["Bo", "", "b@example.com", "", "2026-05-01", "40000", "10", "5000"],
+      ["Cy", "", "c@example.com", "", "2026-05-01", "", "", ""],
+    ]);
+    assert.deepEqual([heavy["Next Reminder Date"], heavy["Due Trigger"]], ["12-06-2026", "MILEAGE"]);
+    assert.deepEqual([light["Next Reminder Date"], light["Due Trigger"]], ["01-08-2026", "TIME"]);
+    assert.equal(none["Due Trigger"], "TIME");
+  });
+
+  test("the reminder says the mileage set the date", async () => {
+    const templates = await loadTemplates({ types: REMINDER_TYPES, columns: REQUIRED_COLUMNS, env: {} });
+    const [customer] = run([["Ada", "LND-123AA", "a@example.com", "", "2026-05-01", "40000", "120", "5000"]]);
+    const { text } = renderReminder(templates, "OVERDUE", customer, -3);
+
+    assert.match(text, /mileage \(every 5,000 km, at about 45,000 km\)/);
+  });
+});
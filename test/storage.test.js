@@ -0,0 +1,176 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { mainSync } from "../index.js";
+import {
+  columnLetter,
+  createFileStorage,
+  createGoogleSheetsStorage,
+  createMemoryStorage,
+  parseCsv,
+  toCsv,
+} from "../lib/storage.js";
+import { createFakeChannels, createFakeSheetsClient, freezeClock, MASTER_HEADER } from "./helpers.js";
+
+const SHEET = "ALL AMC CLIENT";
+
+// Every backend must behave the same way through the adapter surface
+const BACKENDS = {
+  memory: async () => createMemoryStorage(),
+  "JSON file": async dir => createFileStorage(path.join(dir, "tabs.json")),
+  "CSV directory": async dir => createFileStorage(path.join(dir, "tabs")),
+  "Google Sheets": async () => createGoogleSheetsStorage({ spreadsheetId: "test", sheets: createFakeSheetsClient().sheets }),
+};
+
+describe("storage adapters", () => {
+  let dir;
+  beforeEach(async () => { dir = await fs.mkdtemp(path.join(os.tmpdir(), "rgac-storage-")); });
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  for (const [name, create] of Object.entries(BACKENDS)) {
+    describe(name, () => {
+      test("a tab that doesn't exist reads as empty", async () => {
+        const storage = await create(dir);
+        assert.deepEqual(await storage.getValues("Nowhere"), []);
+        assert.deepEqual(await storage.listSheets(), []);
+      });
+
+      test("writes land where the values API would put them", async () => {
+        const storage = await create(dir);
+        await storage.ensureSheet("Tab");
+        await storage.updateValues("Tab", 1, [["a", "b"], ["c", "d"]]);
+        await storage.updateCells("Tab", [{ row: 2, column: 2, value: "e" }, { row: 3, column: 0, value: 7 }]);
+        await storage.appendRow("Tab", ["f", "g"]);
+
+        assert.deepEqual(await storage.getValues("Tab"), [["a", "b"], ["c", "d", "e"], ["7"], ["f", "g"]]);
+      });
+
+      test("ensureSheet keeps existing rows and clearValues keeps the tab", async () => {
+        const storage = await create(dir);
+        await storage.ensureSheet("Tab");
+        await storage.updateValues("Tab", 1, [["kept"]]);
+        await storage.ensureSheet("Tab");
+        assert.deepEqual(await storage.getValues("Tab"), [["kept"]]);
+
+        await storage.clearValues("Tab");
+        assert.deepEqual(await storage.getValues("Tab"), []);
+        assert.deepEqual(await storage.listSheets(), ["Tab"]);
+      });
+
+      test("deleteSheet removes the tab and ignores one that doesn't exist", async () => {
+        const storage = await create(dir);
+        await storage.ensureSheet("Tab");
+        await storage.ensureSheet("Other");
+        await storage.deleteSheet("Tab");
+        await storage.deleteSheet("Nowhere");
+
+        assert.deepEqual(await storage.listSheets(), ["Other"]);
+        assert.deepEqual(await storage.getValues("Tab"), []);
+      });
+    });
+  }
+
+  test("file storage keeps its tabs between instances", async () => {
+    for (const file of ["tabs.json", "tabs"]) {
+      const first = createFileStorage(path.join(dir, file));
+      await first.ensureSheet("Tab");
+      await first.updateValues("Tab", 1, [["Name", "Notes"], ["Ada", 'says "hi", then\nleaves']]);
+
+      const second = createFileStorage(path.join(dir, file));
+      assert.deepEqual(await second.getValues("Tab"), [["Name", "Notes"], ["Ada", 'says "hi", then\nleaves']]);
+    }
+  });
+});
+
+describe("Google Sheets errors", () => {
+  test("a missing tab reads as empty but other errors still surface", async () => {
+    const storage = createGoogleSheetsStorage({
+      spreadsheetId: "test",
+      sheets: {
+        spreadsheets: {
+          values: {
+            async get({ range }) {
+              if (range === "Missing") throw Object.assign(new Error("Unable to parse range: Missing"), { code: 400 });
+              throw Object.assign(new Error("The caller does not have permission"), { code: 403 });
+            },
+          },
+        },
+      },
+    });
+
+    assert.deepEqual(await storage.getValues("Missing"), []);
+    await assert.rejects(storage.getValues("Locked"), /permission/);
+  });
+
+  test("writing to a tab that doesn't exist fails like the real API", async () => {
+    const storage = createGoogleSheetsStorage({ spreadsheetId: "test", sheets: createFakeSheetsClient().sheets });
+    await assert.rejects(storage.appendRow("Nowhere", ["x"]), /Unable to parse range/);
+  });
+});
+
+describe("CSV", () => {
+  test("round-trips quotes, commas, line breaks and empty cells", () => {
+    const rows = [["a", 'b "c"', "d,e"], ["", "line\nbreak", ""]];
+    assert.deepEqual(parseCsv(toCsv(rows)), rows);
+  });
+
+  test("reads CRLF files", () => {
+    assert.deepEqual(parseCsv("a,b\r\nc,d\r\n"), [["a", "b"], ["c", "d"]]);
+  });
+
+  test("columnLetter", () => {
+    assert.deepEqual([0, 25, 26, 701, 702].map(columnLetter), ["A", "Z", "AA", "ZZ", "AAA"]);
+  });
+});
+
+describe("mainSync end to end", () => {
+  let dir, restore;
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "rgac-sync-"));
+    restore = freezeClock("2026-06-15T10:00:00+01:00");
+  });
+  afterEach(async () => {
+    restore();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const MASTER = [
+    MASTER_HEADER,
+    ["Ada", "LND-123AA", "ada@example.com", "08031234567", "2026-03-22"],
+    ["Bo", "LND-456BB", "", "", "2026-03-12"],
+  ];
+
+  test("a run against a CSV directory creates its tabs and a later run picks up where it left off", async () => {
+    const folder = path.join(dir, "sheet");
+    await fs.mkdir(folder);
+    await fs.writeFile(path.join(folder, `${SHEET}.csv`), toCsv(MASTER));
+
+    const { channels, sent } = createFakeChannels();
+    const first = await mainSync(createFileStorage(folder), { channels });
+    assert.equal(first.remindersSent, 1);
+
+    const files = (await fs.readdir(folder)).sort();
+    for (const tab of [SHEET, "REMINDER SHEET", "Status Log", "Run Details", "Outbox", "Sync Lock"]) {
+      assert.ok(files.includes(`${tab}.csv`), `${tab}.csv was written`);
+    }
+    const [header, ada] = parseCsv(await fs.readFile(path.join(folder, `${SHEET}.csv`), "utf8"));
+    assert.equal(ada[header.indexOf("Last Email Sent")], "2026-06-15");
+
+    const second = await mainSync(createFileStorage(folder), { channels });
+    assert.equal(second.remindersSent, 0);
+    assert.equal(second.skipped.alreadySent, 1);
+    assert.equal(sent.length, 1);
+  });
+
+  test("a run against memory storage leaves the results in its tabs", async () => {
+    const storage = createMemoryStorage({ [SHEET]: MASTER });
+    const { channels } = createFakeChannels();
+    await mainSync(storage, { channels });
+
+    assert.equal(storage.tabs["Status Log"].length, 1);
+    assert.deepEqual(storage.tabs["REMINDER SHEET"].slice(1).map(row => row[0]), ["Ada", "Bo"]);
+    assert.equal(storage.tabs["Outbox"].filter(row => row.includes("SENT")).length, 1);
+  });
+});
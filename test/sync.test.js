@@ -0,0 +1,158 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mainSync, resendReminder } from "../index.js";
+import { AMC_COLUMNS } from "../lib/amc.js";
+import { acquireLock } from "../lib/lock.js";
+import { REQUIRED_COLUMNS } from "../lib/master.js";
+import { createGoogleSheetsStorage } from "../lib/storage.js";
+import { createFakeChannels, createFakeSheetsClient, freezeClock, MASTER_HEADER } from "./helpers.js";
+
+const SHEET = "ALL AMC CLIENT";
+
+describe("mainSync against a fake spreadsheet", () => {
+  let fake, storage, restore;
+
+  beforeEach(() => {
+    restore = freezeClock("2026-06-15T10:00:00+01:00");
+    fake = createFakeSheetsClient({
+      [SHEET]: [
+        MASTER_HEADER,
+        ["Ada", "LND-123AA", "ada@example.com", "08031234567", "2026-03-22"],
+        ["Bo", "LND-456BB", "", "", "2026-03-12"],
+        ["Cy", "LND-789CC", "cy@example.com", "", "2026-05-01"],
+      ],
+    });
+    storage = createGoogleSheetsStorage({ spreadsheetId: "test", sheets: fake.sheets });
+  });
+  afterEach(() => restore());
+
+  const master = () => {
+    const [header, ...rows] = fake.tabs[SHEET];
+    return rows.map(row => Object.fromEntries(header.map((h, i) => [h, row[i] || ""])));
+  };
+
+  test("extends the header, sends what is due and writes the tracking back", async () => {
+    const { channels, sent } = createFakeChannels();
+    const summary = await mainSync(storage, { channels });
+
+    assert.deepEqual(fake.tabs[SHEET][0], [...MASTER_HEADER, ...REQUIRED_COLUMNS.filter(c => !MASTER_HEADER.includes(c))]);
+    assert.equal(summary.remindersSent, 1);
+    assert.deepEqual(sent.map(s => s.to), ["ada@example.com"]);
+
+    const [ada, bo, cy] = master();
+    assert.match(ada["Customer ID"], /^RG-/);
+    assert.equal(ada["Phone Number"], "+2348031234567");
+    assert.equal(ada["Last Email Sent"], "2026-06-15");
+    assert.equal(ada["Email Type"], "ADVANCE_7DAY");
+    assert.equal(ada["Reminder History"], "due 2026-06-22: -7@2026-06-15");
+    assert.equal(bo["Manual Contact"], "MISSING CONTACT");
+    assert.equal(cy["Next Reminder Date"], "01-08-2026");
+    assert.equal(cy["Last Email Sent"], "");
+
+    const statusLog = fake.tabs["Status Log"];
+    assert.equal(statusLog.length, 1);
+    assert.deepEqual(statusLog[0].slice(1, 4), ["3", "1", "0"]);
+  });
+
+  test("a second run the same day sends nothing", async () => {
+    const { channels, sent } = createFakeChannels();
+    await mainSync(storage, { channels });
+    const second = await mainSync(storage, { channels });
+
+    assert.equal(sent.length, 1);
+    assert.equal(second.remindersSent, 0);
+    assert.equal(second.skipped.alreadySent, 1);
+  });
+
+  test("a dry run writes nothing", async () => {
+    const { channels, sent } = createFakeChannels();
+    const plan = await mainSync(storage, { dryRun: true, channels });
+
+    assert.equal(plan.wouldSend, 1);
+    assert.equal(sent.length, 0);
+    assert.deepEqual(fake.calls, []);
+  });
+
+  test("a manual resend goes out again without touching Reminder History", async () => {
+    const { channels, sent } = createFakeChannels();
+    await mainSync(storage, { channels });
+    const [ada] = master();
+
+    const result = await resendReminder(storage, ada["Customer ID"], { channels });
+    assert.equal(result.ok, true);
+    assert.equal(result.emailType, "ADVANCE_7DAY");
+    assert.equal(sent.length, 2);
+    assert.equal(master()[0]["Reminder History"], "due 2026-06-22: -7@2026-06-15");
+    assert.match(fake.tabs["Status Log"].at(-1)[4], /^Manual resend: ADVANCE_7DAY to Ada/);
+
+    assert.deepEqual(await resendReminder(storage, "Bo|LND-456BB", { channels }), { ok: false, error: "Manual Contact is MISSING CONTACT" });
+    assert.deepEqual(await resendReminder(storage, "RG-NOPE", { channels }), { ok: false, error: "Customer not found" });
+    assert.equal(sent.length, 2);
+  });
+
+  test("a manual resend is refused while a run holds the lock", async () => {
+    const { channels, sent } = createFakeChannels();
+    await mainSync(storage, { channels });
+    const [ada] = master();
+    const outboxRows = fake.tabs["Outbox"].length;
+    const lock = await acquireLock(storage, "Sync Lock");
+
+    const result = await resendReminder(storage, ada["Customer ID"], { channels });
+    assert.equal(result.ok, false);
+    assert.match(result.error, /A run holds the lock .* try again shortly/);
+    assert.equal(sent.length, 1);
+    assert.equal(fake.tabs["Outbox"].length, outboxRows);
+
+    await lock.release();
+    assert.equal((await resendReminder(storage, ada["Customer ID"], { channels })).ok, true);
+    assert.equal((await acquireLock(storage, "Sync Lock")).acquired, true);
+  });
+
+  test("a run that starts during a manual resend waits for it", async () => {
+    const { channels, sent } = createFakeChannels();
+    // Hold the resend in the middle of sending, with the lock taken
+    let sending, finishResend;
+    const started = new Promise(resolve => { sending = resolve; });
+    const gate = new Promise(resolve => { finishResend = resolve; });
+    const slowChannels = {
+      ...channels,
+      EMAIL: { ...channels.EMAIL, send: async (...args) => { sending(); await gate; return channels.EMAIL.send(...args); } },
+    };
+    const resend = resendReminder(storage, "Ada|LND-123AA", { channels: slowChannels });
+    await started;
+
+    const sync = mainSync(storage, { channels });
+    setTimeout(finishResend, 200);
+    const [resent, summary] = await Promise.all([resend, sync]);
+
+    assert.equal(resent.ok, true);
+    assert.notEqual(summary.skipped, true);
+    assert.equal(summary.remindersSent, 1);
+    assert.equal(sent.length, 2);
+  });
+
+  test("a Master with AMC End gets renewal reminders and AMC Status", async () => {
+    fake.tabs[SHEET][0].push("AMC End");
+    fake.tabs[SHEET][1].push("2026-07-15");
+    fake.tabs[SHEET][3].push("2026-05-01");
+    const { channels, sent } = createFakeChannels();
+    const summary = await mainSync(storage, { channels });
+
+    assert.deepEqual(fake.tabs[SHEET][0].slice(-5), AMC_COLUMNS.filter(c => c !== "AMC End"));
+    assert.equal(summary.remindersSent, 1);
+    assert.equal(summary.renewalsSent, 1);
+    assert.deepEqual(sent.map(s => s.message.subject), [
+      "Upcoming Service Reminder - Ada",
+      "Your Maintenance Contract Ends Soon - Ada",
+    ]);
+
+    const [ada, , cy] = master();
+    assert.equal(ada["AMC Status"], "EXPIRING");
+    assert.equal(ada["Renewal History"], "due 2026-07-15: -30@2026-06-15");
+    assert.equal(cy["AMC Status"], "EXPIRED");
+    const [header, ...reminderSheet] = fake.tabs["REMINDER SHEET"];
+    assert.deepEqual(reminderSheet.map(row => row[header.indexOf("AMC Status")] || ""), ["EXPIRING", "", "EXPIRED"]);
+    assert.equal(fake.tabs["Run Details"].length, 1 + 3 + 2);
+    assert.deepEqual(fake.tabs["Status Log"][0].slice(1, 4), ["3", "2", "0"]);
+  });
+});
@@ -0,0 +1,135 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { AMC_COLUMNS, RENEWAL_TYPES } from "../lib/amc.js";
+import { REQUIRED_COLUMNS } from "../lib/master.js";
+import { COMBINED_TYPE, REMINDER_TYPES } from "../lib/reminders.js";
+import { createGoogleSheetsStorage, createMemoryStorage } from "../lib/storage.js";
+import { escapeHtml, loadTemplates, TEMPLATE_SHEET_HEADER } from "../lib/templates.js";
+import { createFakeSheetsClient } from "./helpers.js";
+
+const COLUMNS = ["Name", "Veh. Reg. No.", "Email Add."];
+const CUSTOMER = { "Name": "Ada <Lovelace>", "Veh. Reg. No.": "LND-123AA", "Email Add.": "" };
+
+describe("loadTemplates", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "rgac-templates-"));
+    await writeTemplate("DUE_TODAY", {
+      "subject.txt": "Service due - {{Name}}\n",
+      "text.txt": "Hello {{Name}},\nyour {{Veh. Reg. No.}} is due.\n\nEmail: {{Email Add.|none on file}}\n",
+      "sms.txt": "{{Name}}: {{Veh. Reg. No.}} is due",
+    });
+    await fs.writeFile(path.join(dir, "layout.html"), "<html>{{{Logo}}}{{{Content}}}</html>");
+  });
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  async function writeTemplate(type, files, language = "") {
+    const folder = path.join(dir, language, type);
+    await fs.mkdir(folder, { recursive: true });
+    for (const [name, body] of Object.entries(files)) await fs.writeFile(path.join(folder, name), body);
+  }
+
+  const load = options => loadTemplates({ types: ["DUE_TODAY"], columns: COLUMNS, dir, env: {}, ...options });
+
+  test("fills placeholders, with fallbacks for empty values", async () => {
+    const templates = await load();
+    const { subject, text, sms, language } = templates.render("DUE_TODAY", CUSTOMER);
+
+    assert.equal(subject, "Service due - Ada <Lovelace>");
+    assert.equal(text, "Hello Ada <Lovelace>,\nyour LND-123AA is due.\n\nEmail: none on file");
+    assert.equal(sms, "Ada <Lovelace>: LND-123AA is due");
+    assert.equal(language, "en");
+  });
+
+  test("builds the HTML from the text when there is no body.html, escaping values", async () => {
+    const templates = await load();
+    const { html } = templates.render("DUE_TODAY", CUSTOMER);
+
+    assert.equal(html, "<html>Royal Gem AutoCare Nigeria Limited" +
+      "<p>Hello Ada &lt;Lovelace&gt;,<br>your LND-123AA is due.</p>\n<p>Email: none on file</p></html>");
+  });
+
+  test("escapes values in body.html unless they use triple braces", async () => {
+    await fs.writeFile(path.join(dir, "DUE_TODAY", "body.html"), "<b>{{Name}}</b><table>{{{Vehicle Table}}}</table>");
+    const templates = await load();
+    const { html } = templates.render("DUE_TODAY", CUSTOMER, { "Vehicle Table": "<tr><td>LND-123AA</td></tr>" });
+
+    assert.match(html, /<b>Ada &lt;Lovelace&gt;<\/b><table><tr><td>LND-123AA<\/td><\/tr><\/table>/);
+  });
+
+  test("uses LOGO_URL for the logo", async () => {
+    const templates = await load({ env: { LOGO_URL: "https://example.com/logo.png?a=1&b=2" } });
+    const { html } = templates.render("DUE_TODAY", CUSTOMER);
+    assert.match(html, /<img src="https:\/\/example.com\/logo.png\?a=1&amp;b=2" alt="Royal Gem AutoCare Nigeria Limited">/);
+  });
+
+  test("rejects unknown placeholders and missing parts before anything is sent", async () => {
+    await writeTemplate("OVERDUE", { "subject.txt": "{{Nmae}} is overdue", "text.txt": "Overdue" });
+    await assert.rejects(load({ types: ["DUE_TODAY", "OVERDUE"] }), error => {
+      assert.match(error.message, /OVERDUE\/subject.txt: unknown placeholder \{\{Nmae\}\}/);
+      assert.match(error.message, /OVERDUE\/sms.txt: missing/);
+      return true;
+    });
+  });
+
+  test("a Templates tab row overrides the files one cell at a time", async () => {
+    const storage = createMemoryStorage({
+      Templates: [TEMPLATE_SHEET_HEADER, ["due_today", "", "Your service is due, {{Name}}", "", "", ""]],
+    });
+    const { subject, sms } = (await load({ storage })).render("DUE_TODAY", CUSTOMER);
+
+    assert.equal(subject, "Your service is due, Ada <Lovelace>");
+    assert.equal(sms, "Ada <Lovelace>: LND-123AA is due");
+  });
+
+  test("Templates tab overrides are checked like files", async () => {
+    const storage = createMemoryStorage({
+      Templates: [TEMPLATE_SHEET_HEADER, ["DUE_TODAY", "", "{{Plate}}", "", "", ""]],
+    });
+    await assert.rejects(load({ storage }), /Templates tab \(DUE_TODAY Subject\): unknown placeholder \{\{Plate\}\}/);
+
+    const noType = createMemoryStorage({ Templates: [["Subject"], ["Hi"]] });
+    await assert.rejects(load({ storage: noType }), /Templates tab needs a "Type" column/);
+
+    const badLanguage = createMemoryStorage({ Templates: [TEMPLATE_SHEET_HEADER, ["DUE_TODAY", "Klingon", "Hi", "", "", ""]] });
+    await assert.rejects(load({ storage: badLanguage }), /unknown language "Klingon" for DUE_TODAY/);
+  });
+
+  test("a spreadsheet without a Templates tab means no overrides", async () => {
+    // The fake fails on unknown tabs the way the Sheets API does
+    const fake = createFakeSheetsClient({ "ALL AMC CLIENT": [COLUMNS] });
+    const storage = createGoogleSheetsStorage({ spreadsheetId: "test", sheets: fake.sheets });
+    const templates = await load({ storage });
+
+    assert.equal(templates.render("DUE_TODAY", CUSTOMER).subject, "Service due - Ada <Lovelace>");
+    assert.equal(fake.tabs["Templates"], undefined);
+  });
+
+  test("a language without its own template falls back to English", async () => {
+    await writeTemplate("DUE_TODAY", { "subject.txt": "Ẹ kú àárọ̀ {{Name}}", "text.txt": "Yoruba", "sms.txt": "Yoruba" }, "yo");
+    const templates = await load();
+
+    assert.equal(templates.languageFor("DUE_TODAY", "yo"), "yo");
+    assert.equal(templates.languageFor("DUE_TODAY", "ha"), "en");
+    assert.equal(templates.render("DUE_TODAY", CUSTOMER, {}, "ha").language, "en");
+  });
+});
+
+describe("shipped templates", () => {
+  test("every reminder, renewal and combined template loads", async () => {
+    const templates = await loadTemplates({
+      types: [...REMINDER_TYPES, COMBINED_TYPE, ...RENEWAL_TYPES],
+      columns: [...REQUIRED_COLUMNS, ...AMC_COLUMNS, "AMC End"],
+      env: {},
+    });
+    for (const type of REMINDER_TYPES) assert.equal(templates.languageFor(type, "en"), "en");
+  });
+
+  test("escapeHtml", () => {
+    assert.equal(escapeHtml(`<a href="x">'&'</a>`), "&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;");
+  });
+});
@@ -0,0 +1,166 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import handler from "../api/unsubscribe.js";
+import { mainSync, unsubscribeCustomer } from "../index.js";
+import { customerLink, signToken, verifyToken } from "../lib/links.js";
+import { createFileStorage, createMemoryStorage } from "../lib/storage.js";
+import {
+  createFakeChannels,
+  createFakeRequest,
+  createFakeResponse,
+  freezeClock,
+  MASTER_HEADER,
+  setEnv,
+} from "./helpers.js";
+
+const SHEET = "ALL AMC CLIENT";
+const ENV = { PUBLIC_BASE_URL: "https://rgac.example.com/", LINK_SIGNING_SECRET: "secret" };
+
+describe("signed links", () => {
+  test("a token only works for its purpose, key and branch", () => {
+    const token = signToken("unsubscribe", "RG-1", ENV);
+    assert.equal(verifyToken("unsubscribe", "RG-1", token, ENV), true);
+    assert.equal(verifyToken("book", "RG-1", token, ENV), false);
+    assert.equal(verifyToken("unsubscribe", "RG-2", token, ENV), false);
+    assert.equal(verifyToken("unsubscribe", "RG-1", token, ENV, "ikeja"), false);
+    assert.equal(verifyToken("unsubscribe", "RG-1", token, { LINK_SIGNING_SECRET: "other" }), false);
+    assert.equal(verifyToken("unsubscribe", "RG-1", "", ENV), false);
+  });
+
+  test("customerLink signs the key, and the branch when there is one", () => {
+    const link = new URL(customerLink("/api/unsubscribe", "unsubscribe", "RG-1", ENV, "ikeja"));
+    assert.equal(link.origin + link.pathname, "https://rgac.example.com/api/unsubscribe");
+    assert.equal(link.searchParams.get("c"), "RG-1");
+    assert.equal(link.searchParams.get("b"), "ikeja");
+    assert.equal(verifyToken("unsubscribe", "RG-1", link.searchParams.get("t"), ENV, "ikeja"), true);
+    assert.equal(new URL(customerLink("/api/unsubscribe", "unsubscribe", "RG-1", ENV)).searchParams.has("b"), false);
+  });
+});
+
+describe("unsubscribeCustomer", () => {
+  let restore, storage;
+
+  beforeEach(() => {
+    restore = freezeClock("2026-06-15T10:00:00+01:00");
+    storage = createMemoryStorage({
+      [SHEET]: [
+        ["Customer ID", ...MASTER_HEADER],
+        ["RG-1", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"],
+        ["RG-2", "Ada", "LND-999ZZ", "ADA@example.com ", "", "2026-03-22"],
+        ["RG-3", "Bo", "LND-456BB", "bo@example.com", "", "2026-03-22"],
+      ],
+    });
+  });
+  afterEach(() => restore());
+
+  const master = () => {
+    const [header, ...rows] = storage.tabs[SHEET];
+    return rows.map(row => Object.fromEntries(header.map((h, i) => [h, row[i] || ""])));
+  };
+
+  test("marks every vehicle on the same address, with a time stamp", async () => {
+    const result = await unsubscribeCustomer(storage, "RG-1");
+    assert.deepEqual(result, { found: true, alreadyUnsubscribed: false, name: "Ada" });
+
+    const [ada, ada2, bo] = master();
+    assert.equal(ada["Subscription"], "UNSUBSCRIBED");
+    assert.equal(ada["Unsubscribed At"], "2026-06-15T10:00:00+01:00");
+    assert.equal(ada2["Subscription"], "UNSUBSCRIBED");
+    assert.equal(bo["Subscription"], "");
+  });
+
+  test("says so when the customer is already unsubscribed or unknown", async () => {
+    await unsubscribeCustomer(storage, "RG-3");
+    assert.equal((await unsubscribeCustomer(storage, "RG-3")).alreadyUnsubscribed, true);
+    assert.deepEqual(await unsubscribeCustomer(storage, "RG-404"), { found: false });
+  });
+
+  test("the next run skips them", async () => {
+    await unsubscribeCustomer(storage, "RG-3");
+    const { channels, sent } = createFakeChannels();
+    const summary = await mainSync(storage, { channels });
+
+    assert.deepEqual(sent.map(s => s.to), ["ada@example.com"]);
+    assert.equal(summary.skipped.notSubscribed, 1);
+  });
+});
+
+describe("reminder emails", () => {
+  let restore, restoreEnv;
+  beforeEach(() => {
+    restore = freezeClock("2026-06-15T10:00:00+01:00");
+    restoreEnv = setEnv(ENV);
+  });
+  afterEach(() => {
+    restore();
+    restoreEnv();
+  });
+
+  test("carry a signed unsubscribe link in the body and for the List-Unsubscribe header", async () => {
+    const storage = createMemoryStorage({
+      [SHEET]: [["Customer ID", ...MASTER_HEADER], ["RG-1", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"]],
+    });
+    const { channels, sent } = createFakeChannels();
+    await mainSync(storage, { channels });
+
+    const { unsubscribeUrl, text, html } = sent[0].message;
+    const link = new URL(unsubscribeUrl);
+    assert.equal(link.pathname, "/api/unsubscribe");
+    assert.equal(verifyToken("unsubscribe", "RG-1", link.searchParams.get("t"), ENV), true);
+    assert.ok(text.includes(unsubscribeUrl));
+    assert.ok(html.includes(unsubscribeUrl.replace(/&/g, "&amp;")));
+  });
+});
+
+describe("/api/unsubscribe", () => {
+  let dir, file, restoreEnv;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "rgac-unsubscribe-"));
+    file = path.join(dir, "sheet.json");
+    await fs.writeFile(file, JSON.stringify({
+      [SHEET]: [["Customer ID", ...MASTER_HEADER], ["RG-1", "Ada", "LND-123AA", "ada@example.com", "", "2026-03-22"]],
+    }));
+    restoreEnv = setEnv({ ...ENV, STORAGE_BACKEND: "file", STORAGE_PATH: file });
+  });
+  afterEach(async () => {
+    restoreEnv();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const url = (key = "RG-1") => new URL(customerLink("/api/unsubscribe", "unsubscribe", key, ENV)).search;
+  const call = async (method, query) => {
+    const res = createFakeResponse();
+    await handler(createFakeRequest({ method, url: `/api/unsubscribe${query}` }), res);
+    return res;
+  };
+  const subscription = async () => {
+    const [header, row] = await createFileStorage(file).getValues(SHEET);
+    return row[header.indexOf("Subscription")] || "";
+  };
+
+  test("GET only asks for confirmation, since mail scanners open links", async () => {
+    const res = await call("GET", url());
+    assert.equal(res.statusCode, 200);
+    assert.match(res.body, /<form method="POST"/);
+    assert.equal(await subscription(), "");
+  });
+
+  test("POST unsubscribes", async () => {
+    const res = await call("POST", url());
+    assert.equal(res.statusCode, 200);
+    assert.match(res.body, /You have been unsubscribed/);
+    assert.equal(await subscription(), "UNSUBSCRIBED");
+  });
+
+  test("rejects a tampered link and reports an unknown customer", async () => {
+    const tampered = url().replace("c=RG-1", "c=RG-2");
+    assert.equal((await call("POST", tampered)).statusCode, 400);
+    assert.equal((await call("POST", url("RG-2"))).statusCode, 404);
+    assert.equal((await call("DELETE", url())).statusCode, 405);
+    assert.equal(await subscription(), "");
+  });
+});